@@ -0,0 +1,88 @@
+/**
+ * Application Configuration
+ *
+ * Central place for all settings read from environment variables.
+ * Separation of Concerns: Services receive their settings from here instead
+ * of reading process.env directly, so defaults live in one file.
+ */
+
+const path = require('path');
+
+module.exports = {
+  // HTTP port for the Express server
+  port: process.env.PORT || 4000,
+
+  /**
+   * Weather provider settings
+   * - provider: Which weather data source to use ('open-meteo' or 'fixture')
+   * - fixturesDir: Directory of recorded responses used by the fixture provider
+   */
+  weather: {
+    provider: process.env.WEATHER_PROVIDER || 'open-meteo',
+    fixturesDir: process.env.WEATHER_FIXTURES_DIR
+      || path.join(__dirname, '..', 'fixtures', 'open-meteo'),
+  },
+
+  /**
+   * Persistent storage settings
+   * - dataDir: Directory for server-side JSON data files (custom activities, ...)
+   */
+  storage: {
+    dataDir: process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+  },
+
+  /**
+   * Upstream API call settings
+   * - timeoutMs: Per-request timeout
+   * - retries: Retries after the first attempt for timeouts, network errors, 429 and 5xx
+   * - retryBaseDelayMs: Delay before the first retry (doubles on each further retry)
+   * - breakerFailureThreshold: Consecutive failures before the circuit breaker opens
+   * - breakerResetMs: How long the breaker stays open before trying the upstream again
+   * - reverseGeocodingUrl: Nominatim reverse geocoding endpoint (a self-hosted
+   *   instance may be used instead of the public one)
+   * - reverseGeocodingIntervalMs: Least time between two reverse geocoding
+   *   requests; the public instance allows one per second
+   */
+  upstream: {
+    timeoutMs: Number(process.env.UPSTREAM_TIMEOUT_MS) || 5000,
+    retries: process.env.UPSTREAM_RETRIES !== undefined ? Number(process.env.UPSTREAM_RETRIES) : 2,
+    retryBaseDelayMs: Number(process.env.UPSTREAM_RETRY_DELAY_MS) || 250,
+    breakerFailureThreshold: Number(process.env.BREAKER_FAILURE_THRESHOLD) || 5,
+    breakerResetMs: Number(process.env.BREAKER_RESET_MS) || 30 * 1000,
+    reverseGeocodingUrl: process.env.REVERSE_GEOCODING_URL || 'https://nominatim.openstreetmap.org/reverse',
+    reverseGeocodingIntervalMs: process.env.REVERSE_GEOCODING_INTERVAL_MS !== undefined
+      ? Number(process.env.REVERSE_GEOCODING_INTERVAL_MS)
+      : 1000,
+  },
+
+  /**
+   * Cache settings (all durations in seconds)
+   * - store: Where entries are kept ('memory' or 'file')
+   * - dir: Directory the file store keeps one JSON file per entry in
+   * - maxEntries: Most entries kept; past it expired entries are swept, then
+   *   the least recently used ones dropped
+   * - fallbackSeconds: How long an entry is kept after it stops being served
+   *   as stale, to serve if the upstream is down (then it is dropped)
+   * - geocoding/forecast/archive: How long entries are fresh (ttl) and how much
+   *   longer they may be served while being refreshed in the background (stale).
+   *   Archived (past) weather no longer changes, so it is kept for long.
+   */
+  cache: {
+    store: process.env.CACHE_STORE || 'memory',
+    dir: process.env.CACHE_DIR || path.join(__dirname, '..', '.cache', 'weather'),
+    maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 1000,
+    fallbackSeconds: Number(process.env.CACHE_FALLBACK) || 24 * 60 * 60,
+    geocoding: {
+      ttlSeconds: Number(process.env.CACHE_GEOCODING_TTL) || 30 * 24 * 60 * 60,
+      staleSeconds: Number(process.env.CACHE_GEOCODING_STALE) || 7 * 24 * 60 * 60,
+    },
+    forecast: {
+      ttlSeconds: Number(process.env.CACHE_FORECAST_TTL) || 60 * 60,
+      staleSeconds: Number(process.env.CACHE_FORECAST_STALE) || 60 * 60,
+    },
+    archive: {
+      ttlSeconds: Number(process.env.CACHE_ARCHIVE_TTL) || 30 * 24 * 60 * 60,
+      staleSeconds: Number(process.env.CACHE_ARCHIVE_STALE) || 7 * 24 * 60 * 60,
+    },
+  },
+};
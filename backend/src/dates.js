@@ -0,0 +1,70 @@
+/**
+ * Calendar Date Helpers
+ *
+ * Dates are passed around as ISO date strings ("2026-10-19"), the format
+ * Open-Meteo uses, so they compare correctly as plain strings. Arithmetic is
+ * done in UTC so it is never shifted by the server's own timezone.
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check that a string is a real calendar date in YYYY-MM-DD form
+ *
+ * @param {string} date - Date string to check
+ * @returns {boolean} False for other formats and dates like "2026-02-30"
+ */
+function isValidDate(date) {
+  if (!DATE_PATTERN.test(date)) {
+    return false;
+  }
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+}
+
+/**
+ * Move a date forwards or backwards by whole days
+ *
+ * @param {string} date - ISO date, e.g. "2026-10-19"
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} ISO date, e.g. addDays("2026-10-19", 6) -> "2026-10-25"
+ */
+function addDays(date, days) {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  parsed.setUTCDate(parsed.getUTCDate() + days);
+  return parsed.toISOString().slice(0, 10);
+}
+
+/**
+ * Number of days from one date to another
+ *
+ * @param {string} from - ISO date
+ * @param {string} to - ISO date
+ * @returns {number} Whole days, negative if to is before from,
+ *                   e.g. daysBetween("2026-10-19", "2026-10-25") -> 6
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Today's date in a timezone
+ *
+ * @param {string} [timeZone] - IANA timezone, e.g. "Pacific/Auckland" (default UTC)
+ * @returns {string} ISO date
+ */
+function today(timeZone = 'UTC') {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(new Date())
+      .map(({ type, value }) => [type, value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+module.exports = {
+  isValidDate,
+  addDays,
+  daysBetween,
+  today,
+};
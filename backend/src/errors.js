@@ -0,0 +1,72 @@
+/**
+ * Application Error Classes
+ *
+ * Structured errors thrown by the services. Each class carries a stable
+ * `code` (sent to clients as the GraphQL `extensions.code`) and optional
+ * `details` with machine-readable context, so the frontend can react to the
+ * kind of failure rather than parsing message strings.
+ */
+
+/**
+ * Error codes exposed to API clients
+ */
+const ErrorCode = {
+  LOCATION_NOT_FOUND: 'LOCATION_NOT_FOUND',
+  UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',
+  INVALID_INPUT: 'INVALID_INPUT',
+  RATE_LIMITED: 'RATE_LIMITED',
+};
+
+/**
+ * Base class for all errors that are safe to show to clients
+ */
+class AppError extends Error {
+  /**
+   * @param {string} code - One of ErrorCode
+   * @param {string} message - Human-readable message
+   * @param {Object} [details] - Extra fields added to the GraphQL error extensions
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// No geocoding match for the requested place name
+class LocationNotFoundError extends AppError {
+  constructor(location) {
+    super(ErrorCode.LOCATION_NOT_FOUND, `Location "${location}" not found`, { location });
+  }
+}
+
+// Weather data source is down, timing out or its circuit breaker is open
+class UpstreamUnavailableError extends AppError {
+  constructor(message, { retryAt } = {}) {
+    super(ErrorCode.UPSTREAM_UNAVAILABLE, message, retryAt ? { retryAt } : {});
+  }
+}
+
+// Client sent arguments that can never succeed
+class InvalidInputError extends AppError {
+  constructor(message, { field } = {}) {
+    super(ErrorCode.INVALID_INPUT, message, field ? { field } : {});
+  }
+}
+
+// Weather data source rejected the request for exceeding its quota
+class RateLimitedError extends AppError {
+  constructor(message, { retryAfterSeconds } = {}) {
+    super(ErrorCode.RATE_LIMITED, message, retryAfterSeconds ? { retryAfterSeconds } : {});
+  }
+}
+
+module.exports = {
+  ErrorCode,
+  AppError,
+  LocationNotFoundError,
+  UpstreamUnavailableError,
+  InvalidInputError,
+  RateLimitedError,
+};
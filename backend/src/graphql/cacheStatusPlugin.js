@@ -0,0 +1,47 @@
+/**
+ * Cache Status Plugin
+ *
+ * Apollo Server plugin that reports which weather lookups were served from
+ * cache. Resolvers push entries onto contextValue.cacheLog; this plugin
+ * copies them into the response under extensions.cache:
+ *
+ * "extensions": {
+ *   "cache": {
+ *     "hits": 1, "stale": 0, "misses": 1, "fallbacks": 0,
+ *     "lookups": [{ "cache": "geocoding", "key": "london", "status": "HIT" }, ...]
+ *   }
+ * }
+ */
+
+const { CacheStatus } = require('../services/cache');
+
+const cacheStatusPlugin = {
+  async requestDidStart() {
+    return {
+      async willSendResponse({ contextValue, response }) {
+        const lookups = contextValue.cacheLog || [];
+
+        // Only single (non-incremental) responses carry extensions,
+        // and there is nothing to report if no lookups happened
+        if (response.body.kind !== 'single' || lookups.length === 0) {
+          return;
+        }
+
+        const count = (status) => lookups.filter((entry) => entry.status === status).length;
+
+        response.body.singleResult.extensions = {
+          ...response.body.singleResult.extensions,
+          cache: {
+            hits: count(CacheStatus.HIT),
+            stale: count(CacheStatus.STALE),
+            misses: count(CacheStatus.MISS),
+            fallbacks: count(CacheStatus.FALLBACK),
+            lookups,
+          },
+        };
+      },
+    };
+  },
+};
+
+module.exports = { cacheStatusPlugin };
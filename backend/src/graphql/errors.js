@@ -0,0 +1,33 @@
+/**
+ * GraphQL Error Mapping
+ *
+ * Converts application errors (see ../errors.js) into GraphQL errors whose
+ * `extensions.code` tells the client what went wrong. Anything that is not
+ * an AppError is logged and reported as a generic internal error, so
+ * unexpected messages and stack details never reach the client.
+ */
+
+const { GraphQLError } = require('graphql');
+const { AppError } = require('../errors');
+
+/**
+ * Map any thrown error to a GraphQLError
+ *
+ * @param {Error} error - Error caught in a resolver
+ * @returns {GraphQLError} Error with extensions.code (and details) set
+ */
+function toGraphQLError(error) {
+  if (error instanceof AppError) {
+    return new GraphQLError(error.message, {
+      originalError: error,
+      extensions: { code: error.code, ...error.details },
+    });
+  }
+
+  console.error('Unexpected resolver error:', error);
+  return new GraphQLError('Something went wrong while preparing the forecast', {
+    extensions: { code: 'INTERNAL_SERVER_ERROR' },
+  });
+}
+
+module.exports = { toGraphQLError };
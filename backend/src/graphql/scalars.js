@@ -0,0 +1,90 @@
+/**
+ * Date Scalars
+ *
+ * Forecast dates and times are local to the place they describe: a day is
+ * a calendar date where the weather happens, not a moment in UTC, and an
+ * hour is a wall-clock time there. They have no offset on purpose, so a
+ * client must not parse them as instants (new Date("2026-10-19") is UTC
+ * midnight, which is still the day before west of Greenwich). The place's
+ * timezone is on ActivityForecast for formatting them.
+ *
+ * - LocalDate: "2026-10-19"
+ * - LocalDateTime: "2026-10-19T14:00", minute precision as Open-Meteo sends it
+ */
+
+const { GraphQLScalarType, GraphQLError, Kind } = require('graphql');
+const { isValidDate } = require('../dates');
+
+// 24:00 is allowed as the end of a time window running to midnight
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+/**
+ * Check that a string is a local date and time in YYYY-MM-DDTHH:MM form
+ *
+ * @param {string} value - String to check
+ * @returns {boolean} False for other formats, offsets and seconds included
+ */
+function isValidDateTime(value) {
+  const [date, time, ...rest] = value.split('T');
+  return rest.length === 0 && isValidDate(date) && TIME_PATTERN.test(time || '');
+}
+
+/**
+ * Build a scalar for strings of one format, checked both ways
+ *
+ * Bad variables are reported as INVALID_INPUT like the resolvers' own
+ * checks (a bad literal in the query text fails validation instead); a bad
+ * value on the way out is a server bug and fails loudly.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Scalar name
+ * @param {string} options.description - Schema description
+ * @param {Function} options.isValid - (string) => boolean
+ * @param {string} options.format - Expected format, for error messages
+ * @returns {GraphQLScalarType}
+ */
+function createFormattedStringScalar({ name, description, isValid, format }) {
+  const parse = (value) => {
+    if (typeof value !== 'string' || !isValid(value)) {
+      throw new GraphQLError(`${name} must be in ${format} format`, {
+        extensions: { code: 'INVALID_INPUT' },
+      });
+    }
+    return value;
+  };
+
+  return new GraphQLScalarType({
+    name,
+    description,
+    serialize(value) {
+      if (typeof value !== 'string' || !isValid(value)) {
+        throw new TypeError(`${name} cannot represent ${JSON.stringify(value)}`);
+      }
+      return value;
+    },
+    parseValue: parse,
+    parseLiteral(ast) {
+      return parse(ast.kind === Kind.STRING ? ast.value : undefined);
+    },
+  });
+}
+
+const LocalDate = createFormattedStringScalar({
+  name: 'LocalDate',
+  description: 'Calendar date at the place, YYYY-MM-DD, with no timezone',
+  isValid: isValidDate,
+  format: 'YYYY-MM-DD',
+});
+
+const LocalDateTime = createFormattedStringScalar({
+  name: 'LocalDateTime',
+  description: 'Wall-clock time at the place, YYYY-MM-DDTHH:MM, with no offset',
+  isValid: isValidDateTime,
+  format: 'YYYY-MM-DDTHH:MM',
+});
+
+module.exports = {
+  LocalDate,
+  LocalDateTime,
+  isValidDateTime,
+};
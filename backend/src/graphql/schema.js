@@ -7,6 +7,28 @@
 
 const weatherService = require('../services/weatherService');
 const activityRankingService = require('../services/activityRankingService');
+const customActivityService = require('../services/customActivityService');
+const tripPlannerService = require('../services/tripPlannerService');
+const profileService = require('../services/profileService');
+const favoriteService = require('../services/favoriteService');
+const { InvalidInputError } = require('../errors');
+const { convertRecord, convertValue, getFieldUnits } = require('../units');
+const { toGraphQLError } = require('./errors');
+const { LocalDate, LocalDateTime } = require('./scalars');
+const { assessDay } = require('../services/safetyService');
+const { describeWeatherCode } = require('../weatherCodes');
+const {
+  validateForecastTarget,
+  validateDateRange,
+  validateClimateYears,
+  validateSlotConstraints,
+  validateItineraryConstraints,
+  validateLocation,
+  validateLocationList,
+  validateLimit,
+  activityInputToDefinition,
+  profileInputToProfile,
+} = require('./validation');
 
 /**
  * Type Definitions (Schema)
@@ -14,40 +36,445 @@ const activityRankingService = require('../services/activityRankingService');
  * Defines the structure of the GraphQL API:
  * - Types: Custom object types that represent data structures
  * - Queries: Read operations available to clients
+ * - Mutations: Write operations (custom activities, scoring profiles)
  */
 const typeDefs = `#graphql
+  """
+  Calendar date at the place, YYYY-MM-DD, with no timezone: not a moment in UTC
+  """
+  scalar LocalDate
+
+  """
+  Wall-clock time at the place, YYYY-MM-DDTHH:MM, with no offset (see
+  ActivityForecast.timezone)
+  """
+  scalar LocalDateTime
+
+  """
+  Units weather values are given in
+  """
+  enum UnitSystem {
+    "°C, mm, cm, km/h, m"
+    METRIC
+    "°F, in, mph, ft"
+    IMPERIAL
+  }
+
+  """
+  The unit of one weather field, e.g. { field: "windSpeed", unit: "mph" }
+  """
+  type FieldUnit {
+    "DailyWeather or HourlyWeather field name, or elevation"
+    field: String!
+    "Empty for unitless values such as uvIndex"
+    unit: String!
+  }
+
+  """
+  Overall weather of a day, grouping the WMO weather codes
+  """
+  enum SkyCondition {
+    SUNNY
+    PARTLY_CLOUDY
+    CLOUDY
+    FOG
+    DRIZZLE
+    RAIN
+    SHOWERS
+    FREEZING_RAIN
+    SNOW
+    THUNDERSTORM
+  }
+
+  """
+  Kind of dangerous weather
+  """
+  enum Hazard {
+    THUNDERSTORM
+    FREEZING_RAIN
+    HEAVY_SNOW
+    HIGH_WIND
+    EXTREME_HEAT
+    EXTREME_COLD
+  }
+
+  """
+  How dangerous a hazard is
+  """
+  enum AlertSeverity {
+    "Outdoor activities are capped at a Poor score"
+    WARNING
+    "Outdoor activities are ruled out (score 0, never planned)"
+    SEVERE
+  }
+
+  """
+  A hazard forecast for a day, e.g. { hazard: HIGH_WIND, severity: WARNING, message: "Gusts up to 68.5 km/h" }
+  """
+  type WeatherAlert {
+    hazard: Hazard!
+    severity: AlertSeverity!
+    message: String!
+  }
+
   """
   Represents a single day's weather forecast
+
+  Units noted below are metric; with imperial units, ActivityForecast.units
+  gives each field's unit.
   """
   type DailyWeather {
-    date: String!
+    date: LocalDate!
     maxTemp: Float!
     minTemp: Float!
     precipitation: Float!
     windSpeed: Float!
     snowfall: Float!
     cloudCover: Float!
+    "Strongest wind gust (km/h)"
+    windGusts: Float!
+    "Dominant direction the wind comes from (degrees, 0 = north)"
+    windDirection: Float!
+    uvIndex: Float!
+    "Highest hourly chance of precipitation (%)"
+    precipitationProbability: Float!
+    sunshineHours: Float!
+    daylightHours: Float!
+    "Local time, e.g. 2026-10-19T07:35 (null during polar day or night)"
+    sunrise: LocalDateTime
+    sunset: LocalDateTime
+    "Feels-like high and low, accounting for wind and humidity (°C)"
+    apparentMaxTemp: Float!
+    apparentMinTemp: Float!
+    "Highest significant wave height (m); marine fields are null inland"
+    waveHeight: Float
+    "Longest swell period (s)"
+    swellPeriod: Float
+    "Dominant direction the swell comes from (degrees, 0 = north)"
+    swellDirection: Float
+    "Average sea surface temperature (°C)"
+    seaSurfaceTemp: Float
+    "Deepest snow on the ground during the day (cm)"
+    snowDepth: Float!
+    "Snowfall over this day and the two before it (cm)"
+    recentSnowfall: Float!
+    "Highest altitude of the 0°C level during the day (m)"
+    freezingLevel: Float
+    "How far the freezing level is above the location (m, negative if freezing all day)"
+    freezingLevelAboveSite: Float
+    "Hazards forecast for the day, severe ones first"
+    alerts: [WeatherAlert!]!
+    "Most severe WMO weather code of the day (null for past weather recorded without one)"
+    weatherCode: Int
+    "Overall weather, from the weather code"
+    condition: SkyCondition
+    "Weather code in words, e.g. Light showers"
+    conditionDescription: String
+  }
+
+  """
+  Represents one hour's weather forecast (time is local to the location)
+  """
+  type HourlyWeather {
+    "Local time, e.g. 2026-10-19T14:00"
+    time: LocalDateTime!
+    temperature: Float!
+    precipitationProbability: Float!
+    precipitation: Float!
+    windSpeed: Float!
+    windGusts: Float!
+    cloudCover: Float!
   }
 
   """
   Represents the ranking score for a specific activity on a specific day
   """
   type ActivityDayScore {
-    date: String!
+    date: LocalDate!
     score: Int!
+    "Great, Good, OK, Poor, Unsafe, or Not applicable"
     conditions: String!
+    "Where the score came from; the points add up to the score"
+    factors: [ScoreFactor!]!
+    "False when the location lacks data the activity needs (score is then 0)"
+    applicable: Boolean!
+    "Alerts that capped the score (none for indoor activities)"
+    alerts: [WeatherAlert!]!
+    "True when a severe alert rules the activity out (score is then 0)"
+    unsafe: Boolean!
+    "Score for each daylight hour (local time)"
+    hourlyScores: [HourScore!]!
+    "Best contiguous stretch of the day (null without hourly data or if every hour scores 0)"
+    bestWindow: TimeWindow
   }
 
   """
-  Contains all rankings for a single activity across 7 days
+  An activity's score for a single hour
+  """
+  type HourScore {
+    time: LocalDateTime!
+    score: Int!
+  }
+
+  """
+  A stretch of consecutive hours, e.g. 13:00 until 17:00 (end is exclusive,
+  and 24:00 for a window running to midnight)
+  """
+  type TimeWindow {
+    start: LocalDateTime!
+    end: LocalDateTime!
+    averageScore: Int!
+  }
+
+  """
+  One contribution to a daily score, e.g. label "wind 12 km/h" with points 25
+  """
+  type ScoreFactor {
+    label: String!
+    points: Float!
+  }
+
+  """
+  Contains all rankings for a single activity across the requested days
   """
   type ActivityRanking {
     activity: String!
+    activityId: ID!
+    "Emoji chosen for a custom activity (null for built-ins)"
+    icon: String
+    builtin: Boolean!
+    indoor: Boolean!
+    "False when the activity is impossible here, e.g. surfing inland"
+    applicable: Boolean!
+    "Average over the days the activity is applicable (0 if none)"
     averageScore: Int!
     dailyScores: [ActivityDayScore!]!
     recommendation: String!
   }
 
+  """
+  A range condition on one weather variable (all given bounds must hold)
+  """
+  type WeatherCondition {
+    "DailyWeather field name, e.g. maxTemp, windSpeed"
+    variable: String!
+    gt: Float
+    gte: Float
+    lt: Float
+    lte: Float
+    eq: Float
+  }
+
+  """
+  Points proportional to a weather variable (value * factor, limited to min..max)
+  """
+  type ScoreScale {
+    variable: String!
+    factor: Float!
+    min: Float
+    max: Float
+  }
+
+  """
+  One scoring rule: when every condition holds, add points (or scaled points)
+  """
+  type ActivityRule {
+    """
+    Explanation shown in score breakdowns (defaults to the tested weather
+    values); "{variable}" stands for that condition's limit, shown in the
+    requested units
+    """
+    label: String
+    when: [WeatherCondition!]!
+    points: Float
+    scale: ScoreScale
+  }
+
+  """
+  Lowest and highest possible score
+  """
+  type ScoreRange {
+    min: Float!
+    max: Float!
+  }
+
+  """
+  Declarative definition of how an activity is scored
+  """
+  type ActivityDefinition {
+    id: ID!
+    name: String!
+    description: String
+    icon: String
+    builtin: Boolean!
+    "Done indoors, so it does not depend much on the weather"
+    indoor: Boolean!
+    baseScore: Float!
+    "Weather variables that must have data for the activity to be possible (e.g. waveHeight)"
+    requires: [String!]!
+    "Hazards that do not cap the score (e.g. HEAVY_SNOW for skiing)"
+    toleratedHazards: [Hazard!]!
+    rules: [ActivityRule!]!
+    clamp: ScoreRange!
+  }
+
+  input WeatherConditionInput {
+    variable: String!
+    gt: Float
+    gte: Float
+    lt: Float
+    lte: Float
+    eq: Float
+  }
+
+  input ScoreScaleInput {
+    variable: String!
+    factor: Float!
+    min: Float
+    max: Float
+  }
+
+  """
+  Give either points or scale
+  """
+  input ActivityRuleInput {
+    "May include {variable} for the limit of a condition with one operator, e.g. gusts over {windGusts}"
+    label: String
+    when: [WeatherConditionInput!]!
+    points: Float
+    scale: ScoreScaleInput
+  }
+
+  input ScoreRangeInput {
+    min: Float!
+    max: Float!
+  }
+
+  """
+  Weather preferences of a custom activity
+  """
+  input ActivityInput {
+    name: String!
+    description: String
+    "Emoji shown on the activity card"
+    icon: String
+    "Done indoors (default false); trip itineraries can limit indoor days"
+    indoor: Boolean
+    baseScore: Float!
+    "Weather variables that must have data, e.g. waveHeight for a sea activity"
+    requires: [String!]
+    "Hazards that should not cap the score, e.g. HEAVY_SNOW for a snow activity"
+    toleratedHazards: [Hazard!]
+    rules: [ActivityRuleInput!]!
+    "Defaults to 0-100"
+    clamp: ScoreRangeInput
+  }
+
+  """
+  How much one person cares about an activity
+  """
+  type ActivityPreference {
+    activityId: ID!
+    "Multiplies the activity's scores (0-3, 1 = unchanged)"
+    weight: Float!
+    "Comfortable feels-like high for this activity (°C), replacing the profile's range"
+    minTemp: Float
+    maxTemp: Float
+  }
+
+  """
+  One person's weather tolerances and activity preferences
+  """
+  type ScoringProfile {
+    id: ID!
+    name: String!
+    "Comfortable feels-like high (°C); outdoor days outside it lose points"
+    minTemp: Float
+    maxTemp: Float
+    "Highest comfortable wind speed (km/h)"
+    maxWind: Float
+    "Most rain (mm per day) that does not spoil an outdoor day"
+    maxRain: Float
+    activityPreferences: [ActivityPreference!]!
+  }
+
+  input ActivityPreferenceInput {
+    activityId: ID!
+    "Default 1"
+    weight: Float
+    minTemp: Float
+    maxTemp: Float
+  }
+
+  input ScoringProfileInput {
+    name: String!
+    minTemp: Float
+    maxTemp: Float
+    maxWind: Float
+    maxRain: Float
+    activityPreferences: [ActivityPreferenceInput!]
+  }
+
+  """
+  A place saved under a nickname
+  """
+  type FavoriteLocation {
+    id: ID!
+    nickname: String!
+    "Place name as resolved when it was saved"
+    location: String!
+    latitude: Float!
+    longitude: Float!
+    "Candidate id of the place saved, unless it was given by coordinates"
+    locationId: ID
+  }
+
+  """
+  A place to save: a nickname and exactly one of location, locationId, or
+  latitude and longitude (as for getActivityForecast)
+  """
+  input FavoriteInput {
+    nickname: String!
+    location: String
+    locationId: ID
+    latitude: Float
+    longitude: Float
+  }
+
+  """
+  What a favorite place is best for over the date range
+  """
+  type PlaceOverview {
+    favorite: FavoriteLocation!
+    "IANA timezone of the place; bestDay's date is local to it (null if the place could not be found)"
+    timezone: String
+    "Why this place has no forecast (null when it has one)"
+    error: String
+    "Activity with the highest average score (null if none is possible here)"
+    topActivity: ActivityRanking
+    "The top activity's best day that is possible and safe (null if there is none)"
+    bestDay: ActivityDayScore
+  }
+
+  """
+  A place matching a location search, used to pick between places sharing a name
+  """
+  type LocationCandidate {
+    id: ID!
+    name: String!
+    admin1: String
+    country: String
+    countryCode: String
+    population: Int
+    latitude: Float!
+    longitude: Float!
+    "Altitude (m)"
+    elevation: Float
+    "IANA timezone of the place, e.g. Europe/London"
+    timezone: String
+    displayName: String!
+  }
+
   """
   Complete response containing weather data and activity rankings
   """
@@ -55,8 +482,173 @@ const typeDefs = `#graphql
     location: String!
     latitude: Float!
     longitude: Float!
+    "Altitude the forecast is for (m)"
+    elevation: Float!
+    "Whether the location has sea (marine) data for these dates; never for archived past weather, nor when the marine lookup fails"
+    coastal: Boolean!
+    "IANA timezone of the place, e.g. Europe/London; every date and time is local to it"
+    timezone: String!
+    "UTC offset at the start of the range (seconds, e.g. 3600); it changes at daylight saving transitions"
+    utcOffsetSeconds: Int!
     dailyWeather: [DailyWeather!]!
+    hourlyWeather: [HourlyWeather!]!
     rankings: [ActivityRanking!]!
+    "Unit system of the weather values and of the values quoted in score factors"
+    unitSystem: UnitSystem!
+    "Unit of every weather field"
+    units: [FieldUnit!]!
+  }
+
+  """
+  Limits on which slots findBestSlots may suggest
+  """
+  input SlotConstraints {
+    "Length of each slot in consecutive days (default 1)"
+    consecutiveDays: Int
+    "Most rainy days (1 mm or more) a slot may include"
+    maxRainyDays: Int
+    "Lowest score any day of a slot may have"
+    minDailyScore: Int
+  }
+
+  """
+  One activity at one place over one or more consecutive days
+  """
+  type ActivitySlot {
+    location: String!
+    latitude: Float!
+    longitude: Float!
+    activity: String!
+    activityId: ID!
+    icon: String
+    "IANA timezone of the place, which the dates are local to"
+    timezone: String!
+    startDate: LocalDate!
+    endDate: LocalDate!
+    "Average daily score over the slot"
+    score: Int!
+    "Days with 1 mm of precipitation or more"
+    rainyDays: Int!
+    days: [ActivityDayScore!]!
+  }
+
+  """
+  A day of the trip whose activity the user has chosen
+  """
+  input PinnedDay {
+    "Within the trip"
+    date: LocalDate!
+    "Activity id or name"
+    activity: String!
+  }
+
+  """
+  Limits on the itinerary planItinerary builds
+  """
+  input ItineraryConstraints {
+    "Activity ids or names to do at least once"
+    mustDo: [String!]
+    "Most days spent on indoor activities"
+    maxIndoorDays: Int
+    "Do each activity at most once (default false)"
+    noRepeats: Boolean
+    "Days whose activity is fixed; the other days are planned around them"
+    pinned: [PinnedDay!]
+  }
+
+  """
+  An activity possible on an itinerary day
+  """
+  type ItineraryOption {
+    activity: String!
+    activityId: ID!
+    icon: String
+    indoor: Boolean!
+    score: Int!
+  }
+
+  """
+  One day of an itinerary
+  """
+  type ItineraryDay {
+    date: LocalDate!
+    "Null on a free day, when no allowed activity is possible"
+    activity: String
+    activityId: ID
+    icon: String
+    indoor: Boolean!
+    "0 on a free day"
+    score: Int!
+    conditions: String
+    bestWindow: TimeWindow
+    "Whether the activity was pinned by the user"
+    pinned: Boolean!
+    "Every activity possible that day, best first, to swap in"
+    alternatives: [ItineraryOption!]!
+  }
+
+  """
+  One activity per day of a trip at one place
+  """
+  type Itinerary {
+    location: String!
+    latitude: Float!
+    longitude: Float!
+    "IANA timezone of the place, which the dates are local to"
+    timezone: String!
+    startDate: LocalDate!
+    endDate: LocalDate!
+    "Sum of the daily scores"
+    totalScore: Int!
+    "Whether this is the best plan possible; trips with many activities to track are planned greedily"
+    exact: Boolean!
+    days: [ItineraryDay!]!
+  }
+
+  """
+  How suitable one calendar month has been for an activity, from past weather
+  """
+  type MonthlySuitability {
+    "1 = January ... 12 = December"
+    month: Int!
+    name: String!
+    "Average daily score over the days the activity was possible (null if never)"
+    averageScore: Int
+    "Share of days scoring 60 or more (%)"
+    goodDays: Int!
+    "Recorded days the month was averaged over (all years together)"
+    daysSampled: Int!
+  }
+
+  """
+  Month-by-month suitability of one activity
+  """
+  type ActivityClimate {
+    activity: String!
+    activityId: ID!
+    icon: String
+    builtin: Boolean!
+    "False when the location lacks data the activity needs"
+    applicable: Boolean!
+    "The best month and any scoring within 5 points of it (1-12)"
+    bestMonths: [Int!]!
+    months: [MonthlySuitability!]!
+    recommendation: String!
+  }
+
+  """
+  Typical activity suitability per month, computed from several years of past weather
+  """
+  type ClimateOutlook {
+    location: String!
+    latitude: Float!
+    longitude: Float!
+    elevation: Float!
+    coastal: Boolean!
+    "First and last day of the weather history used"
+    startDate: LocalDate!
+    endDate: LocalDate!
+    activities: [ActivityClimate!]!
   }
 
   """
@@ -66,13 +658,254 @@ const typeDefs = `#graphql
     """
     Get weather forecast and activity rankings for a location
     
-    Args:
-      location: City or town name (e.g., "London", "New York")
+    Args (give exactly one way of identifying the place):
+      location: City or town name (e.g., "London", "New York"), best match is used
+      locationId: Id of a candidate returned by searchLocations
+      latitude/longitude: Exact coordinates; the location name is the nearest
+        place found by reverse geocoding, or the coordinates if none is nearby
+
+    Optional date range (up to 16 days ahead, or any past dates since 1940;
+    "today" is the date at the place, in its timezone):
+      startDate: First day, YYYY-MM-DD (default today at the place)
+      days: Number of days, 1-16 (default 7)
+
+    profileId: Scoring profile to personalize the scores with (see profiles)
+    units: METRIC (default) or IMPERIAL; scores are the same either way
     
     Returns:
       Complete forecast with weather data and activity rankings
+
+    Errors (extensions.code):
+      INVALID_INPUT, LOCATION_NOT_FOUND, UPSTREAM_UNAVAILABLE, RATE_LIMITED
+    """
+    getActivityForecast(
+      location: String
+      locationId: ID
+      latitude: Float
+      longitude: Float
+      startDate: LocalDate
+      days: Int
+      profileId: ID
+      units: UnitSystem = METRIC
+    ): ActivityForecast!
+
+    """
+    Compare the forecast of several places over the same days
+
+    Args:
+      locations: 2-5 city or town names (best match of each is used)
+      activity: Only rank this activity, by id or name (default every activity)
+      startDate/days: Date range, as for getActivityForecast
+      units: METRIC (default) or IMPERIAL
+
+    Returns:
+      One forecast per place, in the order given
+
+    Errors (extensions.code):
+      INVALID_INPUT, LOCATION_NOT_FOUND (naming the place), UPSTREAM_UNAVAILABLE, RATE_LIMITED
+    """
+    compareLocations(
+      locations: [String!]!
+      activity: String
+      startDate: LocalDate
+      days: Int
+      units: UnitSystem = METRIC
+    ): [ActivityForecast!]!
+
+    """
+    Find the best moments for activities across several places:
+    "which day should we go skiing, and where?"
+
+    Args:
+      locations: 1-5 city or town names (best match of each is used)
+      activities: Activity ids or names to consider (default every activity)
+      startDate/days: Date range searched, as for getActivityForecast
+      limit: Number of slots to return, 1-20 (default 5)
+      constraints: Slot length, most rainy days, lowest daily score
+      units: METRIC (default) or IMPERIAL, for the conditions described
+
+    Returns:
+      Best slots first; days on which an activity is not possible, or unsafe,
+      are never suggested
+
+    Errors (extensions.code):
+      INVALID_INPUT, LOCATION_NOT_FOUND, UPSTREAM_UNAVAILABLE, RATE_LIMITED
+    """
+    findBestSlots(
+      locations: [String!]!
+      activities: [String!]
+      startDate: LocalDate
+      days: Int
+      limit: Int
+      constraints: SlotConstraints
+      units: UnitSystem = METRIC
+    ): [ActivitySlot!]!
+
+    """
+    Plan a trip at one place: one activity per day, maximizing the total score
+
+    Args:
+      location/locationId/latitude/longitude: As for getActivityForecast
+      startDate/days: Trip dates, as for getActivityForecast
+      constraints: Must-do activities, most indoor days, no repeats, pinned days
+      units: METRIC (default) or IMPERIAL, for the conditions described
+
+    Returns:
+      The best itinerary meeting every constraint; days on which no allowed
+      activity is possible (and safe) are left free. Trips with more than 10
+      activities to keep apart (noRepeats, or many must-do) are planned
+      greedily instead, and report exact: false
+
+    Errors (extensions.code):
+      INVALID_INPUT (also when the constraints cannot all be met),
+      LOCATION_NOT_FOUND, UPSTREAM_UNAVAILABLE, RATE_LIMITED
+    """
+    planItinerary(
+      location: String
+      locationId: ID
+      latitude: Float
+      longitude: Float
+      startDate: LocalDate
+      days: Int
+      constraints: ItineraryConstraints
+      units: UnitSystem = METRIC
+    ): Itinerary!
+
+    """
+    Get the typical suitability of activities for each month of the year,
+    for planning trips beyond the forecast
+
+    Every day of the last complete years of recorded weather is scored like
+    a forecast day, then the scores are averaged per calendar month.
+
+    Args:
+      location/locationId/latitude/longitude: As for getActivityForecast
+      activityId: Only this activity (default every activity)
+      years: Years of past weather to average over, 1-30 (default 10)
+
+    Errors (extensions.code):
+      INVALID_INPUT, LOCATION_NOT_FOUND, UPSTREAM_UNAVAILABLE, RATE_LIMITED
+    """
+    getClimateOutlook(
+      location: String
+      locationId: ID
+      latitude: Float
+      longitude: Float
+      activityId: ID
+      years: Int
+    ): ClimateOutlook!
+
+    """
+    Find all places matching a name, most relevant first
+
+    Args:
+      query: City or town name (e.g., "Springfield")
+      limit: Maximum number of candidates (1-10, default 10)
+
+    Returns:
+      Matching candidates, or an empty list if nothing matched
+    """
+    searchLocations(query: String!, limit: Int): [LocationCandidate!]!
+
+    """
+    List all activity definitions, built-in first, then custom
+    """
+    activities: [ActivityDefinition!]!
+
+    """
+    List all scoring profiles, oldest first
+    """
+    profiles: [ScoringProfile!]!
+
+    """
+    List all favorite places, oldest first
+    """
+    favorites: [FavoriteLocation!]!
+
+    """
+    The best activity at every favorite place, in one call
+
+    Args:
+      startDate/days: Date range, as for getActivityForecast
+      profileId: Scoring profile to personalize the scores with
+      units: METRIC (default) or IMPERIAL
+
+    Returns:
+      One overview per favorite, oldest first; the places are forecast in
+      parallel, and a place whose lookup or forecast fails is returned with
+      its error (and no activity) instead of failing the others
+
+    Errors (extensions.code):
+      INVALID_INPUT
     """
-    getActivityForecast(location: String!): ActivityForecast!
+    myPlaces(
+      startDate: LocalDate
+      days: Int
+      profileId: ID
+      units: UnitSystem = METRIC
+    ): [PlaceOverview!]!
+  }
+
+  """
+  Available mutations
+  """
+  type Mutation {
+    """
+    Add a custom activity (at most 50); it is ranked in every
+    getActivityForecast from now on
+
+    Errors (extensions.code):
+      INVALID_INPUT (invalid rules, the name is already used or 50 are saved)
+    """
+    createActivity(input: ActivityInput!): ActivityDefinition!
+
+    """
+    Replace a custom activity's definition (built-in activities cannot be changed)
+    """
+    updateActivity(id: ID!, input: ActivityInput!): ActivityDefinition!
+
+    """
+    Delete a custom activity; returns true once deleted
+    """
+    deleteActivity(id: ID!): Boolean!
+
+    """
+    Add a scoring profile (at most 50)
+
+    Errors (extensions.code):
+      INVALID_INPUT (invalid limits, unknown activity, the name is already used
+      or 50 are saved)
+    """
+    createProfile(input: ScoringProfileInput!): ScoringProfile!
+
+    """
+    Replace a scoring profile
+    """
+    updateProfile(id: ID!, input: ScoringProfileInput!): ScoringProfile!
+
+    """
+    Delete a scoring profile; returns true once deleted
+    """
+    deleteProfile(id: ID!): Boolean!
+
+    """
+    Save a place as a favorite (at most 20)
+
+    Errors (extensions.code):
+      INVALID_INPUT (nickname empty or already used, place already saved),
+      LOCATION_NOT_FOUND
+    """
+    createFavorite(input: FavoriteInput!): FavoriteLocation!
+
+    """
+    Give a favorite another nickname
+    """
+    renameFavorite(id: ID!, nickname: String!): FavoriteLocation!
+
+    """
+    Delete a favorite; returns true once deleted
+    """
+    deleteFavorite(id: ID!): Boolean!
   }
 `;
 
@@ -85,6 +918,109 @@ const typeDefs = `#graphql
  * Best Practice: Resolvers are kept thin - they delegate to service layer
  * for actual business logic and data fetching.
  */
+// Slots returned by findBestSlots unless a limit is given, and the most allowed
+const DEFAULT_SLOT_LIMIT = 5;
+const MAX_SLOT_LIMIT = 20;
+
+/**
+ * Pick activities by id or name (case-insensitive)
+ *
+ * @param {Array<Object>} activities - Built-in and custom activity definitions
+ * @param {string} [wanted] - Activity id or name; all activities when absent
+ * @param {string} field - Argument name reported if nothing matches
+ * @returns {Array<Object>} The matching activity, or all of them
+ * @throws {InvalidInputError} If no activity matches
+ */
+function selectActivities(activities, wanted, field) {
+  if (wanted == null) {
+    return activities;
+  }
+  const key = wanted.trim();
+  const selected = activities.filter(
+    (activity) => activity.id === key || activity.name.toLowerCase() === key.toLowerCase()
+  );
+  if (selected.length === 0) {
+    throw new InvalidInputError(`No activity with id or name "${wanted}"`, { field });
+  }
+  return selected;
+}
+
+/**
+ * Resolve the places of a query
+ *
+ * Places are resolved before the date range is checked, since "today" is
+ * the date at the place (see validateDateRange).
+ *
+ * @param {Array<Object>} targets - Validated places ({ location } |
+ *                                  { locationId } | { latitude, longitude })
+ * @param {Array<Object>} [cacheLog] - Receives cache outcomes
+ * @returns {Promise<Array<Object>>} { latitude, longitude, elevation,
+ *                                   displayName, timezone } per target
+ */
+function resolvePlaces(targets, cacheLog) {
+  return Promise.all(targets.map((target) => weatherService.resolveLocation(target, { cacheLog })));
+}
+
+/**
+ * Fetch the weather for one place and rank the activities on it
+ *
+ * @param {Object} place - Resolved place (see resolvePlaces)
+ * @param {Object} options
+ * @param {string} options.startDate - First day of the range
+ * @param {number} options.days - Length of the range in days
+ * @param {Array<Object>} options.customActivities - Ranked alongside the built-in ones
+ * @param {Object} [options.profile] - Scoring profile to personalize the scores with
+ * @param {string} [options.units] - 'metric' (default) or 'imperial'
+ * @param {Array<Object>} [options.cacheLog] - Receives cache outcomes
+ * @returns {Promise<Object>} ActivityForecast
+ */
+async function buildActivityForecast(place, {
+  startDate,
+  days,
+  customActivities,
+  profile,
+  units = 'metric',
+  cacheLog,
+}) {
+  // Step 1: The place's coordinates, from geocoding a city name or candidate id
+  // (see resolvePlaces)
+  const { latitude, longitude, elevation, displayName, timezone } = place;
+
+  // Step 2: Fetch daily and hourly weather for the date range using coordinates
+  const weatherData = await weatherService.getWeatherForecast(
+    latitude,
+    longitude,
+    { cacheLog, elevation, timezone, startDate, days }
+  );
+
+  // Step 3: Calculate activity rankings based on weather conditions
+  // (always from metric weather, whatever units the response uses)
+  const rankings = activityRankingService.calculateActivityRankings(
+    weatherData,
+    customActivities,
+    { profile, units }
+  );
+
+  // Step 4: Return combined data matching GraphQL schema, in the requested units
+  return {
+    location: displayName,
+    latitude,
+    longitude,
+    elevation: convertValue('elevation', weatherData.elevation, units),
+    coastal: weatherData.coastal,
+    timezone: weatherData.timezone,
+    utcOffsetSeconds: weatherData.utcOffsetSeconds,
+    dailyWeather: weatherData.daily.map((day) => ({
+      ...convertRecord(day, units),
+      alerts: assessDay(day, units),
+    })),
+    hourlyWeather: weatherData.hourly.map((hour) => convertRecord(hour, units)),
+    rankings,
+    unitSystem: units,
+    units: getFieldUnits(units),
+  };
+}
+
 const resolvers = {
   Query: {
     /**
@@ -92,41 +1028,505 @@ const resolvers = {
      * 
      * @param {Object} _ - Parent object (not used in root query)
      * @param {Object} args - Query arguments
-     * @param {string} args.location - The location to fetch forecast for
+     * @param {string} [args.location] - The location name to fetch forecast for
+     * @param {string} [args.locationId] - Candidate id from searchLocations
+     * @param {number} [args.latitude] - Latitude (with longitude)
+     * @param {number} [args.longitude] - Longitude (with latitude)
+     * @param {string} [args.startDate] - First day of the range (default today)
+     * @param {number} [args.days] - Length of the range in days (default 7)
+     * @param {string} [args.profileId] - Scoring profile to apply
+     * @param {string} args.units - 'metric' or 'imperial'
+     * @param {Object} context - Per-request context (cacheLog records cache outcomes)
      * @returns {Promise<Object>} Complete activity forecast
      */
-    getActivityForecast: async (_, { location }) => {
+    getActivityForecast: async (_, args, { cacheLog }) => {
+      try {
+        const target = validateForecastTarget(args);
+        const profile = args.profileId == null ? null : await profileService.getProfile(args.profileId);
+        const [place] = await resolvePlaces([target], cacheLog);
+        const { startDate, days } = validateDateRange(args, [place.timezone]);
+
+        // Custom activities are ranked alongside the built-in ones
+        return await buildActivityForecast(place, {
+          startDate,
+          days,
+          customActivities: await customActivityService.listCustomActivities(),
+          profile,
+          units: args.units,
+          cacheLog,
+        });
+      } catch (error) {
+        // Error handling: Typed errors become GraphQL errors with extensions.code
+        // (LOCATION_NOT_FOUND, UPSTREAM_UNAVAILABLE, INVALID_INPUT, RATE_LIMITED)
+        throw toGraphQLError(error);
+      }
+    },
+
+    /**
+     * Resolver for compareLocations query
+     *
+     * The places are looked up and forecast in parallel; if any of them
+     * fails (e.g. is not found) the whole comparison fails with its error.
+     *
+     * @param {Object} _ - Parent object (not used in root query)
+     * @param {Object} args - Query arguments
+     * @param {Array<string>} args.locations - Place names to compare
+     * @param {string} [args.activity] - Only rank this activity (id or name)
+     * @param {string} [args.startDate] - First day of the range (default today)
+     * @param {number} [args.days] - Length of the range in days (default 7)
+     * @param {string} args.units - 'metric' or 'imperial'
+     * @param {Object} context - Per-request context (cacheLog records cache outcomes)
+     * @returns {Promise<Array<Object>>} One ActivityForecast per place, in the order given
+     */
+    compareLocations: async (_, args, { cacheLog }) => {
+      try {
+        const locations = validateLocationList(args.locations, 2);
+        const customActivities = await customActivityService.listCustomActivities();
+        const activityIds = selectActivities(
+          [...activityRankingService.getBuiltinActivities(), ...customActivities],
+          args.activity,
+          'activity'
+        ).map((activity) => activity.id);
+
+        const places = await resolvePlaces(locations.map((location) => ({ location })), cacheLog);
+        const { startDate, days } = validateDateRange(args, places.map((place) => place.timezone));
+        const forecasts = await Promise.all(places.map((place) =>
+          buildActivityForecast(place, {
+            startDate,
+            days,
+            customActivities,
+            units: args.units,
+            cacheLog,
+          })
+        ));
+        return forecasts.map((forecast) => ({
+          ...forecast,
+          rankings: forecast.rankings.filter((ranking) => activityIds.includes(ranking.activityId)),
+        }));
+      } catch (error) {
+        throw toGraphQLError(error);
+      }
+    },
+
+    /**
+     * Resolver for findBestSlots query
+     *
+     * @param {Object} _ - Parent object (not used in root query)
+     * @param {Object} args - Query arguments
+     * @param {Array<string>} args.locations - Candidate place names
+     * @param {Array<string>} [args.activities] - Activity ids or names (default all)
+     * @param {string} [args.startDate] - First day searched (default today)
+     * @param {number} [args.days] - Days searched (default 7)
+     * @param {number} [args.limit] - Number of slots (default 5)
+     * @param {Object} [args.constraints] - SlotConstraints
+     * @param {string} args.units - 'metric' or 'imperial'
+     * @param {Object} context - Per-request context (cacheLog records cache outcomes)
+     * @returns {Promise<Array<Object>>} Best slots first
+     */
+    findBestSlots: async (_, args, { cacheLog }) => {
       try {
-        // Step 1: Get coordinates for the location
-        // Geocoding converts city name to lat/lng coordinates
-        const { latitude, longitude, displayName } = 
-          await weatherService.geocodeLocation(location);
+        const locations = validateLocationList(args.locations);
+        const limit = args.limit == null ? DEFAULT_SLOT_LIMIT : validateLimit(args.limit, MAX_SLOT_LIMIT);
+
+        const customActivities = await customActivityService.listCustomActivities();
+        const allActivities = [...activityRankingService.getBuiltinActivities(), ...customActivities];
+        const activityIds = (args.activities == null
+          ? allActivities
+          : args.activities.flatMap((wanted) => selectActivities(allActivities, wanted, 'activities'))
+        ).map((activity) => activity.id);
+
+        const places = await resolvePlaces(locations.map((location) => ({ location })), cacheLog);
+        const { startDate, days } = validateDateRange(args, places.map((place) => place.timezone));
+        const constraints = validateSlotConstraints(args.constraints, days);
+        const forecasts = await Promise.all(places.map((place) =>
+          buildActivityForecast(place, { startDate, days, customActivities, units: args.units, cacheLog })
+        ));
+        return tripPlannerService.findBestSlots(forecasts, { activityIds, limit, ...constraints });
+      } catch (error) {
+        throw toGraphQLError(error);
+      }
+    },
 
-        // Step 2: Fetch 7-day weather forecast using coordinates
-        const weatherData = await weatherService.getWeatherForecast(
-          latitude, 
-          longitude
+    /**
+     * Resolver for planItinerary query
+     *
+     * @param {Object} _ - Parent object (not used in root query)
+     * @param {Object} args - Location arguments, startDate, days, constraints and units
+     * @param {Object} context - Per-request context (cacheLog records cache outcomes)
+     * @returns {Promise<Object>} The best itinerary
+     */
+    planItinerary: async (_, args, { cacheLog }) => {
+      try {
+        const target = validateForecastTarget(args);
+        const [place] = await resolvePlaces([target], cacheLog);
+        const { startDate, days } = validateDateRange(args, [place.timezone]);
+        const constraints = validateItineraryConstraints(args.constraints, { startDate, days });
+
+        // Match activity names before any weather is fetched
+        const customActivities = await customActivityService.listCustomActivities();
+        const allActivities = [...activityRankingService.getBuiltinActivities(), ...customActivities];
+        const activityId = (wanted, field) => selectActivities(allActivities, wanted, field)[0].id;
+        const mustDo = [...new Set(constraints.mustDo.map((wanted) => activityId(wanted, 'mustDo')))];
+        const pinned = Object.fromEntries(
+          constraints.pinned.map(({ date, activity }) => [date, activityId(activity, 'pinned')])
         );
 
-        // Step 3: Calculate activity rankings based on weather conditions
-        const rankings = activityRankingService.calculateActivityRankings(
-          weatherData
+        const forecast = await buildActivityForecast(place, {
+          startDate,
+          days,
+          customActivities,
+          units: args.units,
+          cacheLog,
+        });
+        const itinerary = tripPlannerService.buildItinerary(forecast, { ...constraints, mustDo, pinned });
+
+        return {
+          location: forecast.location,
+          latitude: forecast.latitude,
+          longitude: forecast.longitude,
+          timezone: forecast.timezone,
+          startDate,
+          endDate: forecast.dailyWeather[forecast.dailyWeather.length - 1].date,
+          ...itinerary,
+        };
+      } catch (error) {
+        throw toGraphQLError(error);
+      }
+    },
+
+    /**
+     * Resolver for getClimateOutlook query
+     *
+     * @param {Object} _ - Parent object (not used in root query)
+     * @param {Object} args - Location arguments, optional activityId and years
+     * @param {Object} context - Per-request context (cacheLog records cache outcomes)
+     * @returns {Promise<Object>} Monthly suitability per activity
+     */
+    getClimateOutlook: async (_, args, { cacheLog }) => {
+      try {
+        const years = validateClimateYears(args.years);
+        const target = validateForecastTarget(args);
+
+        // Validate the activity before any weather is fetched
+        const activities = selectActivities([
+          ...activityRankingService.getBuiltinActivities(),
+          ...await customActivityService.listCustomActivities(),
+        ], args.activityId, 'activityId');
+
+        const { latitude, longitude, elevation, displayName } =
+          await weatherService.resolveLocation(target, { cacheLog });
+        const history = await weatherService.getClimateHistory(
+          latitude,
+          longitude,
+          { cacheLog, elevation, years }
         );
 
-        // Step 4: Return combined data matching GraphQL schema
         return {
           location: displayName,
           latitude,
           longitude,
-          dailyWeather: weatherData,
-          rankings,
+          elevation: history.elevation,
+          coastal: history.coastal,
+          startDate: history.startDate,
+          endDate: history.endDate,
+          activities: activityRankingService.calculateClimateOutlook(history, activities),
         };
       } catch (error) {
-        // Error handling: Provide meaningful error messages to client
-        console.error('Error fetching activity forecast:', error);
-        throw new Error(`Failed to fetch forecast for ${location}: ${error.message}`);
+        throw toGraphQLError(error);
+      }
+    },
+
+    /**
+     * Resolver for searchLocations query
+     *
+     * @param {Object} _ - Parent object (not used in root query)
+     * @param {Object} args - Query arguments
+     * @param {string} args.query - The location name to search for
+     * @param {number} [args.limit] - Maximum number of candidates
+     * @param {Object} context - Per-request context (cacheLog records cache outcomes)
+     * @returns {Promise<Array<Object>>} Matching location candidates
+     */
+    searchLocations: async (_, { query, limit }, { cacheLog }) => {
+      try {
+        return await weatherService.searchLocations(validateLocation(query), {
+          limit: validateLimit(limit, weatherService.MAX_CANDIDATES),
+          cacheLog,
+        });
+      } catch (error) {
+        throw toGraphQLError(error);
       }
     },
+
+    /**
+     * Resolver for activities query
+     *
+     * @returns {Promise<Array<Object>>} Built-in and custom activity definitions
+     */
+    activities: async () => [
+      ...activityRankingService.getBuiltinActivities(),
+      ...await customActivityService.listCustomActivities(),
+    ],
+
+    /**
+     * Resolver for profiles query
+     *
+     * @returns {Promise<Array<Object>>} All scoring profiles
+     */
+    profiles: () => profileService.listProfiles(),
+
+    /**
+     * Resolver for favorites query
+     *
+     * @returns {Promise<Array<Object>>} All favorite places
+     */
+    favorites: () => favoriteService.listFavorites(),
+
+    /**
+     * Resolver for myPlaces query
+     *
+     * @param {Object} _ - Parent object (not used in root query)
+     * @param {Object} args - startDate, days, profileId and units
+     * @param {Object} context - Per-request context (cacheLog records cache outcomes)
+     * @returns {Promise<Array<Object>>} One PlaceOverview per favorite
+     */
+    myPlaces: async (_, args, { cacheLog }) => {
+      try {
+        const profile = args.profileId == null ? null : await profileService.getProfile(args.profileId);
+        const customActivities = await customActivityService.listCustomActivities();
+
+        const favorites = await favoriteService.listFavorites();
+        const places = await Promise.allSettled(favorites.map((favorite) => (
+          weatherService.resolveLocation(favoriteService.targetOf(favorite), { cacheLog })
+        )));
+        const timezones = places
+          .filter((place) => place.status === 'fulfilled')
+          .map((place) => place.value.timezone);
+        const { startDate, days } = validateDateRange(args, timezones.length > 0 ? timezones : undefined);
+
+        const overviews = await Promise.allSettled(favorites.map(async (favorite, index) => {
+          if (places[index].status === 'rejected') {
+            throw places[index].reason;
+          }
+          const forecast = await buildActivityForecast(places[index].value, {
+            startDate,
+            days,
+            customActivities,
+            profile,
+            units: args.units,
+            cacheLog,
+          });
+          return favoriteService.summarizeFavorite(favorite, forecast);
+        }));
+        // One place failing leaves the others; its error is reported with it
+        return overviews.map((overview, index) => (overview.status === 'fulfilled'
+          ? overview.value
+          : {
+            favorite: favorites[index],
+            timezone: places[index].status === 'fulfilled' ? places[index].value.timezone : null,
+            topActivity: null,
+            bestDay: null,
+            error: toGraphQLError(overview.reason).message,
+          }));
+      } catch (error) {
+        throw toGraphQLError(error);
+      }
+    },
+  },
+
+  Mutation: {
+    /**
+     * Resolver for createActivity mutation
+     *
+     * @param {Object} _ - Parent object (not used in root mutation)
+     * @param {Object} args - Mutation arguments
+     * @param {Object} args.input - Activity name, icon and scoring rules
+     * @returns {Promise<Object>} The stored activity definition
+     */
+    createActivity: async (_, { input }) => {
+      try {
+        return await customActivityService.createCustomActivity(activityInputToDefinition(input));
+      } catch (error) {
+        throw toGraphQLError(error);
+      }
+    },
+
+    /**
+     * Resolver for updateActivity mutation
+     *
+     * @param {Object} _ - Parent object (not used in root mutation)
+     * @param {Object} args - Mutation arguments
+     * @param {string} args.id - Id of the custom activity to replace
+     * @param {Object} args.input - New activity definition
+     * @returns {Promise<Object>} The updated activity definition
+     */
+    updateActivity: async (_, { id, input }) => {
+      try {
+        return await customActivityService.updateCustomActivity(
+          id,
+          activityInputToDefinition(input)
+        );
+      } catch (error) {
+        throw toGraphQLError(error);
+      }
+    },
+
+    /**
+     * Resolver for deleteActivity mutation
+     *
+     * @param {Object} _ - Parent object (not used in root mutation)
+     * @param {Object} args - Mutation arguments
+     * @param {string} args.id - Id of the custom activity to delete
+     * @returns {Promise<boolean>} True once deleted
+     */
+    deleteActivity: async (_, { id }) => {
+      try {
+        return await customActivityService.deleteCustomActivity(id);
+      } catch (error) {
+        throw toGraphQLError(error);
+      }
+    },
+
+    /**
+     * Resolver for createProfile mutation
+     *
+     * @param {Object} _ - Parent object (not used in root mutation)
+     * @param {Object} args - Mutation arguments
+     * @param {Object} args.input - Profile name, comfort limits and activity preferences
+     * @returns {Promise<Object>} The stored profile
+     */
+    createProfile: async (_, { input }) => {
+      try {
+        return await profileService.createProfile(profileInputToProfile(input));
+      } catch (error) {
+        throw toGraphQLError(error);
+      }
+    },
+
+    /**
+     * Resolver for updateProfile mutation
+     *
+     * @param {Object} _ - Parent object (not used in root mutation)
+     * @param {Object} args - Mutation arguments
+     * @param {string} args.id - Id of the profile to replace
+     * @param {Object} args.input - New profile
+     * @returns {Promise<Object>} The updated profile
+     */
+    updateProfile: async (_, { id, input }) => {
+      try {
+        return await profileService.updateProfile(id, profileInputToProfile(input));
+      } catch (error) {
+        throw toGraphQLError(error);
+      }
+    },
+
+    /**
+     * Resolver for deleteProfile mutation
+     *
+     * @param {Object} _ - Parent object (not used in root mutation)
+     * @param {Object} args - Mutation arguments
+     * @param {string} args.id - Id of the profile to delete
+     * @returns {Promise<boolean>} True once deleted
+     */
+    deleteProfile: async (_, { id }) => {
+      try {
+        return await profileService.deleteProfile(id);
+      } catch (error) {
+        throw toGraphQLError(error);
+      }
+    },
+
+    /**
+     * Resolver for createFavorite mutation
+     *
+     * @param {Object} _ - Parent object (not used in root mutation)
+     * @param {Object} args - Mutation arguments
+     * @param {Object} args.input - Nickname and the place (name, id or coordinates)
+     * @param {Object} context - Per-request context (cacheLog records cache outcomes)
+     * @returns {Promise<Object>} The stored favorite
+     */
+    createFavorite: async (_, { input }, { cacheLog }) => {
+      try {
+        const { nickname, ...place } = input;
+        return await favoriteService.createFavorite(nickname, validateForecastTarget(place), { cacheLog });
+      } catch (error) {
+        throw toGraphQLError(error);
+      }
+    },
+
+    /**
+     * Resolver for renameFavorite mutation
+     *
+     * @param {Object} _ - Parent object (not used in root mutation)
+     * @param {Object} args - Mutation arguments
+     * @param {string} args.id - Id of the favorite to rename
+     * @param {string} args.nickname - New nickname
+     * @returns {Promise<Object>} The updated favorite
+     */
+    renameFavorite: async (_, { id, nickname }) => {
+      try {
+        return await favoriteService.renameFavorite(id, nickname);
+      } catch (error) {
+        throw toGraphQLError(error);
+      }
+    },
+
+    /**
+     * Resolver for deleteFavorite mutation
+     *
+     * @param {Object} _ - Parent object (not used in root mutation)
+     * @param {Object} args - Mutation arguments
+     * @param {string} args.id - Id of the favorite to delete
+     * @returns {Promise<boolean>} True once deleted
+     */
+    deleteFavorite: async (_, { id }) => {
+      try {
+        return await favoriteService.deleteFavorite(id);
+      } catch (error) {
+        throw toGraphQLError(error);
+      }
+    },
+  },
+
+  /**
+   * Field resolvers for activity definitions
+   * Definitions store conditions as { variable: { operator: limit } };
+   * the schema exposes them as a list of { variable, operator fields }.
+   */
+  ActivityDefinition: {
+    builtin: (definition) => Boolean(definition.builtin),
+    indoor: (definition) => Boolean(definition.indoor),
+    requires: (definition) => definition.requires || [],
+    toleratedHazards: (definition) => definition.toleratedHazards || [],
+  },
+
+  LocalDate,
+  LocalDateTime,
+
+  // Conditions are derived from the weather code when asked for
+  DailyWeather: {
+    condition: (day) => describeWeatherCode(day.weatherCode)?.condition ?? null,
+    conditionDescription: (day) => describeWeatherCode(day.weatherCode)?.description ?? null,
+  },
+
+  // Enum values as the services name unit systems
+  UnitSystem: {
+    METRIC: 'metric',
+    IMPERIAL: 'imperial',
+  },
+
+  FavoriteLocation: {
+    locationId: (favorite) => favorite.target.locationId || null,
+  },
+
+  ScoringProfile: {
+    activityPreferences: (profile) => profile.activityPreferences || [],
+  },
+
+  ActivityRule: {
+    when: (rule) => Object.entries(rule.when || {}).map(([variable, range]) => ({
+      variable,
+      ...range,
+    })),
   },
 };
 
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-'));
+test.after(() => fs.rmSync(dataDir, { recursive: true }));
+
+process.env.DATA_DIR = dataDir;
+process.env.WEATHER_PROVIDER = 'fixture';
+const { parse } = require('graphql');
+const { typeDefs, resolvers } = require('./schema');
+const favoriteService = require('../services/favoriteService');
+
+test('the type definitions parse', () => {
+  assert.equal(parse(typeDefs).kind, 'Document');
+});
+
+test('myPlaces returns the places it can forecast and the error of the others', async () => {
+  await favoriteService.createFavorite('Home', { location: 'London' });
+  // Nothing is recorded for the middle of the Sahara
+  await favoriteService.createFavorite('Desert', { latitude: 23.4, longitude: 12.1 });
+
+  const cacheLog = [];
+  const [home, desert] = await resolvers.Query.myPlaces(null, { days: 3 }, { cacheLog });
+  assert.equal(home.favorite.nickname, 'Home');
+  assert.ok(!cacheLog.some((entry) => entry.key === 'london'), 'saved places are not searched for again');
+  assert.equal(home.error, null);
+  assert.equal(home.timezone, 'Europe/London');
+  assert.ok(home.topActivity);
+
+  assert.equal(desert.favorite.nickname, 'Desert');
+  assert.equal(desert.topActivity, null);
+  assert.equal(desert.bestDay, null);
+  assert.equal(typeof desert.error, 'string');
+});
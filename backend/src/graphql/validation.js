@@ -0,0 +1,367 @@
+/**
+ * Input Validation
+ *
+ * Checks query arguments before any service is called, so obviously bad
+ * input is rejected with INVALID_INPUT instead of a wasted upstream request.
+ */
+
+const { InvalidInputError } = require('../errors');
+const { isValidDate, addDays, today } = require('../dates');
+
+// Longest place name we accept (real names are far shorter)
+const MAX_LOCATION_LENGTH = 100;
+
+// Forecast range settings: Open-Meteo forecasts reach 16 days ahead
+// (today included) and its archive goes back to 1940
+const DEFAULT_DAYS = 7;
+const MAX_DAYS = 16;
+const EARLIEST_DATE = '1940-01-01';
+
+// Years of past weather behind climate statistics (complete years only)
+const DEFAULT_CLIMATE_YEARS = 10;
+const MAX_CLIMATE_YEARS = 30;
+
+/**
+ * Validate and normalize a location name argument
+ *
+ * @param {string} location - Location name from the query
+ * @returns {string} Trimmed location name
+ * @throws {InvalidInputError} If the name is empty or too long
+ */
+function validateLocation(location) {
+  const trimmed = location.trim();
+
+  if (!trimmed) {
+    throw new InvalidInputError('Location must not be empty', { field: 'location' });
+  }
+  if (trimmed.length > MAX_LOCATION_LENGTH) {
+    throw new InvalidInputError(
+      `Location must be at most ${MAX_LOCATION_LENGTH} characters`,
+      { field: 'location' }
+    );
+  }
+  return trimmed;
+}
+
+// Most places one query may forecast (each costs upstream requests)
+const MAX_LOCATIONS = 5;
+
+/**
+ * Validate a list of place names (comparisons, trip planning)
+ *
+ * @param {Array<string>} locations - Location names from the query
+ * @param {number} [min] - Fewest names allowed (default 1)
+ * @returns {Array<string>} Trimmed names, in the order given
+ * @throws {InvalidInputError} If there are too few or too many, a name is
+ *                             invalid, or the same name is given twice
+ */
+function validateLocationList(locations, min = 1) {
+  if (locations.length < min || locations.length > MAX_LOCATIONS) {
+    throw new InvalidInputError(
+      `Give between ${min} and ${MAX_LOCATIONS} locations`,
+      { field: 'locations' }
+    );
+  }
+
+  const names = locations.map(validateLocation);
+  const seen = new Set();
+  names.forEach((name) => {
+    const key = name.toLowerCase();
+    if (seen.has(key)) {
+      throw new InvalidInputError(`"${name}" is listed twice`, { field: 'locations' });
+    }
+    seen.add(key);
+  });
+  return names;
+}
+
+/**
+ * Validate the location arguments of a forecast query
+ *
+ * Exactly one way of identifying the place must be given:
+ * a name (location), a candidate id (locationId), or latitude + longitude.
+ *
+ * @param {Object} args - Query arguments
+ * @returns {Object} { location } | { locationId } | { latitude, longitude }
+ * @throws {InvalidInputError} If zero or several are given, or values are out of range
+ */
+function validateForecastTarget({ location, locationId, latitude, longitude }) {
+  const hasCoordinates = latitude != null || longitude != null;
+  const given = [location != null, locationId != null, hasCoordinates].filter(Boolean).length;
+
+  if (given !== 1) {
+    throw new InvalidInputError(
+      'Provide exactly one of: location, locationId, or latitude and longitude'
+    );
+  }
+
+  if (location != null) {
+    return { location: validateLocation(location) };
+  }
+
+  if (locationId != null) {
+    if (!/^\d+$/.test(locationId)) {
+      throw new InvalidInputError('locationId must be a numeric id', { field: 'locationId' });
+    }
+    return { locationId };
+  }
+
+  if (latitude == null || longitude == null) {
+    throw new InvalidInputError('latitude and longitude must be given together');
+  }
+  if (latitude < -90 || latitude > 90) {
+    throw new InvalidInputError('latitude must be between -90 and 90', { field: 'latitude' });
+  }
+  if (longitude < -180 || longitude > 180) {
+    throw new InvalidInputError('longitude must be between -180 and 180', { field: 'longitude' });
+  }
+  return { latitude, longitude };
+}
+
+/**
+ * Validate the date range of a forecast query
+ *
+ * The range may lie in the past (archived weather) or up to 16 days ahead,
+ * but no further: there is no forecast beyond that. "Today" is the date at
+ * the place, as the forecast dates are; for several places it is the
+ * earliest of their dates, so the range suits all of them.
+ *
+ * @param {Object} args - Query arguments
+ * @param {string} [args.startDate] - First day (YYYY-MM-DD), defaults to today
+ * @param {number} [args.days] - Number of days (1-16), defaults to 7
+ * @param {Array<string>} [timezones] - IANA timezones of the places (default UTC)
+ * @returns {Object} { startDate, days }
+ * @throws {InvalidInputError} If the date is malformed or the range is out of bounds
+ */
+function validateDateRange({ startDate, days }, timezones = ['UTC']) {
+  const placeToday = timezones.map((timezone) => today(timezone)).sort()[0] || today();
+  const start = startDate == null ? placeToday : startDate;
+  const count = days == null ? DEFAULT_DAYS : days;
+
+  if (!isValidDate(start)) {
+    throw new InvalidInputError('startDate must be a date in YYYY-MM-DD format', { field: 'startDate' });
+  }
+  if (start < EARLIEST_DATE) {
+    throw new InvalidInputError(`startDate must be on or after ${EARLIEST_DATE}`, { field: 'startDate' });
+  }
+  if (count < 1 || count > MAX_DAYS) {
+    throw new InvalidInputError(`days must be between 1 and ${MAX_DAYS}`, { field: 'days' });
+  }
+
+  const lastForecastDate = addDays(placeToday, MAX_DAYS - 1);
+  if (addDays(start, count - 1) > lastForecastDate) {
+    throw new InvalidInputError(
+      `Forecasts only reach ${lastForecastDate}; choose an earlier startDate or fewer days`,
+      { field: 'startDate' }
+    );
+  }
+  return { startDate: start, days: count };
+}
+
+/**
+ * Validate how many years of past weather a climate query averages over
+ *
+ * @param {number} [years] - Requested number of years
+ * @returns {number} The years, defaulting to 10
+ * @throws {InvalidInputError} If outside 1-30
+ */
+function validateClimateYears(years) {
+  if (years == null) {
+    return DEFAULT_CLIMATE_YEARS;
+  }
+  if (years < 1 || years > MAX_CLIMATE_YEARS) {
+    throw new InvalidInputError(`years must be between 1 and ${MAX_CLIMATE_YEARS}`, { field: 'years' });
+  }
+  return years;
+}
+
+/**
+ * Validate the constraints of a best-slot search
+ *
+ * @param {Object} [constraints] - SlotConstraints input
+ * @param {number} days - Length of the searched date range
+ * @returns {Object} { consecutiveDays, maxRainyDays, minDailyScore }, the
+ *                   last two null when not constrained
+ * @throws {InvalidInputError} If a constraint is out of range
+ */
+function validateSlotConstraints(constraints, days) {
+  const { consecutiveDays = 1, maxRainyDays = null, minDailyScore = null } = constraints || {};
+
+  if (consecutiveDays == null || consecutiveDays < 1 || consecutiveDays > days) {
+    throw new InvalidInputError(
+      `consecutiveDays must be between 1 and the ${days} days searched`,
+      { field: 'consecutiveDays' }
+    );
+  }
+  if (maxRainyDays != null && maxRainyDays < 0) {
+    throw new InvalidInputError('maxRainyDays must not be negative', { field: 'maxRainyDays' });
+  }
+  if (minDailyScore != null && (minDailyScore < 0 || minDailyScore > 100)) {
+    throw new InvalidInputError('minDailyScore must be between 0 and 100', { field: 'minDailyScore' });
+  }
+  return {
+    consecutiveDays,
+    maxRainyDays: maxRainyDays == null ? null : maxRainyDays,
+    minDailyScore: minDailyScore == null ? null : minDailyScore,
+  };
+}
+
+/**
+ * Validate the constraints of a trip itinerary
+ *
+ * Activity names are only checked for presence here; the resolver matches
+ * them against the known activities.
+ *
+ * @param {Object} [constraints] - ItineraryConstraints input
+ * @param {Object} range - Validated trip dates
+ * @param {string} range.startDate - First day of the trip
+ * @param {number} range.days - Length of the trip in days
+ * @returns {Object} { mustDo, maxIndoorDays (null when not limited),
+ *                   noRepeats, pinned }
+ * @throws {InvalidInputError} If a constraint is out of range
+ */
+function validateItineraryConstraints(constraints, { startDate, days }) {
+  const { mustDo, maxIndoorDays = null, noRepeats = false, pinned } = constraints || {};
+
+  if (mustDo && mustDo.length > days) {
+    throw new InvalidInputError(
+      `A ${days}-day trip fits at most ${days} must-do activities`,
+      { field: 'mustDo' }
+    );
+  }
+  if (maxIndoorDays != null && maxIndoorDays < 0) {
+    throw new InvalidInputError('maxIndoorDays must not be negative', { field: 'maxIndoorDays' });
+  }
+
+  const lastDate = addDays(startDate, days - 1);
+  const pinnedDates = new Set();
+  (pinned || []).forEach(({ date }) => {
+    if (!isValidDate(date) || date < startDate || date > lastDate) {
+      throw new InvalidInputError(
+        `Pinned date ${date} is not a day of the trip (${startDate} to ${lastDate})`,
+        { field: 'pinned' }
+      );
+    }
+    if (pinnedDates.has(date)) {
+      throw new InvalidInputError(`${date} is pinned twice`, { field: 'pinned' });
+    }
+    pinnedDates.add(date);
+  });
+
+  return {
+    mustDo: mustDo || [],
+    maxIndoorDays: maxIndoorDays == null ? null : maxIndoorDays,
+    noRepeats: Boolean(noRepeats),
+    pinned: pinned || [],
+  };
+}
+
+/**
+ * Validate the optional result limit of a search query
+ *
+ * @param {number} [limit] - Requested number of results
+ * @param {number} max - Largest allowed value
+ * @returns {number} The limit, defaulting to max
+ * @throws {InvalidInputError} If the limit is outside 1..max
+ */
+function validateLimit(limit, max) {
+  if (limit == null) {
+    return max;
+  }
+  if (limit < 1 || limit > max) {
+    throw new InvalidInputError(`limit must be between 1 and ${max}`, { field: 'limit' });
+  }
+  return limit;
+}
+
+// Bounds a condition may use (fields of WeatherConditionInput besides variable)
+const CONDITION_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'eq'];
+
+/**
+ * Convert an ActivityInput into the stored activity definition format
+ *
+ * GraphQL input lists conditions as [{ variable, gt, lt, ... }]; definitions
+ * keep them as { variable: { gt, lt } }. Full rule validation happens in
+ * the service using the rule engine's validator.
+ *
+ * @param {Object} input - ActivityInput from a mutation
+ * @returns {Object} Activity definition
+ * @throws {InvalidInputError} If a rule lists the same variable twice
+ */
+function activityInputToDefinition(input) {
+  const rules = input.rules.map((rule, index) => {
+    const when = {};
+    rule.when.forEach(({ variable, ...bounds }) => {
+      if (when[variable]) {
+        throw new InvalidInputError(
+          `rules[${index}] lists "${variable}" twice; combine the bounds into one condition`,
+          { field: 'rules' }
+        );
+      }
+      when[variable] = Object.fromEntries(
+        CONDITION_OPERATORS.filter((op) => bounds[op] != null).map((op) => [op, bounds[op]])
+      );
+    });
+
+    return stripNulls({
+      label: rule.label,
+      when,
+      points: rule.points,
+      scale: rule.scale && stripNulls(rule.scale),
+    });
+  });
+
+  return stripNulls({
+    name: input.name,
+    description: input.description,
+    icon: input.icon,
+    indoor: input.indoor,
+    baseScore: input.baseScore,
+    requires: input.requires,
+    toleratedHazards: input.toleratedHazards,
+    rules,
+    clamp: input.clamp ? { ...input.clamp } : { min: 0, max: 100 },
+  });
+}
+
+/**
+ * Convert a ScoringProfileInput into the stored profile format
+ *
+ * @param {Object} input - ScoringProfileInput from a mutation
+ * @returns {Object} Profile without null fields (see profileService.js)
+ */
+function profileInputToProfile(input) {
+  return stripNulls({
+    name: input.name,
+    minTemp: input.minTemp,
+    maxTemp: input.maxTemp,
+    maxWind: input.maxWind,
+    maxRain: input.maxRain,
+    activityPreferences: (input.activityPreferences || []).map((preference) => stripNulls({
+      activityId: preference.activityId,
+      weight: preference.weight == null ? 1 : preference.weight,
+      minTemp: preference.minTemp,
+      maxTemp: preference.maxTemp,
+    })),
+  });
+}
+
+/**
+ * Drop null/undefined fields so optional inputs are simply absent
+ */
+function stripNulls(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value != null));
+}
+
+module.exports = {
+  validateLocation,
+  validateLocationList,
+  activityInputToDefinition,
+  profileInputToProfile,
+  validateForecastTarget,
+  validateDateRange,
+  validateClimateYears,
+  validateSlotConstraints,
+  validateItineraryConstraints,
+  validateLimit,
+};
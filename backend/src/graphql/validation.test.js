@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateDateRange } = require('./validation');
+
+// 22:00 UTC on 2026-10-19: already the 20th in Auckland, still the 19th in Honolulu
+test.beforeEach(({ mock }) => {
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T22:00:00Z') });
+});
+
+test('the default range starts today at the place', () => {
+  assert.deepEqual(validateDateRange({}, ['Pacific/Auckland']), { startDate: '2026-10-20', days: 7 });
+  assert.deepEqual(validateDateRange({}, ['Pacific/Honolulu']), { startDate: '2026-10-19', days: 7 });
+  assert.deepEqual(validateDateRange({}), { startDate: '2026-10-19', days: 7 });
+});
+
+test('the range may reach 16 days from today at the place', () => {
+  const lastDay = { startDate: '2026-11-04', days: 1 };
+  assert.deepEqual(validateDateRange(lastDay, ['Pacific/Auckland']), lastDay);
+  assert.throws(() => validateDateRange(lastDay, ['Pacific/Honolulu']), {
+    code: 'INVALID_INPUT',
+    message: 'Forecasts only reach 2026-11-03; choose an earlier startDate or fewer days',
+  });
+});
+
+test('several places share the range of the one furthest behind', () => {
+  assert.deepEqual(
+    validateDateRange({ days: 3 }, ['Pacific/Auckland', 'Pacific/Honolulu']),
+    { startDate: '2026-10-19', days: 3 }
+  );
+});
+
+test('malformed dates and lengths are rejected', () => {
+  assert.throws(() => validateDateRange({ startDate: '2026-02-30' }), { message: /YYYY-MM-DD/ });
+  assert.throws(() => validateDateRange({ days: 17 }), { message: 'days must be between 1 and 16' });
+});
@@ -12,10 +12,13 @@ const { expressMiddleware } = require('@apollo/server/express4');
 const { json } = require('body-parser');
 const cors = require('cors');
 const { typeDefs, resolvers } = require('./graphql/schema');
+const { cacheStatusPlugin } = require('./graphql/cacheStatusPlugin');
+const config = require('./config');
+const weatherService = require('./services/weatherService');
 
 // Initialize Express application
 const app = express();
-const PORT = process.env.PORT || 4000;
+const PORT = config.port;
 
 /**
  * Start the server
@@ -25,9 +28,11 @@ async function startServer() {
   // Create Apollo Server instance with GraphQL schema
   // typeDefs: GraphQL type definitions (schema)
   // resolvers: Functions that populate the data for each field
+  // plugins: cacheStatusPlugin reports cache hits/misses in response extensions
   const server = new ApolloServer({
     typeDefs,
     resolvers,
+    plugins: [cacheStatusPlugin],
   });
 
   // Start Apollo Server before applying middleware
@@ -39,11 +44,16 @@ async function startServer() {
 
   // Apply GraphQL middleware to Express
   // This makes GraphQL available at /graphql endpoint
-  app.use('/graphql', expressMiddleware(server));
+  // Each request gets a fresh context; cacheLog collects cache outcomes
+  app.use('/graphql', expressMiddleware(server, {
+    context: async () => ({ cacheLog: [] }),
+  }));
 
   // Health check endpoint (useful for deployment monitoring)
+  // Includes upstream circuit breaker states; status is "degraded" when one is open
   app.get('/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+    const { status, ...weather } = weatherService.getHealth();
+    res.json({ status, timestamp: new Date().toISOString(), weather });
   });
 
   // Start listening for requests
@@ -4,6 +4,8 @@
  * Contains the business logic for scoring and ranking activities based on weather.
  * Separation of Concerns: All ranking algorithms are isolated here, making it
  * easy to modify scoring rules without touching API or presentation layers.
+ * The rules themselves are data (src/activities/builtin.json) evaluated by
+ * the generic rule engine in ruleEngine.js.
  * 
  * Scoring System: Each activity gets a score from 0-100 based on weather conditions
  * - 80-100: Excellent conditions
@@ -11,155 +13,519 @@
  * - 40-59: Fair conditions
  * - 20-39: Poor conditions
  * - 0-19: Very poor conditions
+ *
+ * Activities that need data a location doesn't have (e.g. surfing needs wave
+ * data, which inland places lack) are marked not applicable instead.
+ *
+ * A scoring profile (see profileService.js) personalizes the scores: weather
+ * outside the person's comfort limits costs points, and each activity's
+ * score can be weighted up or down.
+ *
+ * Hazardous weather (see safetyService.js) then caps outdoor scores, or
+ * vetoes them on days with a severe alert, whatever the rules added up to.
  */
 
-// Calculate skiing conditions score based on weather
-function scoreSkiing(weather) {
-  let score = 0;
+const fs = require('fs');
+const path = require('path');
+const { evaluateActivity, validateActivityDefinition } = require('./ruleEngine');
+const { formatMeasurement } = require('../units');
+const { assessDay, applySafety, hourlyCap } = require('./safetyService');
 
-  // Check snow conditions
-  if (weather.snowfall > 0) {
-    score += Math.min(50, weather.snowfall * 5);
-  }
-
-  // Temperature score
-  if (weather.maxTemp < 2) {
-    score += 30;
-  } else if (weather.maxTemp < 7) {
-    score += 15;
-  }
-
-  // Wind conditions
-  if (weather.windSpeed > 40) {
-    score -= 15;  // Too windy
-  }
+/**
+ * Built-in activity definitions
+ * Each activity is data (base score, weather rules, clamp range) evaluated by
+ * the rule engine; to add or tune an activity, edit src/activities/builtin.json.
+ */
+const BUILTIN_ACTIVITIES_PATH = path.join(__dirname, '..', 'activities', 'builtin.json');
 
-  // Rain penalty
-  if (weather.precipitation > 5) {
-    score -= 10;
+/**
+ * Load and validate activity definitions from a JSON file
+ *
+ * Runs once when this module is first required, so a broken definition
+ * stops the server at startup instead of failing individual requests.
+ *
+ * @param {string} filePath - JSON file containing an array of definitions
+ * @returns {Array<Object>} Validated activity definitions
+ * @throws {Error} Listing every problem found, if any definition is invalid
+ */
+function loadActivityDefinitions(filePath) {
+  const definitions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(definitions)) {
+    throw new Error(`${filePath} must contain an array of activity definitions`);
   }
 
-  return Math.max(0, Math.min(100, score));
-}
-
-// Basic surfing score calculation
-function scoreSurfing(weather) {
-  let score = 50;  // Start with average conditions
+  const problems = [];
+  const seenNames = new Set();
 
-  // Wind score - we want some wind but not too much
-  if (weather.windSpeed > 10 && weather.windSpeed < 35) {
-    score += 25;
-  } else if (weather.windSpeed > 40) {
-    score -= 20;
-  }
+  definitions.forEach((definition, index) => {
+    const label = (definition && definition.name) || `#${index}`;
+    validateActivityDefinition(definition).forEach((problem) => {
+      problems.push(`${label}: ${problem}`);
+    });
+    if (seenNames.has(label)) {
+      problems.push(`${label}: duplicate activity name`);
+    }
+    seenNames.add(label);
+  });
 
-  // Temperature bonus
-  if (weather.maxTemp > 18) {
-    score += 20;
+  if (problems.length > 0) {
+    throw new Error(`Invalid activity definitions in ${filePath}:\n- ${problems.join('\n- ')}`);
   }
+  return definitions;
+}
 
-  // Rain impact
-  if (weather.precipitation > 8) {
-    score -= 15;
-  }
+/**
+ * Built-in activities, tagged so they can be told apart from custom ones
+ * Their id is derived from the name: "Outdoor Sightseeing" -> "outdoor-sightseeing"
+ */
+const builtinActivities = loadActivityDefinitions(BUILTIN_ACTIVITIES_PATH).map((definition) => ({
+  ...definition,
+  id: definition.name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+  builtin: true,
+}));
 
-  return Math.max(0, Math.min(100, score));
+/**
+ * Get the built-in activity definitions
+ *
+ * @returns {Array<Object>} Definitions with id and builtin: true
+ */
+function getBuiltinActivities() {
+  return builtinActivities;
 }
 
-// Score outdoor sightseeing based on weather conditions
-function scoreOutdoorSightseeing(weather) {
-  let score = 60;
+/**
+ * Local hours searched for the best time of day to do an activity when a
+ * day has no sunrise or sunset (polar day or night): 07:00 until 21:00
+ */
+const DAYTIME_START_HOUR = 7;
+const DAYTIME_END_HOUR = 21;
 
-  // Cloud cover affects visibility
-  if (weather.cloudCover < 40) {
-    score += 20;
-  } else if (weather.cloudCover > 80) {
-    score -= 10;
-  }
+// Hours within this many points of the day's best hour extend its window
+const WINDOW_TOLERANCE = 10;
 
-  // Temperature comfort
-  if (weather.maxTemp >= 15 && weather.maxTemp <= 28) {
-    score += 20;
-  } else if (weather.maxTemp < 5 || weather.maxTemp > 35) {
-    score -= 20;
-  }
+// Hour of day from a local time such as "2026-10-19T14:00"
+const hourOf = (time) => Number(time.slice(11, 13));
 
-  // Rain check
-  if (weather.precipitation > 0) {
-    score -= weather.precipitation * 2;
-  }
+/**
+ * Group hourly weather by the date it belongs to
+ *
+ * @param {Array<Object>} hourlyWeather - Hourly weather objects (local times)
+ * @returns {Map<string, Array<Object>>} Date -> that day's hours in order
+ */
+function groupHoursByDate(hourlyWeather) {
+  const byDate = new Map();
+  hourlyWeather.forEach((hour) => {
+    const date = hour.time.slice(0, 10);
+    if (!byDate.has(date)) {
+      byDate.set(date, []);
+    }
+    byDate.get(date).push(hour);
+  });
+  return byDate;
+}
 
-  return Math.max(0, Math.min(100, score));
+/**
+ * Pick the hours of a day that have daylight
+ * An hour counts if any of it falls between sunrise and sunset
+ * (sunrise 07:35 includes the 07:00 hour, sunset 17:55 includes 17:00).
+ *
+ * @param {Object} day - Daily weather object with sunrise and sunset
+ * @param {Array<Object>} hours - That day's hourly weather objects
+ * @returns {Array<Object>} Daylight hours in order
+ */
+function daytimeHoursOf(day, hours) {
+  if (!day.sunrise || !day.sunset) {
+    return hours.filter(
+      (hour) => hourOf(hour.time) >= DAYTIME_START_HOUR && hourOf(hour.time) < DAYTIME_END_HOUR
+    );
+  }
+  const firstHour = `${day.sunrise.slice(0, 13)}:00`;
+  return hours.filter((hour) => hour.time >= firstHour && hour.time < day.sunset);
 }
 
-// Indoor activities score - better when weather is bad
-function scoreIndoorSightseeing(weather) {
-  let score = 70;  // Always a decent option
+/**
+ * View one hour's weather as if the whole day looked like it
+ *
+ * Activity rules are written against daily values, so the hour's temperature
+ * stands in for both the high and the low (its "feels like" temperature is
+ * offset the way the day's high is) and its precipitation is scaled up to a
+ * daily total. Snowfall, UV, sunshine and daylight keep the daily values.
+ *
+ * @param {Object} day - Daily weather object
+ * @param {Object} hour - Hourly weather object on that day
+ * @returns {Object} Weather object the rule engine can score
+ */
+function hourAsDay(day, hour) {
+  const apparentTemp = hour.temperature + (day.apparentMaxTemp - day.maxTemp);
+  return {
+    ...day,
+    maxTemp: hour.temperature,
+    minTemp: hour.temperature,
+    apparentMaxTemp: apparentTemp,
+    apparentMinTemp: apparentTemp,
+    precipitation: hour.precipitation * 24,
+    precipitationProbability: hour.precipitationProbability,
+    windSpeed: hour.windSpeed,
+    windGusts: hour.windGusts,
+    cloudCover: hour.cloudCover,
+  };
+}
 
-  // More appealing in bad weather
-  if (weather.precipitation > 5) {
-    score += 15;
+/**
+ * Find the best contiguous time window of a day
+ *
+ * Starts at the best-scoring hour and grows in both directions while
+ * neighbouring hours score within WINDOW_TOLERANCE points of it.
+ *
+ * @param {Array<Object>} hourlyScores - [{ time, score }] for consecutive hours
+ * @returns {Object|null} { start, end, averageScore } with end exclusive
+ *                        (e.g. 13:00-17:00), or null without hourly data or
+ *                        when no hour scores above 0
+ */
+function findBestWindow(hourlyScores) {
+  const peak = hourlyScores.reduce(
+    (best, hour, index) => (best === -1 || hour.score > hourlyScores[best].score ? index : best),
+    -1
+  );
+  if (peak === -1 || hourlyScores[peak].score === 0) {
+    return null;
   }
+  const threshold = hourlyScores[peak].score - WINDOW_TOLERANCE;
 
-  // Better for extreme temperatures
-  if (weather.maxTemp < 5 || weather.maxTemp > 30) {
-    score += 15;
-  }
+  let first = peak;
+  let last = peak;
+  while (first > 0 && hourlyScores[first - 1].score >= threshold) first--;
+  while (last < hourlyScores.length - 1 && hourlyScores[last + 1].score >= threshold) last++;
 
-  // Less appealing in nice weather
-  if (weather.precipitation === 0 && weather.cloudCover < 50 && 
-      weather.maxTemp > 15 && weather.maxTemp < 25) {
-    score -= 20;
-  }
+  const hours = hourlyScores.slice(first, last + 1);
+  const lastTime = hours[hours.length - 1].time;
+  const endHour = String(hourOf(lastTime) + 1).padStart(2, '0');
 
-  return Math.max(0, Math.min(100, score));
+  return {
+    start: hours[0].time,
+    end: `${lastTime.slice(0, 11)}${endHour}:00`,
+    averageScore: Math.round(hours.reduce((sum, hour) => sum + hour.score, 0) / hours.length),
+  };
 }
 
 // Convert score to text description
-function getConditionDescription(score) {
+function getConditionDescription(score, unsafe = false) {
+  if (unsafe) return 'Unsafe';
   if (score >= 75) return 'Great';
   if (score >= 60) return 'Good';
   if (score >= 40) return 'OK';
   return 'Poor';
 }
 
+// Name the length of the range for recommendations: "day", "week", "10 days"
+function describePeriod(days) {
+  if (days === 1) return 'day';
+  if (days === 7) return 'week';
+  return `${days} days`;
+}
+
 // Get recommendation text based on average score
-function getRecommendation(activity, avgScore) {
+function getRecommendation(activity, avgScore, days) {
+  const period = describePeriod(days);
+  const determiner = days === 1 || days === 7 ? 'this' : 'these';
   if (avgScore >= 70) {
-    return `Perfect week for ${activity}!`;
+    return `Perfect ${period} for ${activity}!`;
   } else if (avgScore >= 50) {
-    return `Decent conditions for ${activity} this week.`;
+    return `Decent conditions for ${activity} ${determiner} ${period}.`;
   } else {
-    return `Not the best week for ${activity}.`;
+    return `Not the best ${period} for ${activity}.`;
   }
 }
 
-// Calculate activity rankings for all activities
-function calculateActivityRankings(weatherData) {
-  const activities = [
-    { name: 'Skiing', scoreFn: scoreSkiing },
-    { name: 'Surfing', scoreFn: scoreSurfing },
-    { name: 'Outdoor Sightseeing', scoreFn: scoreOutdoorSightseeing },
-    { name: 'Indoor Sightseeing', scoreFn: scoreIndoorSightseeing },
-  ];
+// Points a profile takes off when the weather is past one of its limits, and
+// again when it is a further step past it
+const PREFERENCE_PENALTY = 15;
+const TEMP_STEP = 5;
+const WIND_STEP = 15;
+const RAIN_STEP = 5;
 
-  return activities.map(activity => {
-    // Get daily scores
-    const dailyScores = weatherData.map(day => ({
-      date: day.date,
-      score: activity.scoreFn(day),
-      conditions: getConditionDescription(activity.scoreFn(day))
+/**
+ * Turn a person's comfort limits into extra activity rules
+ *
+ * @param {Object} limits - { minTemp, maxTemp, maxWind, maxRain }, each optional
+ * @param {string} units - Unit system the limits are quoted in
+ * @returns {Array<Object>} Penalty rules in the rule engine's format
+ */
+function preferenceRules({ minTemp, maxTemp, maxWind, maxRain }, units) {
+  const rules = [];
+  const quote = (variable, limit) => formatMeasurement(variable, limit, units);
+  const penalize = (variable, operator, limit, step, label) => {
+    rules.push(
+      { when: { [variable]: { [operator]: limit } }, points: -PREFERENCE_PENALTY, label },
+      {
+        when: { [variable]: { [operator]: operator === 'lt' ? limit - step : limit + step } },
+        points: -PREFERENCE_PENALTY,
+        label: `${label}, by far`,
+      }
+    );
+  };
+
+  if (minTemp != null) {
+    penalize('apparentMaxTemp', 'lt', minTemp, TEMP_STEP, `colder than your ${quote('apparentMaxTemp', minTemp)} minimum`);
+  }
+  if (maxTemp != null) {
+    penalize('apparentMaxTemp', 'gt', maxTemp, TEMP_STEP, `hotter than your ${quote('apparentMaxTemp', maxTemp)} maximum`);
+  }
+  if (maxWind != null) {
+    penalize('windSpeed', 'gt', maxWind, WIND_STEP, `windier than your ${quote('windSpeed', maxWind)} limit`);
+  }
+  if (maxRain != null) {
+    penalize('precipitation', 'gt', maxRain, RAIN_STEP, `wetter than your ${quote('precipitation', maxRain)} limit`);
+  }
+  return rules;
+}
+
+/**
+ * Apply a scoring profile to an activity definition
+ *
+ * Comfort limits only affect outdoor activities; an activity's own
+ * temperature range in the profile replaces the general one.
+ *
+ * @param {Object} activity - Activity definition
+ * @param {Object} [profile] - Scoring profile
+ * @param {string} units - Unit system the profile's limits are quoted in
+ * @returns {Object} Definition with the profile's penalty rules added and
+ *                   its weight (1 without a preference)
+ */
+function personalizeActivity(activity, profile, units) {
+  if (!profile) {
+    return activity;
+  }
+  const preference = (profile.activityPreferences || [])
+    .find((candidate) => candidate.activityId === activity.id) || {};
+  const weight = preference.weight == null ? 1 : preference.weight;
+
+  if (activity.indoor) {
+    return { ...activity, weight };
+  }
+  const ownRange = preference.minTemp != null || preference.maxTemp != null;
+  const rules = preferenceRules({
+    minTemp: ownRange ? preference.minTemp : profile.minTemp,
+    maxTemp: ownRange ? preference.maxTemp : profile.maxTemp,
+    maxWind: profile.maxWind,
+    maxRain: profile.maxRain,
+  }, units);
+  return { ...activity, rules: [...activity.rules, ...rules], weight };
+}
+
+/**
+ * Score weather for an activity, then apply the activity's weight, if any
+ *
+ * @param {Object} activity - Activity definition, possibly personalized
+ * @param {Object} weather - Weather object the rule engine can score
+ * @param {string} units - Unit system of the values quoted in factor labels
+ * @returns {Object} Rule engine result; a weight that changes the score shows up as a factor
+ */
+function evaluateWeighted(activity, weather, units) {
+  const result = evaluateActivity(activity, weather, { units });
+  if (!result.applicable || activity.weight === undefined || activity.weight === 1) {
+    return result;
+  }
+  const { min, max } = activity.clamp;
+  const score = Math.max(min, Math.min(max, Math.round(result.score * activity.weight)));
+  if (score === result.score) {
+    return result;
+  }
+  return {
+    ...result,
+    score,
+    factors: [...result.factors, { label: `your weighting ×${activity.weight}`, points: score - result.score }],
+  };
+}
+
+/**
+ * Score an activity on each day
+ *
+ * Each day is scored from its daily weather; its daylight hours are scored
+ * too, to find the best time window for the activity that day. The day's
+ * hazards cap both.
+ *
+ * @param {Object} activity - Activity definition, possibly personalized
+ * @param {Array<Object>} daily - Daily weather objects
+ * @param {Map<string, Array<Object>>} hoursByDate - Hourly weather per date
+ * @param {string} [units] - Unit system of the values quoted in factor labels
+ * @returns {Array<Object>} One ActivityDayScore per day
+ */
+function scoreDays(activity, daily, hoursByDate, units = 'metric') {
+  return daily.map(day => {
+    const result = applySafety(evaluateWeighted(activity, day, units), assessDay(day, units), activity);
+    const { score, factors, applicable, reason, alerts, unsafe } = result;
+    if (!applicable) {
+      return {
+        date: day.date,
+        score,
+        conditions: 'Not applicable',
+        factors,
+        hourlyScores: [],
+        bestWindow: null,
+        applicable,
+        alerts,
+        unsafe,
+        reason
+      };
+    }
+
+    const cap = hourlyCap(result);
+    const hours = daytimeHoursOf(day, hoursByDate.get(day.date) || []);
+    const hourlyScores = hours.map((hour) => ({
+      time: hour.time,
+      score: Math.min(cap, evaluateWeighted(activity, hourAsDay(day, hour), units).score),
     }));
 
-    // Calculate average
-    const totalScore = dailyScores.reduce((sum, day) => sum + day.score, 0);
-    const averageScore = Math.round(totalScore / dailyScores.length);
+    return {
+      date: day.date,
+      score,
+      conditions: getConditionDescription(score, unsafe),
+      factors,
+      hourlyScores,
+      bestWindow: findBestWindow(hourlyScores),
+      applicable,
+      alerts,
+      unsafe
+    };
+  });
+}
+
+// Average score of the days an activity is possible (null if there are none)
+function averageOfApplicable(dayScores) {
+  const applicableDays = dayScores.filter(day => day.applicable);
+  if (applicableDays.length === 0) {
+    return null;
+  }
+  return Math.round(applicableDays.reduce((sum, day) => sum + day.score, 0) / applicableDays.length);
+}
+
+/**
+ * Calculate activity rankings for all activities
+ *
+ * @param {Object} forecast - Weather forecast
+ * @param {Array<Object>} forecast.daily - Daily weather objects
+ * @param {Array<Object>} [forecast.hourly] - Hourly weather objects
+ * @param {Array<Object>} [customActivities] - User-defined activities ranked
+ *                                             alongside the built-in ones
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - Scoring profile to personalize the scores with
+ * @param {string} [options.units] - Unit system of the values quoted in
+ *                                   explanations (default 'metric'); the
+ *                                   weather itself is always metric
+ * @returns {Array<Object>} One ranking per activity
+ */
+function calculateActivityRankings(
+  { daily, hourly = [] },
+  customActivities = [],
+  { profile = null, units = 'metric' } = {}
+) {
+  const hoursByDate = groupHoursByDate(hourly);
+
+  return [...builtinActivities, ...customActivities].map(activity => {
+    const dailyScores = scoreDays(
+      personalizeActivity(activity, profile, units),
+      daily,
+      hoursByDate,
+      units
+    );
+
+    // Average over the days the activity is possible
+    const average = averageOfApplicable(dailyScores);
+    const applicable = average !== null;
+    const averageScore = applicable ? average : 0;
 
     return {
       activity: activity.name,
+      activityId: activity.id,
+      icon: activity.icon || null,
+      builtin: Boolean(activity.builtin),
+      indoor: Boolean(activity.indoor),
+      applicable,
       averageScore,
       dailyScores,
-      recommendation: getRecommendation(activity.name, averageScore)
+      recommendation: applicable
+        ? getRecommendation(activity.name, averageScore, dailyScores.length)
+        : `${activity.name} is not possible here: ${dailyScores[0].reason}.`
+    };
+  });
+}
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+// Days scoring at least this count as good days in monthly summaries
+const GOOD_DAY_SCORE = 60;
+
+// Months within this many points of the best month are also recommended
+const BEST_MONTH_TOLERANCE = 5;
+
+// Join month names for a sentence: "June, July and August"
+function listMonths(months) {
+  const names = months.map((month) => MONTH_NAMES[month - 1]);
+  return names.length > 1
+    ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+    : names[0];
+}
+
+/**
+ * Summarize how suitable each calendar month is for activities
+ *
+ * Every day of past weather is scored exactly like a forecast day, then the
+ * scores are grouped by calendar month across all years. Months are compared
+ * on their average score; the share of good days shows how reliable they are.
+ *
+ * @param {Object} history - Past weather over several years
+ * @param {Array<Object>} history.daily - Daily weather objects
+ * @param {Array<Object>} activities - Activity definitions to summarize
+ * @returns {Array<Object>} Per activity: { activity, activityId, icon, builtin,
+ *                          applicable, bestMonths, months, recommendation },
+ *                          months holding { month, name, averageScore,
+ *                          goodDays, daysSampled } for January to December
+ */
+function calculateClimateOutlook({ daily }, activities) {
+  return activities.map(activity => {
+    const dayScores = scoreDays(activity, daily, new Map());
+
+    const months = MONTH_NAMES.map((name, index) => {
+      const monthDays = dayScores.filter(day => Number(day.date.slice(5, 7)) === index + 1);
+      const goodDays = monthDays.filter(day => day.applicable && day.score >= GOOD_DAY_SCORE);
+      return {
+        month: index + 1,
+        name,
+        averageScore: averageOfApplicable(monthDays),
+        goodDays: monthDays.length > 0 ? Math.round((goodDays.length / monthDays.length) * 100) : 0,
+        daysSampled: monthDays.length,
+      };
+    });
+
+    const scoredMonths = months.filter(month => month.averageScore !== null);
+    const bestScore = Math.max(...scoredMonths.map(month => month.averageScore));
+    const bestMonths = scoredMonths
+      .filter(month => month.averageScore >= bestScore - BEST_MONTH_TOLERANCE)
+      .map(month => month.month);
+    const applicable = scoredMonths.length > 0;
+
+    let recommendation;
+    if (!applicable) {
+      recommendation = `${activity.name} is not possible here: ${dayScores[0].reason}.`;
+    } else if (bestScore >= 50) {
+      recommendation = `Best time for ${activity.name}: ${listMonths(bestMonths)}.`;
+    } else {
+      recommendation = `${activity.name} is rarely good here; ${listMonths(bestMonths)} come${bestMonths.length === 1 ? 's' : ''} closest.`;
+    }
+
+    return {
+      activity: activity.name,
+      activityId: activity.id,
+      icon: activity.icon || null,
+      builtin: Boolean(activity.builtin),
+      applicable,
+      bestMonths: applicable ? bestMonths : [],
+      months,
+      recommendation,
     };
   });
 }
@@ -167,4 +533,7 @@ function calculateActivityRankings(weatherData) {
 // Export main function
 module.exports = {
   calculateActivityRankings,
+  calculateClimateOutlook,
+  getBuiltinActivities,
+  loadActivityDefinitions,
 };
\ No newline at end of file
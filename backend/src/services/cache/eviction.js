@@ -0,0 +1,44 @@
+/**
+ * Cache Eviction
+ *
+ * Both stores keep an index of their entries in a Map ordered from least to
+ * most recently used, each with the time it expires (expiresAt, ms since the
+ * epoch; entries without one never expire). These helpers decide what to drop.
+ */
+
+/**
+ * Whether an entry is past its expiry and may no longer be served
+ *
+ * @param {Object} entry - Entry or index record with an optional expiresAt
+ * @param {number} [now] - Current time (ms since the epoch)
+ * @returns {boolean}
+ */
+function isExpired(entry, now = Date.now()) {
+  return entry.expiresAt !== undefined && entry.expiresAt <= now;
+}
+
+/**
+ * Pick the entries to drop so that a store holds at most maxEntries
+ *
+ * Nothing is dropped while the store is within its limit. Once over it,
+ * every expired entry is swept, then the least recently used ones go.
+ *
+ * @param {Map<string, Object>} entries - Entries by key, least recently used first
+ * @param {number} maxEntries - Most entries to keep
+ * @param {number} [now] - Current time (ms since the epoch)
+ * @returns {Array<string>} Keys to drop
+ */
+function selectEvictions(entries, maxEntries, now = Date.now()) {
+  if (entries.size <= maxEntries) {
+    return [];
+  }
+  const expired = [];
+  const live = [];
+  entries.forEach((entry, key) => (isExpired(entry, now) ? expired : live).push(key));
+  return [...expired, ...live.slice(0, Math.max(0, live.length - maxEntries))];
+}
+
+module.exports = {
+  isExpired,
+  selectEvictions,
+};
@@ -0,0 +1,183 @@
+/**
+ * File-Backed Cache Store
+ *
+ * Persists each entry to its own JSON file in a directory, so the cache
+ * survives server restarts and storing one entry never rewrites the others.
+ * Enabled with CACHE_STORE=file.
+ *
+ * File names are "<sha1 of the key>.<expiresAt>.json": the index of entries
+ * (and what has expired) is rebuilt from a directory listing on first use,
+ * without reading any entry. Entries are read from disk when asked for.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { isExpired, selectEvictions } = require('./eviction');
+
+const FILE_NAME_PATTERN = /^([0-9a-f]{40})\.(\d+|never)\.json$/;
+
+/**
+ * Name of the file holding a key's entry
+ *
+ * @param {string} hash - SHA-1 of the key (hex)
+ * @param {number} [expiresAt] - When the entry expires (ms since the epoch)
+ * @returns {string} File name
+ */
+function toFileName(hash, expiresAt) {
+  return `${hash}.${expiresAt === undefined ? 'never' : expiresAt}.json`;
+}
+
+/**
+ * Create a store persisted to one file per entry
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Directory holding the entry files
+ * @param {number} [options.maxEntries] - Most entries kept (default unlimited)
+ * @returns {Object} Cache store (same interface as memoryStore.js)
+ */
+function createFileStore({ dir, maxEntries = Infinity }) {
+  // hash -> { file, expiresAt }, least recently used first (after a restart,
+  // closest to expiring first); loaded once
+  let indexPromise = null;
+
+  // Writes are chained so two writes of the same entry never interleave on disk
+  let pendingWrite = Promise.resolve();
+
+  const hashOf = (key) => crypto.createHash('sha1').update(key).digest('hex');
+  const pathOf = (file) => path.join(dir, file);
+  const removeFile = (file) => fs.unlink(pathOf(file)).catch((error) => {
+    if (error.code !== 'ENOENT') {
+      console.warn(`Failed to remove cache file ${file}: ${error.message}`);
+    }
+  });
+
+  /**
+   * List the directory on first access
+   * A missing directory starts an empty cache; leftover temporary files and
+   * older copies of an entry (from a crash mid-write) are removed.
+   */
+  function loadIndex() {
+    if (!indexPromise) {
+      indexPromise = (async () => {
+        const files = await fs.readdir(dir).catch((error) => {
+          if (error.code !== 'ENOENT') {
+            console.warn(`Ignoring unreadable cache directory ${dir}: ${error.message}`);
+          }
+          return [];
+        });
+        const records = files
+          .map((file) => {
+            const match = FILE_NAME_PATTERN.exec(file);
+            if (!match) {
+              if (file.endsWith('.tmp')) {
+                removeFile(file);
+              }
+              return null;
+            }
+            return {
+              hash: match[1],
+              file,
+              expiresAt: match[2] === 'never' ? undefined : Number(match[2]),
+            };
+          })
+          .filter(Boolean)
+          .sort((a, b) => (a.expiresAt ?? Infinity) - (b.expiresAt ?? Infinity));
+
+        const index = new Map();
+        records.forEach(({ hash, file, expiresAt }) => {
+          if (index.has(hash)) {
+            removeFile(index.get(hash).file);
+          }
+          index.delete(hash);
+          index.set(hash, { file, expiresAt });
+        });
+        return index;
+      })();
+    }
+    return indexPromise;
+  }
+
+  /**
+   * Queue a disk operation after the ones already pending
+   */
+  function write(operation) {
+    pendingWrite = pendingWrite
+      .then(operation)
+      .catch((error) => {
+        console.error(`Failed to write cache directory ${dir}:`, error.message);
+      });
+    return pendingWrite;
+  }
+
+  return {
+    async get(key) {
+      const index = await loadIndex();
+      const hash = hashOf(key);
+      // Let a write of this entry finish before reading it
+      await pendingWrite;
+      const record = index.get(hash);
+      if (!record) {
+        return undefined;
+      }
+      index.delete(hash);
+      if (isExpired(record)) {
+        write(() => removeFile(record.file));
+        return undefined;
+      }
+      index.set(hash, record);
+
+      try {
+        const stored = JSON.parse(await fs.readFile(pathOf(record.file), 'utf8'));
+        return stored.key === key ? stored.entry : undefined;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`Ignoring unreadable cache file ${record.file}: ${error.message}`);
+        }
+        return undefined;
+      }
+    },
+
+    async set(key, entry) {
+      const index = await loadIndex();
+      const hash = hashOf(key);
+      const previous = index.get(hash);
+      const record = { file: toFileName(hash, entry.expiresAt), expiresAt: entry.expiresAt };
+      index.delete(hash);
+      index.set(hash, record);
+
+      const obsolete = selectEvictions(index, maxEntries).map((evicted) => {
+        const { file } = index.get(evicted);
+        index.delete(evicted);
+        return file;
+      });
+      if (previous && previous.file !== record.file) {
+        obsolete.push(previous.file);
+      }
+
+      // Written to a temporary file first, then renamed, so a crash mid-write
+      // never leaves a truncated entry behind
+      await write(async () => {
+        const tempPath = `${pathOf(record.file)}.tmp`;
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(tempPath, JSON.stringify({ key, entry }));
+        await fs.rename(tempPath, pathOf(record.file));
+        await Promise.all(obsolete.map(removeFile));
+      });
+    },
+
+    async delete(key) {
+      const index = await loadIndex();
+      const hash = hashOf(key);
+      const record = index.get(hash);
+      if (record) {
+        index.delete(hash);
+        await write(() => removeFile(record.file));
+      }
+    },
+  };
+}
+
+module.exports = {
+  createFileStore,
+};
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+
+const entry = (value, expiresAt) => ({ value, storedAt: 0, expiresAt });
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('each entry is its own file, and survives a restart', async (t) => {
+  const dir = tempDir(t);
+  const later = Date.now() + 60000;
+  const store = createFileStore({ dir });
+  await store.set('forecast:51.51,-0.13', entry({ temp: 12 }, later));
+  await store.set('geocoding:london', entry({ name: 'London' }, later));
+  assert.equal(fs.readdirSync(dir).length, 2);
+
+  // Updating one entry replaces its file and leaves the other alone
+  await store.set('forecast:51.51,-0.13', entry({ temp: 13 }, later + 1));
+  assert.equal(fs.readdirSync(dir).length, 2);
+
+  const reopened = createFileStore({ dir });
+  assert.deepEqual((await reopened.get('forecast:51.51,-0.13')).value, { temp: 13 });
+  assert.deepEqual((await reopened.get('geocoding:london')).value, { name: 'London' });
+  assert.equal(await reopened.get('geocoding:paris'), undefined);
+});
+
+test('expired entries are removed from disk when read', async (t) => {
+  const dir = tempDir(t);
+  const store = createFileStore({ dir });
+  await store.set('old', entry(1, Date.now() - 1));
+  assert.equal(await createFileStore({ dir }).get('old'), undefined);
+
+  assert.equal(await store.get('old'), undefined);
+  await store.set('new', entry(2, Date.now() + 60000));
+  assert.equal(fs.readdirSync(dir).length, 1);
+});
+
+test('a full store drops entries and their files', async (t) => {
+  const dir = tempDir(t);
+  const store = createFileStore({ dir, maxEntries: 2 });
+  const later = Date.now() + 60000;
+  await store.set('a', entry('a', later));
+  await store.set('b', entry('b', later));
+  await store.get('a');
+  await store.set('c', entry('c', later));
+
+  assert.equal(fs.readdirSync(dir).length, 2);
+  assert.equal(await store.get('b'), undefined);
+  assert.equal((await store.get('a')).value, 'a');
+  assert.equal((await store.get('c')).value, 'c');
+});
+
+test('a missing or cluttered directory starts an empty cache', async (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'leftover.json.tmp'), '{');
+  fs.writeFileSync(path.join(dir, 'README'), 'not an entry');
+  assert.equal(await createFileStore({ dir: path.join(dir, 'missing') }).get('a'), undefined);
+  assert.equal(await createFileStore({ dir }).get('a'), undefined);
+});
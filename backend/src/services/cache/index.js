@@ -0,0 +1,139 @@
+/**
+ * Cache Service
+ *
+ * Time-based cache with stale-while-revalidate, used by the weather service
+ * to avoid repeating identical geocoding and forecast lookups.
+ *
+ * Entry lifecycle (age = time since the value was stored):
+ * - age < ttl:                 HIT   - served from cache
+ * - ttl <= age < ttl + stale:  STALE - served from cache, refreshed in the background
+ * - age >= ttl + stale:        MISS  - loaded from the source before responding
+ *
+ * If loading fails (e.g. the upstream is down) and an expired entry still
+ * exists, that entry is served as FALLBACK rather than failing the request.
+ * Entries are kept for that for fallbackSeconds after they stop being served
+ * as stale, then dropped by the store (expiresAt), which also holds at most
+ * maxEntries entries across all caches.
+ */
+
+const config = require('../../config');
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+
+/**
+ * Cache status values reported for each lookup
+ */
+const CacheStatus = {
+  HIT: 'HIT',
+  STALE: 'STALE',
+  MISS: 'MISS',
+  FALLBACK: 'FALLBACK',
+};
+
+/**
+ * Create the cache store selected by configuration
+ *
+ * @param {string} type - 'memory' or 'file'
+ * @returns {Object} Cache store
+ */
+function createStore(type = config.cache.store) {
+  const { maxEntries } = config.cache;
+  if (type === 'file') {
+    return createFileStore({ dir: config.cache.dir, maxEntries });
+  }
+  if (type !== 'memory') {
+    throw new Error(`Unknown cache store "${type}". Available: memory, file`);
+  }
+  return createMemoryStore({ maxEntries });
+}
+
+/**
+ * Create a named cache on top of a store
+ *
+ * @param {Object} options
+ * @param {string} options.namespace - Prefix keeping this cache's keys separate
+ * @param {Object} options.store - Cache store to read from and write to
+ * @param {number} options.ttlSeconds - How long an entry counts as fresh
+ * @param {number} options.staleSeconds - Extra time a stale entry may be served
+ * @param {number} [options.fallbackSeconds] - Extra time an expired entry is
+ *                                             kept to serve if loading fails
+ * @returns {Object} Cache with a getOrLoad method
+ */
+function createCache({
+  namespace,
+  store,
+  ttlSeconds,
+  staleSeconds,
+  fallbackSeconds = config.cache.fallbackSeconds,
+}) {
+  // In-flight loads keyed by cache key, so concurrent misses share one request
+  const inFlight = new Map();
+
+  /**
+   * Run the loader once per key at a time and store its result
+   */
+  function load(storeKey, loader) {
+    if (!inFlight.has(storeKey)) {
+      const promise = (async () => {
+        try {
+          const value = await loader();
+          const storedAt = Date.now();
+          const expiresAt = storedAt + (ttlSeconds + staleSeconds + fallbackSeconds) * 1000;
+          await store.set(storeKey, { value, storedAt, expiresAt });
+          return value;
+        } finally {
+          inFlight.delete(storeKey);
+        }
+      })();
+      inFlight.set(storeKey, promise);
+    }
+    return inFlight.get(storeKey);
+  }
+
+  return {
+    namespace,
+
+    /**
+     * Return the cached value for a key, loading it if needed
+     *
+     * @param {string} key - Cache key (already normalized by the caller)
+     * @param {Function} loader - Async function producing the value on a miss
+     * @returns {Promise<Object>} { value, status } where status is a CacheStatus
+     */
+    async getOrLoad(key, loader) {
+      const storeKey = `${namespace}:${key}`;
+      const entry = await store.get(storeKey);
+      const ageSeconds = entry ? (Date.now() - entry.storedAt) / 1000 : Infinity;
+
+      if (ageSeconds < ttlSeconds) {
+        return { value: entry.value, status: CacheStatus.HIT };
+      }
+
+      if (ageSeconds < ttlSeconds + staleSeconds) {
+        // Serve the stale value now and refresh it for the next caller
+        load(storeKey, loader).catch((error) => {
+          console.warn(`Background refresh failed for ${storeKey}: ${error.message}`);
+        });
+        return { value: entry.value, status: CacheStatus.STALE };
+      }
+
+      try {
+        const value = await load(storeKey, loader);
+        return { value, status: CacheStatus.MISS };
+      } catch (error) {
+        if (!entry) {
+          throw error;
+        }
+        // Old data beats no data when the source is unavailable
+        console.warn(`Serving expired ${storeKey} after load failed: ${error.message}`);
+        return { value: entry.value, status: CacheStatus.FALLBACK };
+      }
+    },
+  };
+}
+
+module.exports = {
+  CacheStatus,
+  createStore,
+  createCache,
+};
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CacheStatus, createCache } = require('./index');
+const { createMemoryStore } = require('./memoryStore');
+
+const TTL = 60;
+const STALE = 30;
+const FALLBACK = 100;
+
+function setup(t) {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const store = createMemoryStore();
+  const cache = createCache({
+    namespace: 'test',
+    store,
+    ttlSeconds: TTL,
+    staleSeconds: STALE,
+    fallbackSeconds: FALLBACK,
+  });
+  return { store, cache };
+}
+
+const advance = (t, seconds) => t.mock.timers.tick(seconds * 1000);
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+test('a miss loads and stores the value with its expiry', async (t) => {
+  const { store, cache } = setup(t);
+  assert.deepEqual(await cache.getOrLoad('key', async () => 'v1'), { value: 'v1', status: CacheStatus.MISS });
+  assert.deepEqual(await store.get('test:key'), {
+    value: 'v1',
+    storedAt: 0,
+    expiresAt: (TTL + STALE + FALLBACK) * 1000,
+  });
+  assert.deepEqual(await cache.getOrLoad('key', async () => 'v2'), { value: 'v1', status: CacheStatus.HIT });
+});
+
+test('a stale entry is served while it is refreshed in the background', async (t) => {
+  const { cache } = setup(t);
+  await cache.getOrLoad('key', async () => 'v1');
+  advance(t, TTL + 1);
+
+  assert.deepEqual(await cache.getOrLoad('key', async () => 'v2'), { value: 'v1', status: CacheStatus.STALE });
+  await flush();
+  assert.deepEqual(await cache.getOrLoad('key', async () => 'v3'), { value: 'v2', status: CacheStatus.HIT });
+});
+
+test('an expired entry is served as a fallback when loading fails', async (t) => {
+  const { cache } = setup(t);
+  await cache.getOrLoad('key', async () => 'v1');
+  advance(t, TTL + STALE + 1);
+  const failing = async () => { throw new Error('upstream down'); };
+
+  assert.deepEqual(await cache.getOrLoad('key', failing), { value: 'v1', status: CacheStatus.FALLBACK });
+
+  // ...until the store drops it
+  advance(t, FALLBACK);
+  await assert.rejects(cache.getOrLoad('key', failing), /upstream down/);
+});
+
+test('concurrent misses share one load', async (t) => {
+  const { cache } = setup(t);
+  let loads = 0;
+  const loader = async () => {
+    loads += 1;
+    return 'v1';
+  };
+  const results = await Promise.all([cache.getOrLoad('key', loader), cache.getOrLoad('key', loader)]);
+  assert.equal(loads, 1);
+  assert.deepEqual(results.map((result) => result.value), ['v1', 'v1']);
+});
@@ -0,0 +1,56 @@
+/**
+ * In-Memory Cache Store
+ *
+ * Default cache store. Entries live in a Map and are lost on restart.
+ *
+ * Store interface (shared with fileStore.js):
+ * - get(key): Promise<{ value, storedAt, expiresAt } | undefined>
+ * - set(key, entry): Promise<void>
+ * - delete(key): Promise<void>
+ *
+ * Entries past their expiresAt are dropped when read, and a store holds at
+ * most maxEntries (see eviction.js).
+ */
+
+const { isExpired, selectEvictions } = require('./eviction');
+
+/**
+ * Create a store backed by a Map
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries] - Most entries kept (default unlimited)
+ * @returns {Object} Cache store
+ */
+function createMemoryStore({ maxEntries = Infinity } = {}) {
+  // Least recently used first: reading or writing an entry moves it to the end
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      entries.delete(key);
+      if (isExpired(entry)) {
+        return undefined;
+      }
+      entries.set(key, entry);
+      return entry;
+    },
+
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      selectEvictions(entries, maxEntries).forEach((evicted) => entries.delete(evicted));
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+};
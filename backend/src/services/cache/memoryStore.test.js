@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStore } = require('./memoryStore');
+
+const entry = (value, expiresAt) => ({ value, storedAt: 0, expiresAt });
+
+test('expired entries are dropped when read', async () => {
+  const store = createMemoryStore();
+  await store.set('old', entry(1, Date.now() - 1));
+  await store.set('new', entry(2, Date.now() + 60000));
+  assert.equal(await store.get('old'), undefined);
+  assert.equal((await store.get('new')).value, 2);
+});
+
+test('a full store sweeps expired entries, then drops the least recently used', async () => {
+  const store = createMemoryStore({ maxEntries: 3 });
+  const later = Date.now() + 60000;
+  await store.set('a', entry('a', later));
+  await store.set('b', entry('b', Date.now() - 1));
+  await store.set('c', entry('c', later));
+  await store.get('a');
+
+  // Over the limit: expired b goes first
+  await store.set('d', entry('d', later));
+  assert.equal(await store.get('b'), undefined);
+  assert.equal((await store.get('c')).value, 'c');
+
+  // Reading c left a as the least recently used
+  await store.set('e', entry('e', later));
+  assert.equal(await store.get('a'), undefined);
+  assert.deepEqual(
+    await Promise.all(['c', 'd', 'e'].map(async (key) => (await store.get(key)).value)),
+    ['c', 'd', 'e']
+  );
+});
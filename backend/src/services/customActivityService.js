@@ -0,0 +1,134 @@
+/**
+ * Custom Activity Service
+ *
+ * Create, update and delete user-defined activities. Custom activities use
+ * the same declarative format as the built-in ones (see ruleEngine.js) and
+ * are persisted in DATA_DIR/custom-activities.json.
+ */
+
+const path = require('path');
+const config = require('../config');
+const { createJsonFileCollection } = require('./jsonFileCollection');
+const { validateActivityDefinition } = require('./ruleEngine');
+const { getBuiltinActivities } = require('./activityRankingService');
+const { InvalidInputError } = require('../errors');
+
+// Most custom activities kept: every forecast scores each of them on every day
+const MAX_CUSTOM_ACTIVITIES = 50;
+
+const collection = createJsonFileCollection({
+  filePath: path.join(config.storage.dataDir, 'custom-activities.json'),
+  idPrefix: 'activity',
+});
+
+/**
+ * Check a definition before it is stored
+ *
+ * @param {Object} definition - Activity definition to store
+ * @throws {InvalidInputError} If the definition is invalid
+ */
+function assertValidDefinition(definition) {
+  const problems = validateActivityDefinition(definition);
+  if (problems.length > 0) {
+    throw new InvalidInputError(`Invalid activity: ${problems.join('; ')}`, { field: 'input' });
+  }
+}
+
+/**
+ * Make sure no other activity has a name (run as the write's check)
+ *
+ * @param {Array<Object>} customActivities - Stored custom activities
+ * @param {string} name - Name to store
+ * @param {string} [ownId] - Id of the activity being updated (its own name is allowed)
+ * @throws {InvalidInputError} If the name is taken
+ */
+function assertNameAvailable(customActivities, name, ownId) {
+  const wanted = name.trim().toLowerCase();
+  const taken = [...getBuiltinActivities(), ...customActivities]
+    .some((activity) => activity.id !== ownId && activity.name.toLowerCase() === wanted);
+  if (taken) {
+    throw new InvalidInputError(`An activity named "${name}" already exists`, { field: 'name' });
+  }
+}
+
+/**
+ * Make sure an id refers to an existing custom activity
+ *
+ * @param {string} id - Activity id
+ * @throws {InvalidInputError} If it is a built-in activity or does not exist
+ */
+async function assertCustomActivity(id) {
+  if (getBuiltinActivities().some((activity) => activity.id === id)) {
+    throw new InvalidInputError('Built-in activities cannot be changed', { field: 'id' });
+  }
+  if (!(await collection.get(id))) {
+    throw new InvalidInputError(`No custom activity with id "${id}"`, { field: 'id' });
+  }
+}
+
+/**
+ * @returns {Promise<Array<Object>>} All custom activity definitions
+ */
+function listCustomActivities() {
+  return collection.list();
+}
+
+/**
+ * Store a new custom activity
+ *
+ * @param {Object} definition - Activity definition (without id)
+ * @returns {Promise<Object>} Stored definition with its id
+ * @throws {InvalidInputError} If the definition is invalid, the name is
+ *                             taken or there are too many custom activities
+ */
+async function createCustomActivity(definition) {
+  assertValidDefinition(definition);
+  return collection.insert({ ...definition, name: definition.name.trim() }, {
+    check: (customActivities) => {
+      if (customActivities.length >= MAX_CUSTOM_ACTIVITIES) {
+        throw new InvalidInputError(`At most ${MAX_CUSTOM_ACTIVITIES} custom activities can be saved`);
+      }
+      assertNameAvailable(customActivities, definition.name);
+    },
+  });
+}
+
+/**
+ * Replace an existing custom activity's definition
+ *
+ * @param {string} id - Activity id
+ * @param {Object} definition - New definition
+ * @returns {Promise<Object>} Updated definition
+ * @throws {InvalidInputError} If the id is unknown, the definition is invalid
+ *                             or the name is taken
+ */
+async function updateCustomActivity(id, definition) {
+  await assertCustomActivity(id);
+  assertValidDefinition(definition);
+  const updated = await collection.update(id, { ...definition, name: definition.name.trim() }, {
+    check: (customActivities) => assertNameAvailable(customActivities, definition.name, id),
+  });
+  if (!updated) {
+    throw new InvalidInputError(`No custom activity with id "${id}"`, { field: 'id' });
+  }
+  return updated;
+}
+
+/**
+ * Delete a custom activity
+ *
+ * @param {string} id - Activity id
+ * @returns {Promise<boolean>} True once deleted
+ * @throws {InvalidInputError} If the id is unknown or refers to a built-in activity
+ */
+async function deleteCustomActivity(id) {
+  await assertCustomActivity(id);
+  return collection.remove(id);
+}
+
+module.exports = {
+  listCustomActivities,
+  createCustomActivity,
+  updateCustomActivity,
+  deleteCustomActivity,
+};
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'custom-activities-'));
+test.after(() => fs.rmSync(dataDir, { recursive: true }));
+
+process.env.DATA_DIR = dataDir;
+const { createCustomActivity, listCustomActivities, updateCustomActivity } = require('./customActivityService');
+
+const definition = (name) => ({
+  name,
+  baseScore: 50,
+  rules: [{ when: { maxTemp: { gte: 18 } }, points: 30 }],
+  clamp: { min: 0, max: 100 },
+});
+
+test('two concurrent creates with one name store one activity', async () => {
+  const results = await Promise.allSettled([
+    createCustomActivity(definition('Kite flying')),
+    createCustomActivity(definition('kite flying ')),
+  ]);
+  assert.deepEqual(results.map((result) => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find((result) => result.status === 'rejected').reason.code, 'INVALID_INPUT');
+  assert.equal((await listCustomActivities()).length, 1);
+});
+
+test('names of built-in and other custom activities are taken', async () => {
+  await assert.rejects(createCustomActivity(definition('surfing')), { message: 'An activity named "surfing" already exists' });
+  const stored = await createCustomActivity(definition('Stargazing'));
+  await assert.rejects(updateCustomActivity(stored.id, definition('Kite flying')), { code: 'INVALID_INPUT' });
+  assert.equal((await updateCustomActivity(stored.id, definition('Stargazing '))).name, 'Stargazing');
+});
+
+test('at most 50 custom activities can be saved', async () => {
+  const room = 50 - (await listCustomActivities()).length;
+  await Promise.all(Array.from({ length: room + 2 }, (_, index) => createCustomActivity(definition(`Activity ${index}`))
+    .catch(() => null)));
+  assert.equal((await listCustomActivities()).length, 50);
+  await assert.rejects(createCustomActivity(definition('One more')), {
+    message: 'At most 50 custom activities can be saved',
+  });
+});
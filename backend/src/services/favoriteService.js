@@ -0,0 +1,226 @@
+/**
+ * Favorite Location Service
+ *
+ * Save, rename and remove favorite places, each under a nickname ("Home",
+ * "Ski chalet"). Favorites are persisted in DATA_DIR/favorites.json and
+ * summarized together by the myPlaces query.
+ *
+ * Favorite format:
+ * {
+ *   "nickname": "Ski chalet",
+ *   "location": "Chamonix, Auvergne-Rhône-Alpes, France",
+ *   "latitude": 45.92, "longitude": 6.87,
+ *   "target": { "locationId": "3027301" }
+ * }
+ *
+ * - location/latitude/longitude: The place as resolved when it was saved
+ * - target: The place found when it was saved, as its candidate id
+ *   ({ locationId }, which keeps its altitude for skiing) or, for places
+ *   given by coordinates, { latitude, longitude }. A place saved by name is
+ *   stored by the id it resolved to, so later changes to search results
+ *   cannot move it.
+ */
+
+const path = require('path');
+const config = require('../config');
+const { createJsonFileCollection } = require('./jsonFileCollection');
+const weatherService = require('./weatherService');
+const { InvalidInputError } = require('../errors');
+
+// Longest nickname accepted, and the most places myPlaces forecasts at once
+const MAX_NICKNAME_LENGTH = 40;
+const MAX_FAVORITES = 20;
+
+const collection = createJsonFileCollection({
+  filePath: path.join(config.storage.dataDir, 'favorites.json'),
+  idPrefix: 'favorite',
+});
+
+/**
+ * Check a nickname before it is stored
+ *
+ * @param {string} nickname - Nickname to store
+ * @returns {string} Trimmed nickname
+ * @throws {InvalidInputError} If the nickname is empty or too long
+ */
+function assertValidNickname(nickname) {
+  const trimmed = typeof nickname === 'string' ? nickname.trim() : '';
+  if (!trimmed) {
+    throw new InvalidInputError('nickname must be a non-empty string', { field: 'nickname' });
+  }
+  if (trimmed.length > MAX_NICKNAME_LENGTH) {
+    throw new InvalidInputError(
+      `nickname must be at most ${MAX_NICKNAME_LENGTH} characters`,
+      { field: 'nickname' }
+    );
+  }
+  return trimmed;
+}
+
+/**
+ * Make sure no other favorite has a nickname (run as the write's check)
+ *
+ * @param {Array<Object>} favorites - Stored favorites
+ * @param {string} nickname - Trimmed nickname to store
+ * @param {string} [ownId] - Id of the favorite being renamed (its own nickname is allowed)
+ * @throws {InvalidInputError} If the nickname is taken
+ */
+function assertNicknameAvailable(favorites, nickname, ownId) {
+  const taken = favorites
+    .some((favorite) => favorite.id !== ownId && favorite.nickname.toLowerCase() === nickname.toLowerCase());
+  if (taken) {
+    throw new InvalidInputError(`A favorite named "${nickname}" already exists`, { field: 'nickname' });
+  }
+}
+
+/**
+ * @returns {Promise<Array<Object>>} All favorites, oldest first
+ */
+function listFavorites() {
+  return collection.list();
+}
+
+/**
+ * Look up a favorite
+ *
+ * @param {string} id - Favorite id
+ * @returns {Promise<Object>} The favorite
+ * @throws {InvalidInputError} If there is no favorite with this id
+ */
+async function getFavorite(id) {
+  const favorite = await collection.get(id);
+  if (!favorite) {
+    throw new InvalidInputError(`No favorite with id "${id}"`, { field: 'id' });
+  }
+  return favorite;
+}
+
+/**
+ * Save a place as a favorite
+ *
+ * The place is resolved now, so a name that matches nothing is rejected
+ * and the favorite can be listed without another lookup.
+ *
+ * @param {string} nickname - Name to save it under
+ * @param {Object} target - Validated place ({ location } | { locationId } |
+ *                          { latitude, longitude })
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.cacheLog] - Receives cache outcomes
+ * @returns {Promise<Object>} Stored favorite with its id
+ * @throws {InvalidInputError} If the nickname is invalid or taken, the place
+ *                             is already saved, or there are too many favorites
+ * @throws {LocationNotFoundError} If the place cannot be found
+ */
+async function createFavorite(nickname, target, { cacheLog } = {}) {
+  const validNickname = assertValidNickname(nickname);
+  const isFull = (favorites) => favorites.length >= MAX_FAVORITES;
+  const tooMany = () => new InvalidInputError(`At most ${MAX_FAVORITES} favorites can be saved`);
+  // Fail fast before looking the place up; checked again when stored
+  if (isFull(await collection.list())) {
+    throw tooMany();
+  }
+
+  const { id: locationId, latitude, longitude, displayName } = await weatherService.resolveLocation(target, { cacheLog });
+  const savedTarget = locationId ? { locationId } : { latitude, longitude };
+  // Coordinates to about 100 m: the same place found by name or by id
+  const samePlace = (favorite) => Math.abs(favorite.latitude - latitude) < 0.001
+    && Math.abs(favorite.longitude - longitude) < 0.001;
+
+  return collection.insert({ nickname: validNickname, location: displayName, latitude, longitude, target: savedTarget }, {
+    check: (favorites) => {
+      if (isFull(favorites)) {
+        throw tooMany();
+      }
+      assertNicknameAvailable(favorites, validNickname);
+      const existing = favorites.find(samePlace);
+      if (existing) {
+        throw new InvalidInputError(`${displayName} is already saved as "${existing.nickname}"`);
+      }
+    },
+  });
+}
+
+/**
+ * Give a favorite another nickname
+ *
+ * @param {string} id - Favorite id
+ * @param {string} nickname - New nickname
+ * @returns {Promise<Object>} Updated favorite
+ * @throws {InvalidInputError} If the id is unknown or the nickname is invalid or taken
+ */
+async function renameFavorite(id, nickname) {
+  const favorite = await getFavorite(id);
+  const validNickname = assertValidNickname(nickname);
+  const updated = await collection.update(id, { ...favorite, nickname: validNickname }, {
+    check: (favorites) => assertNicknameAvailable(favorites, validNickname, id),
+  });
+  if (!updated) {
+    throw new InvalidInputError(`No favorite with id "${id}"`, { field: 'id' });
+  }
+  return updated;
+}
+
+/**
+ * Delete a favorite
+ *
+ * @param {string} id - Favorite id
+ * @returns {Promise<boolean>} True once deleted
+ * @throws {InvalidInputError} If the id is unknown
+ */
+async function deleteFavorite(id) {
+  await getFavorite(id);
+  return collection.remove(id);
+}
+
+/**
+ * The place a favorite's forecast is looked up for
+ *
+ * @param {Object} favorite - Stored favorite
+ * @returns {Object} { locationId } or { latitude, longitude }; favorites
+ *                   stored by name by earlier versions use their saved
+ *                   coordinates, so they are not geocoded again
+ */
+function targetOf(favorite) {
+  if (favorite.target.location) {
+    return { latitude: favorite.latitude, longitude: favorite.longitude };
+  }
+  return favorite.target;
+}
+
+/**
+ * Sum a favorite's forecast up as its best activity
+ *
+ * @param {Object} favorite - Stored favorite
+ * @param {Object} forecast - ActivityForecast for the place
+ * @returns {Object} PlaceOverview { favorite, timezone, topActivity,
+ *                   bestDay, error }; topActivity is the applicable activity
+ *                   with the highest average score (null if none is),
+ *                   bestDay its best possible day (null if every day is
+ *                   unsafe) and error is null
+ */
+function summarizeFavorite(favorite, forecast) {
+  const topActivity = forecast.rankings
+    .filter((ranking) => ranking.applicable)
+    .reduce((best, ranking) => (!best || ranking.averageScore > best.averageScore ? ranking : best), null);
+  const bestDay = topActivity && topActivity.dailyScores
+    .filter((day) => day.applicable && !day.unsafe)
+    .reduce((best, day) => (!best || day.score > best.score ? day : best), null);
+
+  return {
+    favorite,
+    timezone: forecast.timezone,
+    topActivity,
+    bestDay,
+    error: null,
+  };
+}
+
+module.exports = {
+  listFavorites,
+  getFavorite,
+  createFavorite,
+  renameFavorite,
+  deleteFavorite,
+  targetOf,
+  summarizeFavorite,
+};
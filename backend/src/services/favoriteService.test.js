@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'favorites-'));
+test.after(() => fs.rmSync(dataDir, { recursive: true }));
+
+process.env.DATA_DIR = dataDir;
+process.env.WEATHER_PROVIDER = 'fixture';
+const favoriteService = require('./favoriteService');
+
+test.afterEach(async () => {
+  const favorites = await favoriteService.listFavorites();
+  await Promise.all(favorites.map((favorite) => favoriteService.deleteFavorite(favorite.id)));
+});
+
+const statuses = (results) => results.map((result) => result.status).sort();
+
+test('two concurrent saves under one nickname store one favorite', async () => {
+  const results = await Promise.allSettled([
+    favoriteService.createFavorite('Home', { location: 'London' }),
+    favoriteService.createFavorite('home', { location: 'Paris' }),
+  ]);
+  assert.deepEqual(statuses(results), ['fulfilled', 'rejected']);
+  assert.match(results.find((result) => result.status === 'rejected').reason.message, /already exists/);
+  assert.equal((await favoriteService.listFavorites()).length, 1);
+});
+
+test('two concurrent saves of one place store one favorite', async () => {
+  const results = await Promise.allSettled([
+    favoriteService.createFavorite('Home', { location: 'London' }),
+    favoriteService.createFavorite('Work', { location: 'London' }),
+  ]);
+  assert.deepEqual(statuses(results), ['fulfilled', 'rejected']);
+  assert.match(results.find((result) => result.status === 'rejected').reason.message, /is already saved as/);
+});
+
+test('concurrent saves stop at the most favorites allowed', async () => {
+  const results = await Promise.allSettled(Array.from({ length: 22 }, (_, index) => (
+    favoriteService.createFavorite(`Spot ${index}`, { latitude: index, longitude: index })
+  )));
+  assert.equal(results.filter((result) => result.status === 'fulfilled').length, 20);
+  assert.ok(results
+    .filter((result) => result.status === 'rejected')
+    .every((result) => result.reason.message === 'At most 20 favorites can be saved'));
+});
+
+test('renaming to a nickname in use is refused', async () => {
+  const home = await favoriteService.createFavorite('Home', { location: 'London' });
+  await favoriteService.createFavorite('Work', { location: 'Paris' });
+  await assert.rejects(favoriteService.renameFavorite(home.id, ' WORK '), { message: 'A favorite named "WORK" already exists' });
+  assert.equal((await favoriteService.renameFavorite(home.id, 'Flat')).nickname, 'Flat');
+});
+
+test('a place saved by name is stored as the candidate it resolved to', async () => {
+  const home = await favoriteService.createFavorite('Home', { location: 'London' });
+  assert.deepEqual(Object.keys(home.target), ['locationId']);
+  assert.deepEqual(favoriteService.targetOf(home), home.target);
+
+  const spot = await favoriteService.createFavorite('Spot', { latitude: 1, longitude: 2 });
+  assert.deepEqual(spot.target, { latitude: 1, longitude: 2 });
+});
+
+test('favorites stored by name before are forecast at their saved coordinates', () => {
+  const legacy = { latitude: 51.5, longitude: -0.1, target: { location: 'London' } };
+  assert.deepEqual(favoriteService.targetOf(legacy), { latitude: 51.5, longitude: -0.1 });
+});
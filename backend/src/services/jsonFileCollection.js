@@ -0,0 +1,160 @@
+/**
+ * JSON File Collection
+ *
+ * Minimal persistent store for small collections of records (custom
+ * activities, user data) kept as a JSON array in one file. Good enough for
+ * a single server process; swap for a database if the app ever runs on
+ * several instances.
+ *
+ * Records are plain objects with a string `id`, which is assigned on insert.
+ *
+ * Changes are applied one at a time. Rules spanning records (unique names,
+ * a maximum number of records) are checked by the `check` option of insert
+ * and update: it sees the records as they are when the change is applied,
+ * so two concurrent requests cannot both pass it.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Create a collection persisted to a JSON file
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - JSON file holding the records
+ * @param {string} [options.idPrefix] - Prefix for generated ids, e.g. "activity"
+ * @returns {Object} Collection with list, get, insert, update and remove
+ */
+function createJsonFileCollection({ filePath, idPrefix = 'item' }) {
+  let records = null;
+  let loading = null;
+
+  // Changes run one at a time, each after the previous one's write; one
+  // failing does not stop the ones queued after it
+  let pendingWrite = Promise.resolve();
+
+  // Load the file on first access; a missing file is an empty collection.
+  // Concurrent first accesses share one read.
+  function load() {
+    if (!loading) {
+      loading = fs.readFile(filePath, 'utf8')
+        .then((text) => JSON.parse(text))
+        .catch((error) => {
+          if (error.code !== 'ENOENT') {
+            loading = null;
+            throw new Error(`Cannot read ${filePath}: ${error.message}`);
+          }
+          return [];
+        })
+        .then((loaded) => {
+          records = loaded;
+        });
+    }
+    return loading.then(() => records);
+  }
+
+  // Persist via a temporary file + rename so a crash never truncates the file
+  async function write(updated) {
+    const tempPath = `${filePath}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(updated, null, 2));
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Queue a change to the records
+   *
+   * The change gets the records as they are once every earlier change is
+   * done and returns { updated, result }; updated (a new array, if anything
+   * changed) is written to the file and only then kept in memory, so a
+   * failed write leaves the collection as it was.
+   *
+   * @param {Function} change - (records) => { updated, result }; throws to refuse
+   * @returns {Promise<*>} The change's result
+   */
+  function commit(change) {
+    const next = pendingWrite.then(async () => {
+      const { updated, result } = change(await load());
+      if (updated) {
+        await write(updated);
+        records = updated;
+      }
+      return result;
+    });
+    pendingWrite = next.catch(() => {});
+    return next;
+  }
+
+  return {
+    /**
+     * @returns {Promise<Array<Object>>} All records, oldest first
+     */
+    async list() {
+      return [...(await load())];
+    },
+
+    /**
+     * @param {string} id - Record id
+     * @returns {Promise<Object|null>} The record, or null if none has this id
+     */
+    async get(id) {
+      return (await load()).find((record) => record.id === id) || null;
+    },
+
+    /**
+     * @param {Object} data - Record fields (without id)
+     * @param {Object} [options]
+     * @param {Function} [options.check] - Called with all records right before
+     *                                     the insert; throws to refuse it
+     * @returns {Promise<Object>} The stored record including its new id
+     */
+    insert(data, { check } = {}) {
+      return commit((all) => {
+        if (check) {
+          check(all);
+        }
+        const record = { ...data, id: `${idPrefix}-${crypto.randomUUID()}` };
+        return { updated: [...all, record], result: record };
+      });
+    },
+
+    /**
+     * @param {string} id - Record id
+     * @param {Object} data - Replacement fields (the id is kept)
+     * @param {Object} [options]
+     * @param {Function} [options.check] - Called with all records right before
+     *                                     the update; throws to refuse it
+     * @returns {Promise<Object|null>} The updated record, or null if not found
+     */
+    update(id, data, { check } = {}) {
+      return commit((all) => {
+        if (!all.some((record) => record.id === id)) {
+          return { result: null };
+        }
+        if (check) {
+          check(all);
+        }
+        const record = { ...data, id };
+        return { updated: all.map((existing) => (existing.id === id ? record : existing)), result: record };
+      });
+    },
+
+    /**
+     * @param {string} id - Record id
+     * @returns {Promise<boolean>} True if a record was removed
+     */
+    remove(id) {
+      return commit((all) => {
+        if (!all.some((record) => record.id === id)) {
+          return { result: false };
+        }
+        return { updated: all.filter((record) => record.id !== id), result: true };
+      });
+    },
+  };
+}
+
+module.exports = {
+  createJsonFileCollection,
+};
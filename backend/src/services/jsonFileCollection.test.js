@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createJsonFileCollection } = require('./jsonFileCollection');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'collection-'));
+test.after(() => fs.rmSync(dir, { recursive: true }));
+
+let fileCount = 0;
+const newCollection = () => createJsonFileCollection({
+  filePath: path.join(dir, `records-${(fileCount += 1)}.json`),
+  idPrefix: 'record',
+});
+
+// Refuses a second record with the same name
+const uniqueName = (name) => ({
+  check: (records) => {
+    if (records.some((record) => record.name === name)) {
+      throw new Error(`"${name}" is taken`);
+    }
+  },
+});
+
+test('records are stored with an id and persisted to the file', async () => {
+  const filePath = path.join(dir, 'persisted.json');
+  const collection = createJsonFileCollection({ filePath, idPrefix: 'record' });
+  const stored = await collection.insert({ name: 'a' });
+  assert.match(stored.id, /^record-/);
+  assert.deepEqual(await collection.get(stored.id), stored);
+
+  const reloaded = createJsonFileCollection({ filePath });
+  assert.deepEqual(await reloaded.list(), [stored]);
+});
+
+test('a refused check stores nothing', async () => {
+  const collection = newCollection();
+  await collection.insert({ name: 'a' }, uniqueName('a'));
+  await assert.rejects(collection.insert({ name: 'a' }, uniqueName('a')), { message: '"a" is taken' });
+  assert.equal((await collection.list()).length, 1);
+});
+
+test('concurrent inserts cannot both pass a check', async () => {
+  const collection = newCollection();
+  const results = await Promise.allSettled([
+    collection.insert({ name: 'a' }, uniqueName('a')),
+    collection.insert({ name: 'a' }, uniqueName('a')),
+  ]);
+  assert.deepEqual(results.map((result) => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal((await collection.list()).length, 1);
+});
+
+test('update checks against the other records and skips unknown ids', async () => {
+  const collection = newCollection();
+  const a = await collection.insert({ name: 'a' });
+  await collection.insert({ name: 'b' });
+  await assert.rejects(collection.update(a.id, { name: 'b' }, uniqueName('b')), { message: '"b" is taken' });
+  assert.equal((await collection.get(a.id)).name, 'a');
+  assert.equal(await collection.update('record-missing', { name: 'c' }), null);
+});
+
+test('a failed write stores nothing and does not block later writes', async (t) => {
+  const filePath = path.join(dir, 'failing.json');
+  const collection = createJsonFileCollection({ filePath, idPrefix: 'record' });
+  const a = await collection.insert({ name: 'a' });
+
+  // The next rename fails once, as on a full disk
+  t.mock.method(fsPromises, 'rename', async () => {
+    fsPromises.rename.mock.restore();
+    throw new Error('disk full');
+  });
+  await assert.rejects(collection.insert({ name: 'b' }), { message: 'disk full' });
+  assert.deepEqual(await collection.list(), [a]);
+
+  const c = await collection.insert({ name: 'c' });
+  assert.deepEqual(await collection.list(), [a, c]);
+  assert.deepEqual(await createJsonFileCollection({ filePath }).list(), [a, c]);
+});
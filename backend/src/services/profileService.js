@@ -0,0 +1,197 @@
+/**
+ * Scoring Profile Service
+ *
+ * Create, update and delete personal scoring profiles: the weather a person
+ * is comfortable with (temperature range, wind, rain) and how much they care
+ * about each activity. Profiles are persisted in DATA_DIR/profiles.json and
+ * applied to rankings by activityRankingService.js.
+ *
+ * Profile format (every preference is optional):
+ * {
+ *   "name": "Sam",
+ *   "minTemp": 20, "maxTemp": 30,
+ *   "maxWind": 25,
+ *   "maxRain": 2,
+ *   "activityPreferences": [
+ *     { "activityId": "surfing", "weight": 1.5, "minTemp": 15 }
+ *   ]
+ * }
+ *
+ * - minTemp/maxTemp: Comfortable "feels like" high (°C)
+ * - maxWind: Highest comfortable wind speed (km/h)
+ * - maxRain: Most rain (mm per day) that does not spoil the day
+ * - activityPreferences: Per activity, a weight (0-3, default 1) multiplying
+ *   its score, and optionally its own comfortable temperature range
+ */
+
+const path = require('path');
+const config = require('../config');
+const { createJsonFileCollection } = require('./jsonFileCollection');
+const { getBuiltinActivities } = require('./activityRankingService');
+const { listCustomActivities } = require('./customActivityService');
+const { InvalidInputError } = require('../errors');
+
+// Largest weight an activity can be given (0 hides it at the bottom)
+const MAX_WEIGHT = 3;
+
+// Most profiles kept (the profile picker lists them all)
+const MAX_PROFILES = 50;
+
+const collection = createJsonFileCollection({
+  filePath: path.join(config.storage.dataDir, 'profiles.json'),
+  idPrefix: 'profile',
+});
+
+/**
+ * List what is wrong with a temperature range, if anything
+ *
+ * @param {Object} range - { minTemp, maxTemp }, either may be absent
+ * @param {string} where - Prefix for problems
+ * @returns {Array<string>} Problems found
+ */
+function checkTemperatureRange({ minTemp, maxTemp }, where) {
+  if (minTemp != null && maxTemp != null && minTemp > maxTemp) {
+    return [`${where}minTemp must not be above maxTemp`];
+  }
+  return [];
+}
+
+/**
+ * Check a profile before it is stored
+ *
+ * @param {Object} profile - Profile to store
+ * @throws {InvalidInputError} If the profile is invalid
+ */
+async function assertValidProfile(profile) {
+  const problems = [];
+  if (typeof profile.name !== 'string' || !profile.name.trim()) {
+    problems.push('name must be a non-empty string');
+  }
+  problems.push(...checkTemperatureRange(profile, ''));
+  ['maxWind', 'maxRain'].forEach((field) => {
+    if (profile[field] != null && profile[field] < 0) {
+      problems.push(`${field} must not be negative`);
+    }
+  });
+
+  const activityIds = [...getBuiltinActivities(), ...(await listCustomActivities())]
+    .map((activity) => activity.id);
+  const seen = new Set();
+  (profile.activityPreferences || []).forEach((preference, index) => {
+    const where = `activityPreferences[${index}].`;
+    if (!activityIds.includes(preference.activityId)) {
+      problems.push(`${where}activityId: no activity with id "${preference.activityId}"`);
+    } else if (seen.has(preference.activityId)) {
+      problems.push(`${where}activityId: "${preference.activityId}" is listed twice`);
+    }
+    seen.add(preference.activityId);
+    if (preference.weight < 0 || preference.weight > MAX_WEIGHT) {
+      problems.push(`${where}weight must be between 0 and ${MAX_WEIGHT}`);
+    }
+    problems.push(...checkTemperatureRange(preference, where));
+  });
+
+  if (problems.length > 0) {
+    throw new InvalidInputError(`Invalid profile: ${problems.join('; ')}`, { field: 'input' });
+  }
+}
+
+/**
+ * Make sure no other profile has a name (run as the write's check)
+ *
+ * @param {Array<Object>} profiles - Stored profiles
+ * @param {string} name - Name to store
+ * @param {string} [ownId] - Id of the profile being updated (its own name is allowed)
+ * @throws {InvalidInputError} If the name is taken
+ */
+function assertNameAvailable(profiles, name, ownId) {
+  const wanted = name.trim().toLowerCase();
+  const taken = profiles
+    .some((existing) => existing.id !== ownId && existing.name.toLowerCase() === wanted);
+  if (taken) {
+    throw new InvalidInputError(`A profile named "${name}" already exists`, { field: 'name' });
+  }
+}
+
+/**
+ * @returns {Promise<Array<Object>>} All profiles, oldest first
+ */
+function listProfiles() {
+  return collection.list();
+}
+
+/**
+ * Look up the profile a query asked for
+ *
+ * @param {string} id - Profile id
+ * @returns {Promise<Object>} The profile
+ * @throws {InvalidInputError} If there is no profile with this id
+ */
+async function getProfile(id) {
+  const profile = await collection.get(id);
+  if (!profile) {
+    throw new InvalidInputError(`No profile with id "${id}"`, { field: 'profileId' });
+  }
+  return profile;
+}
+
+/**
+ * Store a new profile
+ *
+ * @param {Object} profile - Profile (without id)
+ * @returns {Promise<Object>} Stored profile with its id
+ * @throws {InvalidInputError} If the profile is invalid, the name is taken
+ *                             or there are too many profiles
+ */
+async function createProfile(profile) {
+  await assertValidProfile(profile);
+  return collection.insert({ ...profile, name: profile.name.trim() }, {
+    check: (profiles) => {
+      if (profiles.length >= MAX_PROFILES) {
+        throw new InvalidInputError(`At most ${MAX_PROFILES} profiles can be saved`);
+      }
+      assertNameAvailable(profiles, profile.name);
+    },
+  });
+}
+
+/**
+ * Replace an existing profile
+ *
+ * @param {string} id - Profile id
+ * @param {Object} profile - New profile
+ * @returns {Promise<Object>} Updated profile
+ * @throws {InvalidInputError} If the id is unknown, the profile is invalid
+ *                             or the name is taken
+ */
+async function updateProfile(id, profile) {
+  await getProfile(id);
+  await assertValidProfile(profile);
+  const updated = await collection.update(id, { ...profile, name: profile.name.trim() }, {
+    check: (profiles) => assertNameAvailable(profiles, profile.name, id),
+  });
+  if (!updated) {
+    throw new InvalidInputError(`No profile with id "${id}"`, { field: 'profileId' });
+  }
+  return updated;
+}
+
+/**
+ * Delete a profile
+ *
+ * @param {string} id - Profile id
+ * @returns {Promise<boolean>} True once deleted
+ * @throws {InvalidInputError} If the id is unknown
+ */
+async function deleteProfile(id) {
+  await getProfile(id);
+  return collection.remove(id);
+}
+
+module.exports = {
+  listProfiles,
+  getProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+};
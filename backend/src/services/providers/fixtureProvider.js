@@ -0,0 +1,325 @@
+/**
+ * Fixture Weather Provider
+ *
+ * Serves recorded Open-Meteo JSON responses from disk instead of calling
+ * the network. Used for CI and offline demos (WEATHER_PROVIDER=fixture).
+ *
+ * Fixture layout (relative to the fixtures directory):
+ * - geocoding/<location-slug>.json  e.g. geocoding/london.json
+ * - forecast/<lat>_<lon>.json       coordinates rounded to 2 decimals,
+ *                                   e.g. forecast/51.51_-0.13.json
+ * - archive/<lat>_<lon>.json        archive API response (past weather), same naming
+ * - climate/<lat>_<lon>.json        daily-only archive response covering
+ *                                   several years, same naming
+ * - marine/<lat>_<lon>.json         marine API response, same naming; places
+ *                                   without one are treated as inland
+ *
+ * Forecast and marine recordings cover a fixed run of consecutive days.
+ * Recorded dates in a requested range are served as recorded; any other
+ * date replays a recorded day (wrapping around the recording), moved to that
+ * date, so offline runs keep working as the clock moves on and a range never
+ * comes back with fewer days than asked for. Past weather is never made up:
+ * an archive recording must cover every date asked for, and climate
+ * recordings (and marine recordings read for climate) are only cut to the
+ * range (they may hold fewer years than asked for).
+ *
+ * Lookups by geocoding id search every geocoding fixture for that id, and
+ * reverse geocoding returns the closest recorded place within 25 km.
+ *
+ * To record a new fixture, save the raw Open-Meteo response body under the
+ * matching file name.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { addDays, daysBetween } = require('../../dates');
+const {
+  parseGeocodingResponse,
+  parseForecastResponse,
+  parseClimateResponse,
+  parseMarineResponse,
+} = require('./openMeteoProvider');
+
+// Furthest a recorded place may be from the coordinates to count as "nearby"
+const REVERSE_GEOCODING_RADIUS_KM = 25;
+
+/**
+ * Turn a location name into a fixture file name
+ * "New York" -> "new-york"
+ *
+ * @param {string} location - Location name as typed by the user
+ * @returns {string} File-system safe slug
+ */
+function toSlug(location) {
+  return location
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Build the forecast fixture key for a pair of coordinates
+ *
+ * @param {number} latitude - Geographic latitude
+ * @param {number} longitude - Geographic longitude
+ * @returns {string} Key such as "51.51_-0.13"
+ */
+function toCoordinateKey(latitude, longitude) {
+  return `${latitude.toFixed(2)}_${longitude.toFixed(2)}`;
+}
+
+/**
+ * Read and parse a JSON fixture, returning null when it does not exist
+ *
+ * @param {string} filePath - Absolute path to the fixture file
+ * @returns {Promise<Object|null>} Parsed JSON or null
+ */
+async function readFixture(filePath) {
+  try {
+    const contents = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(contents);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read every candidate from all recorded geocoding fixtures
+ *
+ * @param {string} fixturesDir - Directory containing the fixtures
+ * @returns {Promise<Array<Object>>} All recorded location candidates
+ */
+async function readAllCandidates(fixturesDir) {
+  const geocodingDir = path.join(fixturesDir, 'geocoding');
+  const files = await fs.readdir(geocodingDir).catch(() => []);
+  const candidates = [];
+
+  for (const file of files.filter((name) => name.endsWith('.json'))) {
+    const data = await readFixture(path.join(geocodingDir, file));
+    candidates.push(...parseGeocodingResponse(data));
+  }
+  return candidates;
+}
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ *
+ * @returns {number} Distance in kilometres
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Keep only the days (and their hours) within a date range
+ *
+ * @param {Object} forecast - Parsed forecast with daily (and hourly) arrays
+ * @param {string} startDate - First day to keep (YYYY-MM-DD)
+ * @param {string} endDate - Last day to keep (YYYY-MM-DD)
+ * @returns {Object} Forecast limited to the range
+ */
+function sliceToRange(forecast, startDate, endDate) {
+  const inRange = (date) => date >= startDate && date <= endDate;
+  return {
+    ...forecast,
+    daily: forecast.daily.filter((day) => inRange(day.date)),
+    hourly: forecast.hourly.filter((hour) => inRange(hour.time.slice(0, 10))),
+  };
+}
+
+/**
+ * Pick the recorded day to serve for every date of a range
+ *
+ * A recorded date is served as itself; other dates get the recorded day at
+ * the same position in a repeat of the recording.
+ *
+ * @param {Array<Object>} recorded - Recorded days ({ date }), consecutive and in order
+ * @param {string} startDate - First date of the range (YYYY-MM-DD)
+ * @param {string} endDate - Last date of the range (YYYY-MM-DD)
+ * @returns {Array<Object>} { date, source, shift } for every date of the
+ *                          range, shift being the days from source.date to date
+ */
+function replayDays(recorded, startDate, endDate) {
+  const replay = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    const position = daysBetween(recorded[0].date, date) % recorded.length;
+    const source = recorded[(position + recorded.length) % recorded.length];
+    replay.push({ date, source, shift: daysBetween(source.date, date) });
+  }
+  return replay;
+}
+
+/**
+ * Move a local timestamp ("2026-10-19T07:45") by whole days
+ *
+ * @param {string|null} time - Timestamp, or null (no sunrise in polar night)
+ * @param {number} days - Days to move it by
+ * @returns {string|null} Moved timestamp
+ */
+function shiftTime(time, days) {
+  return time && `${addDays(time.slice(0, 10), days)}${time.slice(10)}`;
+}
+
+/**
+ * Lay a recorded forecast over a date range (see replayDays)
+ *
+ * @param {Object} forecast - Parsed forecast with daily and hourly arrays
+ * @param {string} startDate - First day of the range (YYYY-MM-DD)
+ * @param {string} endDate - Last day of the range (YYYY-MM-DD)
+ * @returns {Object} Forecast with exactly the days of the range
+ */
+function replayForecast(forecast, startDate, endDate) {
+  const replay = replayDays(forecast.daily, startDate, endDate);
+  return {
+    ...forecast,
+    daily: replay.map(({ date, source, shift }) => ({
+      ...source,
+      date,
+      sunrise: shiftTime(source.sunrise, shift),
+      sunset: shiftTime(source.sunset, shift),
+    })),
+    hourly: replay.flatMap(({ source, shift }) => forecast.hourly
+      .filter((hour) => hour.time.startsWith(source.date))
+      .map((hour) => ({ ...hour, time: shiftTime(hour.time, shift) }))),
+  };
+}
+
+/**
+ * Read a recorded weather response for a date range
+ *
+ * @param {string} fixturesDir - Directory containing the fixtures
+ * @param {string} kind - "forecast", "archive" or "climate"
+ * @param {number} latitude - Geographic latitude
+ * @param {number} longitude - Geographic longitude
+ * @param {Object} range - { startDate, endDate }
+ * @returns {Promise<Object>} Parsed { daily, hourly, elevation }
+ * @throws {Error} If nothing is recorded for these coordinates (or, for
+ *                 the archive, for every one of these dates and, for
+ *                 climate, for any of them)
+ */
+async function readWeatherFixture(fixturesDir, kind, latitude, longitude, { startDate, endDate }) {
+  const key = toCoordinateKey(latitude, longitude);
+  const data = await readFixture(path.join(fixturesDir, kind, `${key}.json`));
+  let forecast = null;
+  if (data && kind === 'climate') {
+    forecast = sliceToRange(parseClimateResponse(data), startDate, endDate);
+  } else if (data && kind === 'archive') {
+    forecast = sliceToRange(parseForecastResponse(data), startDate, endDate);
+    if (forecast.daily.length !== daysBetween(startDate, endDate) + 1) {
+      forecast = null;
+    }
+  } else if (data) {
+    const recorded = parseForecastResponse(data);
+    forecast = recorded.daily.length > 0 ? replayForecast(recorded, startDate, endDate) : null;
+  }
+
+  if (!forecast || forecast.daily.length === 0) {
+    throw new Error(`No ${kind} fixture recorded for ${key} from ${startDate} to ${endDate}`);
+  }
+  return forecast;
+}
+
+/**
+ * Create a provider backed by recorded JSON responses
+ *
+ * @param {Object} options
+ * @param {string} options.fixturesDir - Directory containing the fixtures
+ * @returns {Object} Weather provider (see providers/index.js)
+ */
+function createFixtureProvider({ fixturesDir }) {
+  return {
+    name: 'fixture',
+
+    async geocode(location, { count }) {
+      const data = await readFixture(
+        path.join(fixturesDir, 'geocoding', `${toSlug(location)}.json`)
+      );
+
+      if (data) {
+        return parseGeocodingResponse(data).slice(0, count);
+      }
+
+      // No exact recording: mimic the API's partial matching ("Lon" -> London)
+      // so type-ahead suggestions work offline. Nothing matching behaves like
+      // an empty search result.
+      const prefix = toSlug(location);
+      const candidates = await readAllCandidates(fixturesDir);
+      return candidates
+        .filter((candidate) => prefix && toSlug(candidate.name).startsWith(prefix))
+        .slice(0, count);
+    },
+
+    async getLocationById(id) {
+      const candidates = await readAllCandidates(fixturesDir);
+      return candidates.find((candidate) => candidate.id === id) || null;
+    },
+
+    async reverseGeocode(latitude, longitude) {
+      const candidates = await readAllCandidates(fixturesDir);
+      let closest = null;
+      let closestKm = REVERSE_GEOCODING_RADIUS_KM;
+
+      for (const candidate of candidates) {
+        const km = distanceKm(latitude, longitude, candidate.latitude, candidate.longitude);
+        if (km <= closestKm) {
+          closest = candidate;
+          closestKm = km;
+        }
+      }
+      return closest && {
+        name: closest.name,
+        admin1: closest.admin1,
+        country: closest.country,
+      };
+    },
+
+    async getTimezone(latitude, longitude) {
+      const data = await readFixture(
+        path.join(fixturesDir, 'forecast', `${toCoordinateKey(latitude, longitude)}.json`)
+      );
+      return (data && data.timezone) || null;
+    },
+
+    async getForecast(latitude, longitude, range) {
+      return readWeatherFixture(fixturesDir, 'forecast', latitude, longitude, range);
+    },
+
+    async getArchive(latitude, longitude, range) {
+      return readWeatherFixture(fixturesDir, 'archive', latitude, longitude, range);
+    },
+
+    async getClimate(latitude, longitude, range) {
+      return readWeatherFixture(fixturesDir, 'climate', latitude, longitude, range);
+    },
+
+    async getMarineForecast(latitude, longitude, { startDate, endDate }) {
+      const key = toCoordinateKey(latitude, longitude);
+      const data = await readFixture(path.join(fixturesDir, 'marine', `${key}.json`));
+      const marine = data && parseMarineResponse(data);
+      return marine && replayDays(marine, startDate, endDate)
+        .map(({ date, source }) => ({ ...source, date }));
+    },
+
+    async getMarineClimate(latitude, longitude, { startDate, endDate }) {
+      const key = toCoordinateKey(latitude, longitude);
+      const data = await readFixture(path.join(fixturesDir, 'marine', `${key}.json`));
+      const marine = data && parseMarineResponse(data);
+      return marine && marine
+        .filter((day) => day.date >= startDate && day.date <= endDate)
+        .map((day) => ({ ...day, seaSurfaceTemp: null }));
+    },
+  };
+}
+
+module.exports = {
+  createFixtureProvider,
+};
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createFixtureProvider } = require('./fixtureProvider');
+
+const provider = createFixtureProvider({
+  fixturesDir: path.join(__dirname, '..', '..', '..', 'fixtures', 'open-meteo'),
+});
+// London's forecast is recorded from 2026-10-19 to 2026-10-25
+const LONDON = [51.51, -0.13];
+
+test('recorded dates are served as recorded', async () => {
+  const forecast = await provider.getForecast(...LONDON, { startDate: '2026-10-20', endDate: '2026-10-21' });
+  assert.deepEqual(forecast.daily.map((day) => day.date), ['2026-10-20', '2026-10-21']);
+  assert.ok(forecast.hourly.every((hour) => hour.time >= '2026-10-20' && hour.time < '2026-10-22'));
+});
+
+test('a range partly past the recording gets every day asked for', async () => {
+  const recorded = await provider.getForecast(...LONDON, { startDate: '2026-10-19', endDate: '2026-10-25' });
+  const forecast = await provider.getForecast(...LONDON, { startDate: '2026-10-22', endDate: '2026-10-28' });
+
+  assert.deepEqual(
+    forecast.daily.map((day) => day.date),
+    ['2026-10-22', '2026-10-23', '2026-10-24', '2026-10-25', '2026-10-26', '2026-10-27', '2026-10-28']
+  );
+  assert.deepEqual(forecast.daily[0], recorded.daily[3]);
+  // 2026-10-26 replays the first recorded day, moved to its own date
+  assert.equal(forecast.daily[4].maxTemp, recorded.daily[0].maxTemp);
+  assert.equal(forecast.daily[4].sunrise.slice(0, 10), '2026-10-26');
+  assert.equal(forecast.hourly.length, 7 * 24);
+  assert.equal(forecast.hourly.at(-1).time.slice(0, 10), '2026-10-28');
+});
+
+test('a range after the recording replays it', async () => {
+  const forecast = await provider.getForecast(...LONDON, { startDate: '2026-11-02', endDate: '2026-11-08' });
+  assert.equal(forecast.daily.length, 7);
+  assert.equal(forecast.daily[0].date, '2026-11-02');
+});
+
+test('marine data is replayed the same way', async () => {
+  const marine = await provider.getMarineForecast(43.48, -1.56, { startDate: '2026-11-02', endDate: '2026-11-04' });
+  assert.deepEqual(marine.map((day) => day.date), ['2026-11-02', '2026-11-03', '2026-11-04']);
+  assert.equal(await provider.getMarineForecast(...LONDON, { startDate: '2026-11-02', endDate: '2026-11-04' }), null);
+});
+
+test('archived weather is only served for recorded dates', async () => {
+  // London's archive is recorded from 2026-06-01 to 2026-06-30
+  const archive = await provider.getArchive(...LONDON, { startDate: '2026-06-10', endDate: '2026-06-12' });
+  assert.deepEqual(archive.daily.map((day) => day.date), ['2026-06-10', '2026-06-11', '2026-06-12']);
+  assert.equal(archive.hourly.length, 3 * 24);
+
+  await assert.rejects(
+    provider.getArchive(...LONDON, { startDate: '2020-03-01', endDate: '2020-03-03' }),
+    { message: 'No archive fixture recorded for 51.51_-0.13 from 2020-03-01 to 2020-03-03' }
+  );
+  await assert.rejects(
+    provider.getArchive(...LONDON, { startDate: '2026-06-29', endDate: '2026-07-01' }),
+    /No archive fixture recorded/
+  );
+});
+
+test('places without a recording fail clearly', async () => {
+  await assert.rejects(
+    provider.getForecast(10, 10, { startDate: '2026-10-19', endDate: '2026-10-20' }),
+    /No forecast fixture recorded for 10.00_10.00/
+  );
+});
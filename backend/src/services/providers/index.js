@@ -0,0 +1,68 @@
+/**
+ * Weather Provider Registry
+ *
+ * A weather provider is any object implementing this interface:
+ *
+ * {
+ *   name: string,
+ *   geocode(location: string, { count }): Promise<Array<LocationCandidate>>,
+ *   getLocationById(id: string): Promise<LocationCandidate | null>,
+ *   reverseGeocode(latitude: number, longitude: number): Promise<{ name, admin1, country } | null>,
+ *   getTimezone(latitude: number, longitude: number): Promise<string | null>,
+ *   getForecast(latitude: number, longitude: number, range): Promise<{ daily, hourly, elevation }>,
+ *   getArchive(latitude: number, longitude: number, range): Promise<{ daily, hourly, elevation }>,
+ *   getClimate(latitude: number, longitude: number, range): Promise<{ daily, hourly, elevation }>,
+ *   getMarineForecast(latitude: number, longitude: number, range): Promise<Array<MarineDay> | null>,
+ *   getMarineClimate(latitude: number, longitude: number, range): Promise<Array<MarineDay> | null>,
+ *   getHealth?(): Object,
+ * }
+ *
+ * LocationCandidate is { id, name, admin1, country, countryCode, population,
+ * latitude, longitude, elevation, timezone }; getTimezone finds the IANA
+ * timezone of other coordinates (null if unknown). geocode returns candidates ordered by
+ * relevance (empty array if nothing matched). getForecast returns arrays of
+ * objects matching the DailyWeather and HourlyWeather GraphQL types, hourly
+ * times in the location's local time ("2026-10-19T14:00"), plus the elevation
+ * (m) the forecast is for; getArchive returns the same for past dates.
+ * getClimate returns daily past weather only (hourly empty, snowDepth null)
+ * for ranges spanning several years.
+ * range is { startDate, endDate }, inclusive ISO dates (e.g. "2026-10-19").
+ * getMarineForecast returns one MarineDay
+ * { date, waveHeight, swellPeriod, swellDirection, seaSurfaceTemp } per day,
+ * or null when the location is inland (no sea data); getMarineClimate returns
+ * the same for ranges spanning several years, without seaSurfaceTemp. getHealth is optional
+ * and reports upstream status (e.g. circuit breaker states) for the /health endpoint.
+ *
+ * To add a provider, write a factory in this folder and register it below.
+ */
+
+const config = require('../../config');
+const { createOpenMeteoProvider } = require('./openMeteoProvider');
+const { createFixtureProvider } = require('./fixtureProvider');
+
+// Provider factories keyed by the name used in WEATHER_PROVIDER
+const PROVIDERS = {
+  'open-meteo': () => createOpenMeteoProvider(config.upstream),
+  fixture: () => createFixtureProvider({ fixturesDir: config.weather.fixturesDir }),
+};
+
+/**
+ * Create the weather provider selected by name
+ *
+ * @param {string} name - Provider name (defaults to the configured provider)
+ * @returns {Object} Weather provider
+ * @throws {Error} If no provider is registered under that name
+ */
+function createProvider(name = config.weather.provider) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown weather provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+  return factory();
+}
+
+module.exports = {
+  createProvider,
+};
@@ -0,0 +1,633 @@
+/**
+ * Open-Meteo Weather Provider
+ *
+ * Fetches geocoding and forecast data from the live Open-Meteo API.
+ * The parse functions are exported separately so other providers that
+ * serve recorded Open-Meteo responses (e.g. the fixture provider) can
+ * reuse exactly the same transformation logic.
+ *
+ * Every request has a timeout, is retried with exponential backoff on
+ * transient failures, and goes through a circuit breaker per API host so a
+ * downed upstream fails fast instead of tying up every request.
+ *
+ * Wave, swell and sea temperature data come from the Open-Meteo Marine API,
+ * which has no data for inland locations.
+ *
+ * Open-Meteo has no reverse geocoding, so coordinates are turned into place
+ * names with OpenStreetMap's Nominatim API instead. Its usage policy allows
+ * at most one request per second, so those requests are throttled (results
+ * are cached by weatherService.js); the endpoint can point at another
+ * Nominatim instance with REVERSE_GEOCODING_URL.
+ *
+ * Open-Meteo API Documentation: https://open-meteo.com/en/docs
+ * Marine API Documentation: https://open-meteo.com/en/docs/marine-weather-api
+ * Nominatim API Documentation: https://nominatim.org/release-docs/latest/api/Reverse/
+ */
+
+const axios = require('axios');
+const { withRetry, createThrottle, createCircuitBreaker } = require('../resilience');
+
+/**
+ * Open-Meteo API Base URLs
+ * - Geocoding API: Converts location names to coordinates
+ * - Forecast API: Provides weather forecast data (and the last few months)
+ * - Archive API: Provides historical weather data back to 1940
+ * - Marine API: Provides wave and sea forecast data
+ */
+const GEOCODING_API = 'https://geocoding-api.open-meteo.com/v1/search';
+const GEOCODING_LOOKUP_API = 'https://geocoding-api.open-meteo.com/v1/get';
+const FORECAST_API = 'https://api.open-meteo.com/v1/forecast';
+const ARCHIVE_API = 'https://archive-api.open-meteo.com/v1/archive';
+const MARINE_API = 'https://marine-api.open-meteo.com/v1/marine';
+
+// Nominatim's usage policy requires an identifying User-Agent
+const USER_AGENT = 'weather-activity-planner/1.0';
+
+/**
+ * Daily weather variables requested from the forecast API
+ * - temperature_2m_max/min: Daily high and low temperatures (°C)
+ * - precipitation_sum: Total daily precipitation (mm)
+ * - windspeed_10m_max: Maximum wind speed at 10m height (km/h)
+ * - snowfall_sum: Total daily snowfall (cm)
+ * - cloudcover_mean: Average cloud cover percentage (0-100%)
+ * - windgusts_10m_max: Strongest wind gust (km/h)
+ * - winddirection_10m_dominant: Dominant wind direction (° the wind comes from)
+ * - uv_index_max: Highest UV index
+ * - precipitation_probability_max: Highest hourly chance of precipitation (0-100%)
+ * - sunshine_duration / daylight_duration: Seconds of sunshine / daylight
+ * - sunrise/sunset: Local times (e.g. 2026-10-19T07:35)
+ * - apparent_temperature_max/min: "Feels like" high and low (°C)
+ * - weathercode: Most severe WMO weather code of the day (e.g. 95 = thunderstorm)
+ */
+const DAILY_VARIABLES = [
+  'temperature_2m_max',
+  'temperature_2m_min',
+  'precipitation_sum',
+  'windspeed_10m_max',
+  'snowfall_sum',
+  'cloudcover_mean',
+  'windgusts_10m_max',
+  'winddirection_10m_dominant',
+  'uv_index_max',
+  'precipitation_probability_max',
+  'sunshine_duration',
+  'daylight_duration',
+  'sunrise',
+  'sunset',
+  'apparent_temperature_max',
+  'apparent_temperature_min',
+  'weathercode',
+];
+
+/**
+ * Hourly weather variables requested from the forecast API
+ * - temperature_2m: Air temperature (°C)
+ * - precipitation_probability: Chance of precipitation (0-100%)
+ * - precipitation: Precipitation in the preceding hour (mm)
+ * - windspeed_10m: Wind speed at 10m height (km/h)
+ * - windgusts_10m: Strongest gust in the preceding hour (km/h)
+ * - cloudcover: Total cloud cover (0-100%)
+ * - snow_depth: Snow on the ground (m); daily values take the deepest hour
+ * - freezing_level_height: Altitude of the 0°C level (m); daily values take the highest hour
+ */
+const HOURLY_VARIABLES = [
+  'temperature_2m',
+  'precipitation_probability',
+  'precipitation',
+  'windspeed_10m',
+  'windgusts_10m',
+  'cloudcover',
+  'snow_depth',
+  'freezing_level_height',
+];
+
+/**
+ * Variables requested from the archive API
+ * Past weather has no UV index, precipitation probability or freezing level.
+ */
+const FORECAST_ONLY_VARIABLES = [
+  'uv_index_max',
+  'precipitation_probability_max',
+  'precipitation_probability',
+  'freezing_level_height',
+];
+const ARCHIVE_DAILY_VARIABLES = DAILY_VARIABLES.filter((name) => !FORECAST_ONLY_VARIABLES.includes(name));
+const ARCHIVE_HOURLY_VARIABLES = HOURLY_VARIABLES.filter((name) => !FORECAST_ONLY_VARIABLES.includes(name));
+
+/**
+ * Marine variables requested from the marine API
+ * - wave_height_max: Highest significant wave height (m)
+ * - swell_wave_period_max: Longest swell period (s)
+ * - swell_wave_direction_dominant: Dominant direction swell comes from (°)
+ * - sea_surface_temperature (hourly only): Water temperature (°C)
+ */
+const MARINE_DAILY_VARIABLES = [
+  'wave_height_max',
+  'swell_wave_period_max',
+  'swell_wave_direction_dominant',
+];
+const MARINE_HOURLY_VARIABLES = ['sea_surface_temperature'];
+
+/**
+ * Transform a single geocoding result into a location candidate
+ *
+ * @param {Object} result - One entry of the geocoding API "results" array
+ * @returns {Object} Candidate with id, name, admin1, country, countryCode,
+ *                   population, latitude, longitude and elevation (m)
+ */
+function parseGeocodingResult(result) {
+  return {
+    id: String(result.id),
+    name: result.name,
+    admin1: result.admin1 || null,
+    country: result.country || null,
+    countryCode: result.country_code || null,
+    population: result.population || null,
+    latitude: result.latitude,
+    longitude: result.longitude,
+    elevation: result.elevation ?? null,
+    timezone: result.timezone || null,
+  };
+}
+
+/**
+ * Transform a geocoding search response into location candidates
+ *
+ * @param {Object} data - Raw geocoding API response body
+ * @returns {Array<Object>} Candidates ordered by relevance
+ */
+function parseGeocodingResponse(data) {
+  return (data.results || []).map(parseGeocodingResult);
+}
+
+/**
+ * Transform a Nominatim reverse geocoding response into a place
+ *
+ * Uses the most specific populated-place name available, falling back to
+ * the feature name (e.g. a park or peak) for remote spots.
+ *
+ * @param {Object} data - Raw Nominatim response body
+ * @returns {Object|null} Place with name, admin1 and country, or null if nothing is nearby
+ */
+function parseReverseGeocodingResponse(data) {
+  if (!data || data.error) {
+    return null;
+  }
+  const address = data.address || {};
+  const name = address.city || address.town || address.village || address.hamlet
+    || address.municipality || data.name || address.county;
+
+  if (!name) {
+    return null;
+  }
+  return {
+    name,
+    admin1: address.state || null,
+    country: address.country || null,
+  };
+}
+
+// Convert a duration in seconds to hours, rounded to 1 decimal place
+const toHours = (seconds) => Math.round((seconds || 0) / 360) / 10;
+
+/**
+ * Collect one hourly variable's values on a given date
+ *
+ * @param {Object} hourly - "hourly" section of an API response
+ * @param {string} variable - Hourly variable name, e.g. "snow_depth"
+ * @param {string} date - Local date, e.g. "2026-10-19"
+ * @returns {Array<number>} Non-null values of that day's hours
+ */
+function hourlyValuesOn(hourly, variable, date) {
+  const values = hourly[variable] || [];
+  return hourly.time
+    .map((time, index) => (time.startsWith(date) ? values[index] : null))
+    .filter((value) => value !== null && value !== undefined);
+}
+
+// Largest value, or null when there are none
+const maxOrNull = (values) => (values.length > 0 ? Math.max(...values) : null);
+
+/**
+ * Transform a forecast API response into daily and hourly weather objects
+ *
+ * Hourly times are local to the location (timezone=auto), e.g. "2026-10-19T14:00",
+ * so the first 10 characters are the date of the day they belong to. The
+ * response names that timezone (IANA, e.g. "Europe/London") and its UTC
+ * offset when the range starts.
+ * Snow depth (converted to cm) and freezing level only exist hourly and are
+ * summarized per day. Archive responses lack the forecast-only variables:
+ * UV index and precipitation probability then read as 0, freezing level as null.
+ *
+ * @param {Object} data - Raw forecast API response body
+ * @returns {Object} { daily, hourly, elevation, timezone, utcOffsetSeconds }:
+ *                   arrays of DailyWeather and HourlyWeather objects, the
+ *                   forecast grid elevation (m) and the location's timezone
+ */
+function parseForecastResponse(data) {
+  // Responses recorded before the weather code was requested have none
+  const daily = { uv_index_max: [], precipitation_probability_max: [], weathercode: [], ...data.daily };
+  const hourly = { time: [], precipitation_probability: [], ...data.hourly };
+
+  return {
+    elevation: data.elevation,
+    timezone: data.timezone,
+    utcOffsetSeconds: data.utc_offset_seconds,
+
+    // Map over dates and create an object for each day
+    daily: daily.time.map((date, index) => ({
+      date,
+      maxTemp: daily.temperature_2m_max[index],
+      minTemp: daily.temperature_2m_min[index],
+      precipitation: daily.precipitation_sum[index] || 0,
+      windSpeed: daily.windspeed_10m_max[index],
+      snowfall: daily.snowfall_sum[index] || 0,
+      cloudCover: daily.cloudcover_mean[index],
+      windGusts: daily.windgusts_10m_max[index],
+      windDirection: daily.winddirection_10m_dominant[index],
+      uvIndex: daily.uv_index_max[index] || 0,
+      precipitationProbability: daily.precipitation_probability_max[index] || 0,
+      sunshineHours: toHours(daily.sunshine_duration[index]),
+      daylightHours: toHours(daily.daylight_duration[index]),
+      // Polar day and night have no sunrise or sunset
+      sunrise: daily.sunrise[index] || null,
+      sunset: daily.sunset[index] || null,
+      apparentMaxTemp: daily.apparent_temperature_max[index],
+      apparentMinTemp: daily.apparent_temperature_min[index],
+      weatherCode: daily.weathercode[index] ?? null,
+      snowDepth: Math.round((maxOrNull(hourlyValuesOn(hourly, 'snow_depth', date)) || 0) * 1000) / 10,
+      freezingLevel: maxOrNull(hourlyValuesOn(hourly, 'freezing_level_height', date)),
+    })),
+
+    // Missing probabilities (some weather models have none) count as 0%
+    hourly: hourly.time.map((time, index) => ({
+      time,
+      temperature: hourly.temperature_2m[index],
+      precipitationProbability: hourly.precipitation_probability[index] || 0,
+      precipitation: hourly.precipitation[index] || 0,
+      windSpeed: hourly.windspeed_10m[index],
+      windGusts: hourly.windgusts_10m[index],
+      cloudCover: hourly.cloudcover[index],
+    })),
+  };
+}
+
+/**
+ * Transform a daily-only archive response into daily weather objects
+ *
+ * Used for multi-year climate history, where hourly data would be huge.
+ * Snow depth is only recorded hourly, so it is unknown (null) here.
+ *
+ * @param {Object} data - Raw archive API response body without hourly data
+ * @returns {Object} { daily, hourly, elevation }, hourly always empty
+ */
+function parseClimateResponse(data) {
+  const { daily, elevation } = parseForecastResponse(data);
+  return {
+    elevation,
+    daily: daily.map((day) => ({ ...day, snowDepth: null })),
+    hourly: [],
+  };
+}
+
+/**
+ * Transform a marine API response into an array of daily marine objects
+ *
+ * Grid cells over land have no sea, so the API answers with nulls there;
+ * a response without a single wave height means the location is inland.
+ * Sea surface temperature is only available hourly and is averaged per day.
+ *
+ * @param {Object} data - Raw marine API response body
+ * @returns {Array<Object>|null} Daily { date, waveHeight, swellPeriod,
+ *                               swellDirection, seaSurfaceTemp }, or null inland
+ */
+function parseMarineResponse(data) {
+  const daily = data.daily;
+  if (!daily || daily.wave_height_max.every((value) => value === null)) {
+    return null;
+  }
+
+  const hourly = data.hourly || { time: [] };
+  const averageSeaTemp = (date) => {
+    const temps = hourlyValuesOn(hourly, 'sea_surface_temperature', date);
+    return temps.length > 0
+      ? Math.round((temps.reduce((sum, value) => sum + value, 0) / temps.length) * 10) / 10
+      : null;
+  };
+
+  return daily.time.map((date, index) => ({
+    date,
+    waveHeight: daily.wave_height_max[index],
+    swellPeriod: daily.swell_wave_period_max[index],
+    swellDirection: daily.swell_wave_direction_dominant[index],
+    seaSurfaceTemp: averageSeaTemp(date),
+  }));
+}
+
+/**
+ * Whether a marine API failure means the location has no sea
+ * Only this 400 means "inland"; other 400s (e.g. dates out of range) do not.
+ *
+ * @param {Error} error - Error thrown by axios
+ * @returns {boolean} True for { "error": true, "reason": "No data is available for this location" }
+ */
+function isNoSeaDataError(error) {
+  return Boolean(error.response
+    && error.response.status === 400
+    && error.response.data
+    && /no data is available for this location/i.test(error.response.data.reason));
+}
+
+/**
+ * Create a provider backed by the live Open-Meteo API
+ *
+ * @param {Object} options - Upstream call settings (see config.upstream)
+ * @param {number} options.timeoutMs - Per-request timeout
+ * @param {number} options.retries - Retries for transient failures
+ * @param {number} options.retryBaseDelayMs - Delay before the first retry
+ * @param {number} options.breakerFailureThreshold - Failures before a breaker opens
+ * @param {number} options.breakerResetMs - How long a breaker stays open
+ * @param {string} options.reverseGeocodingUrl - Nominatim reverse endpoint
+ * @param {number} options.reverseGeocodingIntervalMs - Least time between two
+ *                                                     reverse geocoding requests
+ * @returns {Object} Weather provider (see providers/index.js)
+ */
+function createOpenMeteoProvider({
+  timeoutMs,
+  retries,
+  retryBaseDelayMs,
+  breakerFailureThreshold,
+  breakerResetMs,
+  reverseGeocodingUrl,
+  reverseGeocodingIntervalMs,
+}) {
+  // One breaker per API host: the geocoding and forecast APIs fail independently
+  const breakers = {
+    geocoding: createCircuitBreaker({
+      name: 'Open-Meteo geocoding API',
+      failureThreshold: breakerFailureThreshold,
+      resetTimeoutMs: breakerResetMs,
+    }),
+    forecast: createCircuitBreaker({
+      name: 'Open-Meteo forecast API',
+      failureThreshold: breakerFailureThreshold,
+      resetTimeoutMs: breakerResetMs,
+    }),
+    archive: createCircuitBreaker({
+      name: 'Open-Meteo archive API',
+      failureThreshold: breakerFailureThreshold,
+      resetTimeoutMs: breakerResetMs,
+    }),
+    marine: createCircuitBreaker({
+      name: 'Open-Meteo marine API',
+      failureThreshold: breakerFailureThreshold,
+      resetTimeoutMs: breakerResetMs,
+    }),
+    reverseGeocoding: createCircuitBreaker({
+      name: 'Nominatim reverse geocoding API',
+      failureThreshold: breakerFailureThreshold,
+      resetTimeoutMs: breakerResetMs,
+    }),
+  };
+
+  // Every Nominatim request, retries included, waits for its turn
+  const reverseGeocodingThrottle = createThrottle(reverseGeocodingIntervalMs);
+
+  /**
+   * GET a URL through a breaker, with timeout and retries
+   * Retries happen inside the breaker so one logical call counts as one failure.
+   * With a throttle, each attempt waits for its turn.
+   */
+  async function request(breaker, url, params, throttle) {
+    const get = () => axios.get(url, {
+      params,
+      timeout: timeoutMs,
+      headers: { 'User-Agent': USER_AGENT },
+    });
+    const response = await breaker.execute(() =>
+      withRetry(throttle ? () => throttle.run(get) : get, {
+        retries,
+        baseDelayMs: retryBaseDelayMs,
+      })
+    );
+    return response.data;
+  }
+
+  return {
+    name: 'open-meteo',
+
+    /**
+     * Search for locations matching a name
+     *
+     * Parameters:
+     * - name: The location to search for
+     * - count: Maximum number of results to return
+     * - language: Response language
+     * - format: Response format (json)
+     */
+    async geocode(location, { count }) {
+      const data = await request(breakers.geocoding, GEOCODING_API, {
+        name: location,
+        count,
+        language: 'en',
+        format: 'json',
+      });
+      return parseGeocodingResponse(data);
+    },
+
+    /**
+     * Look up a single location by its geocoding id
+     * The API answers 404 for unknown ids, which we report as null.
+     */
+    async getLocationById(id) {
+      try {
+        const data = await request(breakers.geocoding, GEOCODING_LOOKUP_API, { id });
+        return parseGeocodingResult(data);
+      } catch (error) {
+        if (error.response && (error.response.status === 404 || error.response.status === 400)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Find the name of the place at a pair of coordinates
+     *
+     * Parameters:
+     * - lat/lon: Location coordinates
+     * - zoom: 10 = city level, so remote points resolve to the nearest town
+     * - accept-language: Response language
+     *
+     * Fails at once rather than queueing behind a longer backlog than a
+     * request timeout: the name is optional, the caller falls back to the
+     * coordinates.
+     */
+    async reverseGeocode(latitude, longitude) {
+      if (reverseGeocodingThrottle.waitMs() > timeoutMs) {
+        throw new Error('Too many reverse geocoding requests queued');
+      }
+      const data = await request(breakers.reverseGeocoding, reverseGeocodingUrl, {
+        lat: latitude,
+        lon: longitude,
+        zoom: 10,
+        format: 'jsonv2',
+        'accept-language': 'en',
+      }, reverseGeocodingThrottle);
+      return parseReverseGeocodingResponse(data);
+    },
+
+    /**
+     * Find the IANA timezone of a pair of coordinates
+     * Asks the forecast API for no variables at all: it still reports the
+     * timezone it would use for the location.
+     */
+    async getTimezone(latitude, longitude) {
+      const data = await request(breakers.forecast, FORECAST_API, {
+        latitude,
+        longitude,
+        timezone: 'auto',
+        forecast_days: 1,
+      });
+      return data.timezone || null;
+    },
+
+    /**
+     * Fetch the daily and hourly forecast for a date range
+     * The forecast API covers the next 16 days and roughly the last 3 months.
+     *
+     * Parameters:
+     * - latitude/longitude: Location coordinates
+     * - daily: Comma-separated list of daily weather variables to retrieve
+     * - hourly: Comma-separated list of hourly weather variables to retrieve
+     * - timezone: auto (uses location's timezone for date formatting)
+     * - start_date/end_date: First and last day to forecast (inclusive)
+     */
+    async getForecast(latitude, longitude, { startDate, endDate }) {
+      const data = await request(breakers.forecast, FORECAST_API, {
+        latitude,
+        longitude,
+        daily: DAILY_VARIABLES.join(','),
+        hourly: HOURLY_VARIABLES.join(','),
+        timezone: 'auto',
+        start_date: startDate,
+        end_date: endDate,
+      });
+      return parseForecastResponse(data);
+    },
+
+    /**
+     * Fetch recorded weather for a past date range
+     * Same parameters and result as getForecast, from reanalysis data.
+     */
+    async getArchive(latitude, longitude, { startDate, endDate }) {
+      const data = await request(breakers.archive, ARCHIVE_API, {
+        latitude,
+        longitude,
+        daily: ARCHIVE_DAILY_VARIABLES.join(','),
+        hourly: ARCHIVE_HOURLY_VARIABLES.join(','),
+        timezone: 'auto',
+        start_date: startDate,
+        end_date: endDate,
+      });
+      return parseForecastResponse(data);
+    },
+
+    /**
+     * Fetch daily recorded weather over a long past range (several years)
+     * Like getArchive without hourly data, for climate statistics.
+     */
+    async getClimate(latitude, longitude, { startDate, endDate }) {
+      const data = await request(breakers.archive, ARCHIVE_API, {
+        latitude,
+        longitude,
+        daily: ARCHIVE_DAILY_VARIABLES.join(','),
+        timezone: 'auto',
+        start_date: startDate,
+        end_date: endDate,
+      });
+      return parseClimateResponse(data);
+    },
+
+    /**
+     * Fetch the marine forecast for a date range
+     * Returns null for inland locations: grid cells over land answer with
+     * nulls, and points far from any sea with a 400 saying there is no data
+     * for the location. Any other failure (including other 400s) is thrown.
+     *
+     * Parameters:
+     * - latitude/longitude: Location coordinates
+     * - daily/hourly: Comma-separated lists of marine variables to retrieve
+     * - timezone: auto (dates match the weather forecast)
+     * - start_date/end_date: First and last day to forecast (inclusive)
+     */
+    async getMarineForecast(latitude, longitude, { startDate, endDate }) {
+      try {
+        const data = await request(breakers.marine, MARINE_API, {
+          latitude,
+          longitude,
+          daily: MARINE_DAILY_VARIABLES.join(','),
+          hourly: MARINE_HOURLY_VARIABLES.join(','),
+          timezone: 'auto',
+          start_date: startDate,
+          end_date: endDate,
+        });
+        return parseMarineResponse(data);
+      } catch (error) {
+        if (isNoSeaDataError(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Fetch daily marine data over a long past range (several years)
+     * Like getMarineForecast without the hourly sea surface temperature,
+     * which would be tens of thousands of values per place; seaSurfaceTemp
+     * is null on every day.
+     */
+    async getMarineClimate(latitude, longitude, { startDate, endDate }) {
+      try {
+        const data = await request(breakers.marine, MARINE_API, {
+          latitude,
+          longitude,
+          daily: MARINE_DAILY_VARIABLES.join(','),
+          timezone: 'auto',
+          start_date: startDate,
+          end_date: endDate,
+        });
+        return parseMarineResponse(data);
+      } catch (error) {
+        if (isNoSeaDataError(error)) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Report circuit breaker states for the /health endpoint
+     */
+    getHealth() {
+      return {
+        circuitBreakers: {
+          geocoding: breakers.geocoding.getState(),
+          forecast: breakers.forecast.getState(),
+          archive: breakers.archive.getState(),
+          marine: breakers.marine.getState(),
+          reverseGeocoding: breakers.reverseGeocoding.getState(),
+        },
+      };
+    },
+  };
+}
+
+module.exports = {
+  createOpenMeteoProvider,
+  parseGeocodingResult,
+  parseGeocodingResponse,
+  parseForecastResponse,
+  parseClimateResponse,
+  parseMarineResponse,
+};
@@ -0,0 +1,249 @@
+/**
+ * Resilience Helpers
+ *
+ * Retry with exponential backoff, a circuit breaker and a throttle for
+ * calls to upstream APIs. Separation of Concerns: Providers wrap their HTTP calls
+ * with these helpers instead of handling transient failures themselves.
+ */
+
+/**
+ * Circuit breaker states
+ * - CLOSED: Calls pass through normally
+ * - OPEN: Upstream considered down, calls fail immediately
+ * - HALF_OPEN: Reset timeout elapsed, one trial call decides the next state
+ */
+const CircuitState = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN',
+};
+
+/**
+ * Thrown when a call is rejected because the circuit is open
+ */
+class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`${name} is unavailable (circuit open until ${new Date(retryAt).toISOString()})`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Decide whether a failed HTTP call is worth retrying
+ *
+ * Retryable: timeouts, network errors (no response), 429 and 5xx responses.
+ * Not retryable: other 4xx responses, which would fail the same way again.
+ *
+ * @param {Error} error - Error thrown by axios
+ * @returns {boolean} True if the call may succeed on another attempt
+ */
+function isRetryableError(error) {
+  if (!error.response) {
+    return true;
+  }
+  const status = error.response.status;
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Wait for a number of milliseconds
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Call a function, retrying retryable failures with exponential backoff
+ *
+ * Delay before retry n (starting at 0) is baseDelayMs * 2^n plus up to
+ * 50% random jitter, so many clients don't retry in lockstep.
+ *
+ * @param {Function} fn - Async function to call
+ * @param {Object} options
+ * @param {number} options.retries - Maximum number of retries after the first attempt
+ * @param {number} options.baseDelayMs - Delay before the first retry
+ * @param {Function} [options.isRetryable] - Decides whether an error is retried
+ * @returns {Promise<*>} Result of the first successful call
+ */
+async function withRetry(fn, { retries, baseDelayMs, isRetryable = isRetryableError }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+      const delay = baseDelayMs * 2 ** attempt;
+      await sleep(delay + Math.random() * delay * 0.5);
+    }
+  }
+}
+
+/**
+ * Create a throttle that spaces calls out
+ *
+ * Each call starts at least intervalMs after the previous one started;
+ * calls arriving sooner wait their turn, in order. Used for APIs whose
+ * usage policy limits the request rate (Nominatim: one per second).
+ *
+ * @param {number} intervalMs - Least time between the starts of two calls
+ * @returns {Object} Throttle with run and waitMs methods
+ */
+function createThrottle(intervalMs) {
+  // When the next call may start (ms since the epoch)
+  let nextStartAt = 0;
+
+  return {
+    /**
+     * Call a function once its turn comes
+     *
+     * @param {Function} fn - Async function to call
+     * @returns {Promise<*>} Result of fn
+     */
+    async run(fn) {
+      const now = Date.now();
+      const startAt = Math.max(now, nextStartAt);
+      nextStartAt = startAt + intervalMs;
+      if (startAt > now) {
+        await sleep(startAt - now);
+      }
+      return fn();
+    },
+
+    /**
+     * @returns {number} How long a call made now would wait (ms)
+     */
+    waitMs() {
+      return Math.max(0, nextStartAt - Date.now());
+    },
+  };
+}
+
+/**
+ * Create a circuit breaker
+ *
+ * After failureThreshold consecutive upstream failures the circuit opens
+ * and calls fail fast with CircuitOpenError. Once resetTimeoutMs has passed
+ * a single trial call is allowed through: success closes the circuit,
+ * failure opens it again.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Name used in errors and health reports
+ * @param {number} options.failureThreshold - Consecutive failures before opening
+ * @param {number} options.resetTimeoutMs - How long to stay open before a trial call
+ * @param {Function} [options.isFailure] - Decides whether an error counts against the upstream
+ * @returns {Object} Breaker with execute and getState methods
+ */
+function createCircuitBreaker({
+  name,
+  failureThreshold,
+  resetTimeoutMs,
+  isFailure = isRetryableError,
+}) {
+  let state = CircuitState.CLOSED;
+  let failures = 0;
+  let openedAt = null;
+  let trialInProgress = false;
+  // Bumped whenever the circuit opens, so calls started before then can be
+  // told apart: their late outcome must not count or close it again
+  let generation = 0;
+
+  function open() {
+    state = CircuitState.OPEN;
+    openedAt = Date.now();
+    generation++;
+  }
+
+  function close() {
+    state = CircuitState.CLOSED;
+    failures = 0;
+  }
+
+  return {
+    name,
+
+    /**
+     * Run a call through the breaker
+     *
+     * Only the outcome of the trial call decides a half-open circuit; the
+     * other calls only count while the circuit is still in the generation
+     * they started in.
+     *
+     * @param {Function} fn - Async function to call
+     * @returns {Promise<*>} Result of fn
+     * @throws {CircuitOpenError} If the circuit is open
+     */
+    async execute(fn) {
+      if (state === CircuitState.OPEN) {
+        if (Date.now() - openedAt < resetTimeoutMs) {
+          throw new CircuitOpenError(name, openedAt + resetTimeoutMs);
+        }
+        state = CircuitState.HALF_OPEN;
+      }
+
+      // Only one trial call at a time while half-open
+      const isTrial = state === CircuitState.HALF_OPEN;
+      if (isTrial) {
+        if (trialInProgress) {
+          throw new CircuitOpenError(name, Date.now() + resetTimeoutMs);
+        }
+        trialInProgress = true;
+      }
+      const callGeneration = generation;
+
+      let result;
+      try {
+        result = await fn();
+      } catch (error) {
+        if (isTrial) {
+          trialInProgress = false;
+          if (isFailure(error)) {
+            open();
+          } else {
+            // Upstream answered (e.g. a 4xx), so it is reachable again
+            close();
+          }
+        } else if (callGeneration === generation && isFailure(error)) {
+          failures++;
+          if (failures >= failureThreshold) {
+            open();
+          }
+        }
+        throw error;
+      }
+
+      if (isTrial) {
+        trialInProgress = false;
+        close();
+      } else if (callGeneration === generation && state === CircuitState.CLOSED) {
+        failures = 0;
+      }
+      return result;
+    },
+
+    /**
+     * Current breaker status for health reporting
+     *
+     * @returns {Object} { state, consecutiveFailures, openedAt, retryAt }
+     */
+    getState() {
+      const isOpen = state === CircuitState.OPEN;
+      return {
+        state,
+        consecutiveFailures: failures,
+        openedAt: isOpen ? new Date(openedAt).toISOString() : null,
+        retryAt: isOpen ? new Date(openedAt + resetTimeoutMs).toISOString() : null,
+      };
+    },
+  };
+}
+
+module.exports = {
+  CircuitState,
+  CircuitOpenError,
+  isRetryableError,
+  withRetry,
+  createThrottle,
+  createCircuitBreaker,
+};
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CircuitOpenError,
+  createCircuitBreaker,
+  createThrottle,
+  withRetry,
+} = require('./resilience');
+
+const upstreamDown = () => Object.assign(new Error('timeout'), { code: 'ECONNABORTED' });
+const notFound = () => Object.assign(new Error('not found'), { response: { status: 404 } });
+
+/**
+ * A call that settles when told to
+ */
+function deferred() {
+  let settle;
+  const promise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+  return { call: () => promise, ...settle };
+}
+
+const newBreaker = () => createCircuitBreaker({ name: 'upstream', failureThreshold: 2, resetTimeoutMs: 1000 });
+const fail = (breaker, error = upstreamDown()) => breaker.execute(() => Promise.reject(error)).catch(() => null);
+
+test.beforeEach(({ mock }) => {
+  mock.timers.enable({ apis: ['Date'], now: 0 });
+});
+
+test('the circuit opens after consecutive failures and fails fast', async () => {
+  const breaker = newBreaker();
+  await fail(breaker);
+  assert.equal(breaker.getState().state, 'CLOSED');
+  await fail(breaker);
+  assert.equal(breaker.getState().state, 'OPEN');
+
+  let called = false;
+  await assert.rejects(breaker.execute(async () => { called = true; }), CircuitOpenError);
+  assert.equal(called, false);
+});
+
+test('errors that are not upstream failures do not count', async () => {
+  const breaker = newBreaker();
+  await fail(breaker, notFound());
+  await fail(breaker, notFound());
+  assert.equal(breaker.getState().state, 'CLOSED');
+  assert.equal(breaker.getState().consecutiveFailures, 0);
+});
+
+test('after the reset timeout one trial call decides the state', async (t) => {
+  const breaker = newBreaker();
+  await fail(breaker);
+  await fail(breaker);
+  t.mock.timers.tick(1000);
+
+  const trial = deferred();
+  const trialCall = breaker.execute(trial.call);
+  assert.equal(breaker.getState().state, 'HALF_OPEN');
+  // Others are turned away while the trial runs, and do not end it
+  await assert.rejects(breaker.execute(async () => 'other'), CircuitOpenError);
+  await assert.rejects(breaker.execute(async () => 'other'), CircuitOpenError);
+
+  trial.resolve('ok');
+  assert.equal(await trialCall, 'ok');
+  assert.equal(breaker.getState().state, 'CLOSED');
+});
+
+test('a failed trial opens the circuit again', async (t) => {
+  const breaker = newBreaker();
+  await fail(breaker);
+  await fail(breaker);
+  t.mock.timers.tick(1000);
+  await fail(breaker);
+  assert.equal(breaker.getState().state, 'OPEN');
+  assert.equal(breaker.getState().retryAt, new Date(2000).toISOString());
+});
+
+test('a call started before the circuit opened cannot close it', async () => {
+  const breaker = newBreaker();
+  const slow = deferred();
+  const slowCall = breaker.execute(slow.call);
+  await fail(breaker);
+  await fail(breaker);
+
+  slow.resolve('late');
+  assert.equal(await slowCall, 'late');
+  assert.equal(breaker.getState().state, 'OPEN');
+  assert.equal(breaker.getState().consecutiveFailures, 2);
+});
+
+test('a call started before the circuit opened cannot end a later trial', async (t) => {
+  const breaker = newBreaker();
+  const slow = deferred();
+  const slowCall = breaker.execute(slow.call);
+  await fail(breaker);
+  await fail(breaker);
+  t.mock.timers.tick(1000);
+
+  const trial = deferred();
+  const trialCall = breaker.execute(trial.call);
+  slow.reject(upstreamDown());
+  await assert.rejects(slowCall);
+  assert.equal(breaker.getState().state, 'HALF_OPEN');
+  await assert.rejects(breaker.execute(async () => 'other'), CircuitOpenError);
+
+  trial.resolve('ok');
+  await trialCall;
+  assert.equal(breaker.getState().state, 'CLOSED');
+});
+
+test('withRetry retries retryable failures only', async () => {
+  let attempts = 0;
+  const flaky = async () => {
+    attempts++;
+    if (attempts < 3) {
+      throw upstreamDown();
+    }
+    return 'ok';
+  };
+  assert.equal(await withRetry(flaky, { retries: 2, baseDelayMs: 1 }), 'ok');
+  assert.equal(attempts, 3);
+
+  attempts = 0;
+  await assert.rejects(withRetry(async () => { attempts++; throw notFound(); }, { retries: 2, baseDelayMs: 1 }));
+  assert.equal(attempts, 1);
+});
+
+test('a throttle starts calls at least the interval apart, in order', async (t) => {
+  t.mock.timers.reset();
+  t.mock.timers.enable({ apis: ['Date', 'setTimeout'], now: 0 });
+  const throttle = createThrottle(1000);
+  const started = [];
+  const calls = [1, 2, 3].map((id) => throttle.run(async () => {
+    started.push([id, Date.now()]);
+    return id;
+  }));
+  assert.equal(throttle.waitMs(), 3000);
+
+  await Promise.resolve();
+  t.mock.timers.tick(1000);
+  await Promise.resolve();
+  t.mock.timers.tick(1000);
+  assert.deepEqual(await Promise.all(calls), [1, 2, 3]);
+  assert.deepEqual(started, [[1, 0], [2, 1000], [3, 2000]]);
+  assert.equal(throttle.waitMs(), 1000);
+});
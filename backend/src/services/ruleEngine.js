@@ -0,0 +1,313 @@
+/**
+ * Activity Rule Engine
+ *
+ * Scores a day's weather against a declarative activity definition.
+ * Separation of Concerns: Activities are plain data (see src/activities),
+ * this module only knows how to evaluate and validate that data.
+ *
+ * Definition format:
+ * {
+ *   "name": "Skiing",
+ *   "description": "Optional summary",
+ *   "baseScore": 0,
+ *   "indoor": false,
+ *   "requires": [],
+ *   "toleratedHazards": ["HEAVY_SNOW"],
+ *   "rules": [
+ *     { "when": { "maxTemp": { "lt": 2 } }, "points": 30 },
+ *     { "when": { "snowfall": { "gt": 0 } },
+ *       "scale": { "variable": "snowfall", "factor": 5, "max": 50 } }
+ *   ],
+ *   "clamp": { "min": 0, "max": 100 }
+ * }
+ *
+ * - when: Conditions on weather variables; every listed variable must fall in
+ *   its range (operators gt, gte, lt, lte, eq). An empty "when" always applies.
+ * - points: Fixed bonus (positive) or penalty (negative) when the rule applies
+ * - scale: Points proportional to a variable (value * factor), optionally
+ *   limited to [min, max]. Exactly one of points/scale is required.
+ * - label: Optional text explaining the rule; defaults to the weather values
+ *   it tested, e.g. "wind 12 km/h". "{variable}" in it is replaced by the
+ *   limit of that variable's condition in the requested units, so
+ *   "gusts over {windGusts}" reads "gusts over 43.5 mph" in imperial units
+ *   (the condition must have a single operator)
+ * - clamp: Final score range; the result is rounded to a whole number
+ * - requires: Optional variables that must have data for the activity to be
+ *   possible at all (e.g. waveHeight: no sea inland). Without them the day is
+ *   "not applicable" instead of scored.
+ * - indoor: Optional flag for activities done indoors (e.g. museums), which
+ *   trip itineraries can limit to a number of days
+ * - toleratedHazards: Optional weather hazards (see safetyService.js) that do
+ *   not cap the activity's score, e.g. heavy snow for skiing
+ *
+ * A condition on a variable without data (null, e.g. waves inland) never holds.
+ * Rules are always written in metric units.
+ */
+
+const { formatMeasurement } = require('../units');
+const { HAZARDS } = require('./safetyService');
+
+/**
+ * Weather variables rules may refer to (numeric fields of DailyWeather),
+ * with the short label used when explaining a score (units come from units.js)
+ */
+const VARIABLE_INFO = {
+  maxTemp: { label: 'high' },
+  minTemp: { label: 'low' },
+  precipitation: { label: 'rain' },
+  windSpeed: { label: 'wind' },
+  snowfall: { label: 'snow' },
+  cloudCover: { label: 'clouds' },
+  windGusts: { label: 'gusts' },
+  windDirection: { label: 'wind from' },
+  uvIndex: { label: 'UV index' },
+  precipitationProbability: { label: 'rain chance' },
+  sunshineHours: { label: 'sunshine' },
+  daylightHours: { label: 'daylight' },
+  apparentMaxTemp: { label: 'feels like high' },
+  apparentMinTemp: { label: 'feels like low' },
+  waveHeight: { label: 'wave height' },
+  swellPeriod: { label: 'swell period' },
+  swellDirection: { label: 'swell from' },
+  seaSurfaceTemp: { label: 'water' },
+  snowDepth: { label: 'snow depth' },
+  recentSnowfall: { label: '3-day snowfall' },
+  freezingLevel: { label: 'freezing level' },
+  freezingLevelAboveSite: { label: 'freezing level above site' },
+  elevation: { label: 'elevation' },
+};
+
+const WEATHER_VARIABLES = Object.keys(VARIABLE_INFO);
+
+/**
+ * Comparison operators allowed in a condition range
+ */
+const OPERATORS = {
+  gt: (value, limit) => value > limit,
+  gte: (value, limit) => value >= limit,
+  lt: (value, limit) => value < limit,
+  lte: (value, limit) => value <= limit,
+  eq: (value, limit) => value === limit,
+};
+
+// Whether a weather variable has a value (marine data is null inland)
+const hasData = (weather, variable) => weather[variable] !== null && weather[variable] !== undefined;
+
+/**
+ * Check whether the weather satisfies every condition of a rule
+ *
+ * @param {Object} when - Map of variable name to operator range
+ * @param {Object} weather - Daily weather object
+ * @returns {boolean} True if all conditions hold
+ */
+function matchesConditions(when, weather) {
+  return Object.entries(when).every(([variable, range]) =>
+    hasData(weather, variable) && Object.entries(range).every(([operator, limit]) =>
+      OPERATORS[operator](weather[variable], limit)
+    )
+  );
+}
+
+/**
+ * Work out how many points a matching rule contributes
+ *
+ * @param {Object} rule - Rule with either points or scale
+ * @param {Object} weather - Daily weather object
+ * @returns {number} Points to add (negative for penalties)
+ */
+function rulePoints(rule, weather) {
+  if (rule.scale === undefined) {
+    return rule.points;
+  }
+  const { variable, factor, min = -Infinity, max = Infinity } = rule.scale;
+  return Math.max(min, Math.min(max, weather[variable] * factor));
+}
+
+// "{variable}" placeholders in rule labels
+const LABEL_PLACEHOLDER = /\{(\w+)\}/g;
+
+/**
+ * Describe the weather values a rule looked at, e.g. "wind 12 km/h"
+ *
+ * @param {Object} rule - Matching rule
+ * @param {Object} weather - Daily weather object
+ * @param {string} units - Unit system the values are shown in
+ * @returns {string} Human-readable factor label
+ */
+function describeRule(rule, weather, units) {
+  if (rule.label) {
+    return rule.label.replace(LABEL_PLACEHOLDER, (_, variable) => (
+      formatMeasurement(variable, Object.values(rule.when[variable])[0], units)
+    ));
+  }
+  const variables = new Set(Object.keys(rule.when || {}));
+  if (rule.scale) {
+    variables.add(rule.scale.variable);
+  }
+  return [...variables]
+    .map((variable) => `${VARIABLE_INFO[variable].label} ${formatMeasurement(variable, weather[variable], units)}`)
+    .join(', ');
+}
+
+// Round points to one decimal place for display
+const roundPoints = (points) => Math.round(points * 10) / 10;
+
+/**
+ * Score one day of weather for an activity and explain the result
+ *
+ * Factors list where the score came from: the base score, each rule that
+ * applied, and any adjustment from clamping, so they add up to the score
+ * (give or take the final rounding).
+ *
+ * @param {Object} definition - Validated activity definition
+ * @param {Object} weather - Daily weather object (metric)
+ * @param {Object} [options]
+ * @param {string} [options.units] - Unit system of the values quoted in
+ *                                   factor labels (default 'metric')
+ * @returns {Object} { score, factors, applicable } where score is a whole
+ *                   number within the clamp range and factors is
+ *                   [{ label, points }]. When required data is missing,
+ *                   applicable is false, score 0 and reason says what is missing.
+ */
+function evaluateActivity(definition, weather, { units = 'metric' } = {}) {
+  const missing = (definition.requires || []).filter((variable) => !hasData(weather, variable));
+  if (missing.length > 0) {
+    const labels = missing.map((variable) => VARIABLE_INFO[variable].label);
+    return { score: 0, factors: [], applicable: false, reason: `no ${labels.join(' or ')} data` };
+  }
+
+  const factors = [{ label: 'base score', points: definition.baseScore }];
+
+  definition.rules
+    .filter((rule) => matchesConditions(rule.when || {}, weather))
+    .forEach((rule) => {
+      factors.push({ label: describeRule(rule, weather, units), points: rulePoints(rule, weather) });
+    });
+
+  const total = factors.reduce((sum, factor) => sum + factor.points, 0);
+  const { min, max } = definition.clamp;
+  const clamped = Math.max(min, Math.min(max, total));
+
+  if (clamped !== total) {
+    factors.push({ label: `limited to ${min}-${max}`, points: clamped - total });
+  }
+
+  return {
+    score: Math.round(clamped),
+    factors: factors.map((factor) => ({ ...factor, points: roundPoints(factor.points) })),
+    applicable: true,
+  };
+}
+
+/**
+ * Check an activity definition and describe everything wrong with it
+ *
+ * @param {Object} definition - Parsed activity definition
+ * @returns {Array<string>} Problems found (empty if the definition is valid)
+ */
+function validateActivityDefinition(definition) {
+  const problems = [];
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+  const checkVariable = (variable, where) => {
+    if (!WEATHER_VARIABLES.includes(variable)) {
+      problems.push(`${where}: unknown weather variable "${variable}"`);
+    }
+  };
+
+  if (!definition || typeof definition !== 'object') {
+    return ['definition must be an object'];
+  }
+  if (typeof definition.name !== 'string' || !definition.name.trim()) {
+    problems.push('name must be a non-empty string');
+  }
+  if (!isNumber(definition.baseScore)) {
+    problems.push('baseScore must be a number');
+  }
+
+  const clamp = definition.clamp;
+  if (!clamp || !isNumber(clamp.min) || !isNumber(clamp.max) || clamp.min > clamp.max) {
+    problems.push('clamp must be { min, max } with min <= max');
+  }
+
+  if (definition.indoor !== undefined && typeof definition.indoor !== 'boolean') {
+    problems.push('indoor must be true or false');
+  }
+
+  if (definition.requires !== undefined) {
+    if (!Array.isArray(definition.requires)) {
+      problems.push('requires must be an array of weather variables');
+    } else {
+      definition.requires.forEach((variable) => checkVariable(variable, 'requires'));
+    }
+  }
+
+  if (definition.toleratedHazards !== undefined) {
+    if (!Array.isArray(definition.toleratedHazards)) {
+      problems.push('toleratedHazards must be an array of hazards');
+    } else {
+      definition.toleratedHazards
+        .filter((hazard) => !HAZARDS.includes(hazard))
+        .forEach((hazard) => problems.push(`toleratedHazards: unknown hazard "${hazard}"`));
+    }
+  }
+
+  if (!Array.isArray(definition.rules)) {
+    problems.push('rules must be an array');
+    return problems;
+  }
+
+  definition.rules.forEach((rule, index) => {
+    const where = `rules[${index}]`;
+
+    Object.entries(rule.when || {}).forEach(([variable, range]) => {
+      checkVariable(variable, `${where}.when`);
+      const operators = Object.entries(range || {});
+      if (operators.length === 0) {
+        problems.push(`${where}.when.${variable}: needs at least one operator`);
+      }
+      operators.forEach(([operator, limit]) => {
+        if (!OPERATORS[operator]) {
+          problems.push(`${where}.when.${variable}: unknown operator "${operator}"`);
+        } else if (!isNumber(limit)) {
+          problems.push(`${where}.when.${variable}.${operator}: must be a number`);
+        }
+      });
+    });
+
+    if (rule.label !== undefined && typeof rule.label !== 'string') {
+      problems.push(`${where}.label: must be a string`);
+    } else if (rule.label) {
+      [...rule.label.matchAll(LABEL_PLACEHOLDER)].forEach(([placeholder, variable]) => {
+        const range = (rule.when || {})[variable];
+        if (!range || Object.keys(range).length !== 1) {
+          problems.push(`${where}.label: ${placeholder} needs a condition on "${variable}" with one operator`);
+        }
+      });
+    }
+
+    const hasPoints = rule.points !== undefined;
+    const hasScale = rule.scale !== undefined;
+    if (hasPoints === hasScale) {
+      problems.push(`${where}: needs exactly one of "points" or "scale"`);
+    } else if (hasPoints && !isNumber(rule.points)) {
+      problems.push(`${where}.points: must be a number`);
+    } else if (hasScale) {
+      const { variable, factor, min, max } = rule.scale;
+      checkVariable(variable, `${where}.scale`);
+      if (!isNumber(factor)) {
+        problems.push(`${where}.scale.factor: must be a number`);
+      }
+      if ((min !== undefined && !isNumber(min)) || (max !== undefined && !isNumber(max))) {
+        problems.push(`${where}.scale: min and max must be numbers`);
+      }
+    }
+  });
+
+  return problems;
+}
+
+module.exports = {
+  WEATHER_VARIABLES,
+  evaluateActivity,
+  validateActivityDefinition,
+};
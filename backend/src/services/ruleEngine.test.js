@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateActivity, validateActivityDefinition } = require('./ruleEngine');
+
+const definition = {
+  name: 'Picnic',
+  baseScore: 50,
+  requires: [],
+  rules: [
+    { when: { maxTemp: { gte: 18, lte: 28 } }, points: 30 },
+    { when: { precipitation: { gt: 0 } }, scale: { variable: 'precipitation', factor: -10, min: -60 } },
+    { when: { windSpeed: { gt: 30 } }, points: -20, label: 'too windy' },
+  ],
+  clamp: { min: 0, max: 100 },
+};
+
+const day = { maxTemp: 22, precipitation: 0, windSpeed: 10 };
+
+test('evaluateActivity adds the points of every matching rule', () => {
+  const result = evaluateActivity(definition, day);
+  assert.equal(result.score, 80);
+  assert.equal(result.applicable, true);
+  assert.deepEqual(result.factors, [
+    { label: 'base score', points: 50 },
+    { label: 'high 22°C', points: 30 },
+  ]);
+});
+
+test('evaluateActivity scales points and respects the scale limits', () => {
+  const result = evaluateActivity(definition, { ...day, precipitation: 12 });
+  // 50 + 30 - 60 (limited from -120)
+  assert.equal(result.score, 20);
+  assert.deepEqual(result.factors[2], { label: 'rain 12 mm', points: -60 });
+});
+
+test('evaluateActivity reports clamping as a factor so factors add up', () => {
+  const result = evaluateActivity(
+    { ...definition, baseScore: 90 },
+    { ...day, windSpeed: 5 }
+  );
+  assert.equal(result.score, 100);
+  assert.deepEqual(result.factors.at(-1), { label: 'limited to 0-100', points: -20 });
+  assert.equal(result.factors.reduce((sum, factor) => sum + factor.points, 0), 100);
+});
+
+test('evaluateActivity uses a rule label when given', () => {
+  const result = evaluateActivity(definition, { ...day, windSpeed: 45 });
+  assert.ok(result.factors.some((factor) => factor.label === 'too windy' && factor.points === -20));
+});
+
+test('evaluateActivity quotes values in the requested units', () => {
+  const result = evaluateActivity(definition, day, { units: 'imperial' });
+  assert.equal(result.factors[1].label, 'high 71.6°F');
+});
+
+test('label placeholders show the rule limit in the requested units', () => {
+  const gusty = {
+    ...definition,
+    rules: [{ when: { windGusts: { gt: 30 } }, points: -20, label: 'gusts over {windGusts}' }],
+  };
+  const windyDay = { ...day, windGusts: 45 };
+  assert.equal(evaluateActivity(gusty, windyDay).factors[1].label, 'gusts over 30 km/h');
+  assert.equal(evaluateActivity(gusty, windyDay, { units: 'imperial' }).factors[1].label, 'gusts over 18.6 mph');
+});
+
+test('evaluateActivity is not applicable without required data', () => {
+  const result = evaluateActivity({ ...definition, requires: ['waveHeight'] }, { ...day, waveHeight: null });
+  assert.deepEqual(result, { score: 0, factors: [], applicable: false, reason: 'no wave height data' });
+});
+
+test('a condition on a variable without data never holds', () => {
+  const withWaves = {
+    ...definition,
+    rules: [{ when: { waveHeight: { lt: 1 } }, points: 40 }],
+  };
+  assert.equal(evaluateActivity(withWaves, { ...day, waveHeight: null }).score, 50);
+  assert.equal(evaluateActivity(withWaves, { ...day, waveHeight: 0.5 }).score, 90);
+});
+
+test('validateActivityDefinition accepts a valid definition', () => {
+  assert.deepEqual(validateActivityDefinition(definition), []);
+});
+
+test('validateActivityDefinition lists every problem', () => {
+  const problems = validateActivityDefinition({
+    name: '',
+    baseScore: 'high',
+    clamp: { min: 10, max: 0 },
+    toleratedHazards: ['HEAVY_SNOW', 'FOG'],
+    rules: [
+      { when: { humidity: { gt: 50 } }, points: 5 },
+      { when: { maxTemp: { between: 5 } }, points: 5 },
+      { when: { maxTemp: { gt: 5 } }, points: 5, scale: { variable: 'maxTemp', factor: 1 } },
+      { when: { maxTemp: { gt: 5, lt: 9 } }, points: 5, label: '{maxTemp} or {windSpeed}' },
+    ],
+  });
+  assert.deepEqual(problems, [
+    'name must be a non-empty string',
+    'baseScore must be a number',
+    'clamp must be { min, max } with min <= max',
+    'toleratedHazards: unknown hazard "FOG"',
+    'rules[0].when: unknown weather variable "humidity"',
+    'rules[1].when.maxTemp: unknown operator "between"',
+    'rules[2]: needs exactly one of "points" or "scale"',
+    'rules[3].label: {maxTemp} needs a condition on "maxTemp" with one operator',
+    'rules[3].label: {windSpeed} needs a condition on "windSpeed" with one operator',
+  ]);
+});
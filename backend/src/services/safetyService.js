@@ -0,0 +1,177 @@
+/**
+ * Safety Service
+ *
+ * Activity scores are clamped sums of weather rules, so a mild, dry-ish day
+ * can still add up to "Good" for a walk while thunderstorms or 80 km/h
+ * gusts are forecast. This layer looks for hazards on their own terms:
+ * - Weather codes (WMO, as reported by Open-Meteo): thunderstorms, hail,
+ *   freezing rain and heavy snowfall
+ * - Gusts, "feels like" heat and "feels like" cold past fixed thresholds;
+ *   cold is judged on the day's "feels like" high, as the overnight low
+ *   says little about the daytime
+ *
+ * Each hazard found becomes an alert on the day, either a WARNING or a
+ * SEVERE alert. Outdoor activities are capped at WARNING_CAP on days with a
+ * warning and vetoed (scored 0, and never planned) on days with a severe
+ * alert; indoor activities are not affected, and an activity definition
+ * may list hazards it tolerates in toleratedHazards (Skiing: heavy snow).
+ *
+ * Thresholds are metric, like the weather they are checked against.
+ */
+
+const { formatMeasurement } = require('../units');
+
+const Severity = {
+  WARNING: 'WARNING',
+  SEVERE: 'SEVERE',
+};
+
+// Highest score an outdoor activity keeps on a day with a warning ("Poor")
+const WARNING_CAP = 30;
+
+/**
+ * Weather codes that are hazards in themselves
+ * 95: thunderstorm; 96/99: thunderstorm with hail; 66/67: freezing rain;
+ * 75: heavy snowfall; 86: heavy snow showers
+ */
+const WEATHER_CODE_HAZARDS = {
+  95: { hazard: 'THUNDERSTORM', severity: Severity.WARNING, message: 'Thunderstorms' },
+  96: { hazard: 'THUNDERSTORM', severity: Severity.SEVERE, message: 'Thunderstorms with hail' },
+  99: { hazard: 'THUNDERSTORM', severity: Severity.SEVERE, message: 'Thunderstorms with heavy hail' },
+  66: { hazard: 'FREEZING_RAIN', severity: Severity.WARNING, message: 'Freezing rain, icy surfaces' },
+  67: { hazard: 'FREEZING_RAIN', severity: Severity.SEVERE, message: 'Heavy freezing rain, icy surfaces' },
+  75: { hazard: 'HEAVY_SNOW', severity: Severity.WARNING, message: 'Heavy snowfall' },
+  86: { hazard: 'HEAVY_SNOW', severity: Severity.WARNING, message: 'Heavy snow showers' },
+};
+
+/**
+ * Hazards read from a weather value: the day is a warning past `warning`
+ * and severe past `severe` (above for "above", below otherwise)
+ */
+const THRESHOLD_HAZARDS = [
+  {
+    hazard: 'HIGH_WIND',
+    field: 'windGusts',
+    direction: 'above',
+    warning: 60,
+    severe: 90,
+    describe: (value) => `Gusts up to ${value}`,
+  },
+  {
+    hazard: 'EXTREME_HEAT',
+    field: 'apparentMaxTemp',
+    direction: 'above',
+    warning: 32,
+    severe: 40,
+    describe: (value) => `Heat, feeling like up to ${value}`,
+  },
+  {
+    hazard: 'EXTREME_COLD',
+    field: 'apparentMaxTemp',
+    direction: 'below',
+    warning: -15,
+    severe: -25,
+    describe: (value) => `Severe cold, feeling like ${value} at most`,
+  },
+];
+
+// Every hazard an alert can be about (what toleratedHazards may list)
+const HAZARDS = [
+  ...new Set([
+    ...Object.values(WEATHER_CODE_HAZARDS).map(({ hazard }) => hazard),
+    ...THRESHOLD_HAZARDS.map(({ hazard }) => hazard),
+  ]),
+];
+
+/**
+ * Find the hazards of a day
+ *
+ * @param {Object} day - Daily weather object (metric)
+ * @param {string} [units] - Unit system of the values quoted in messages
+ * @returns {Array<Object>} Alerts { hazard, severity, message }, severe ones first
+ */
+function assessDay(day, units = 'metric') {
+  const alerts = [];
+
+  const codeHazard = WEATHER_CODE_HAZARDS[day.weatherCode];
+  if (codeHazard) {
+    alerts.push({ ...codeHazard });
+  }
+
+  THRESHOLD_HAZARDS.forEach(({ hazard, field, direction, warning, severe, describe }) => {
+    const value = day[field];
+    if (value === null || value === undefined) {
+      return;
+    }
+    const past = (limit) => (direction === 'above' ? value >= limit : value <= limit);
+    if (past(warning)) {
+      alerts.push({
+        hazard,
+        severity: past(severe) ? Severity.SEVERE : Severity.WARNING,
+        message: describe(formatMeasurement(field, value, units)),
+      });
+    }
+  });
+
+  return alerts.sort((a, b) => (b.severity === Severity.SEVERE) - (a.severity === Severity.SEVERE));
+}
+
+/**
+ * Cap or veto an activity's score for the hazards of its day
+ *
+ * The points taken off show up as a factor, so factors still add up to the
+ * score. Indoor activities, and days the activity is not possible anyway,
+ * are returned unchanged; hazards the activity tolerates are ignored.
+ *
+ * @param {Object} result - Rule engine result { score, factors, applicable, ... }
+ * @param {Array<Object>} dayAlerts - The day's alerts from assessDay
+ * @param {Object} activity - Activity definition
+ * @returns {Object} Result with the capped score, plus alerts (those that
+ *                   apply to the activity) and unsafe (true when vetoed)
+ */
+function applySafety(result, dayAlerts, activity) {
+  const tolerated = activity.toleratedHazards || [];
+  const alerts = dayAlerts.filter((alert) => !tolerated.includes(alert.hazard));
+  if (activity.indoor || !result.applicable || alerts.length === 0) {
+    return { ...result, alerts: [], unsafe: false };
+  }
+
+  const unsafe = alerts.some((alert) => alert.severity === Severity.SEVERE);
+  const cap = unsafe ? 0 : WARNING_CAP;
+  if (result.score <= cap) {
+    return { ...result, alerts, unsafe };
+  }
+  const reason = alerts[0].message.toLowerCase();
+  return {
+    ...result,
+    score: cap,
+    factors: [
+      ...result.factors,
+      { label: unsafe ? `unsafe: ${reason}` : `capped for safety: ${reason}`, points: cap - result.score },
+    ],
+    alerts,
+    unsafe,
+  };
+}
+
+/**
+ * Highest score an hour of a day may have after applySafety
+ *
+ * @param {Object} dayResult - Result of applySafety for the day
+ * @returns {number} 0 on an unsafe day, WARNING_CAP with alerts, 100 otherwise
+ */
+function hourlyCap(dayResult) {
+  if (dayResult.unsafe) {
+    return 0;
+  }
+  return dayResult.alerts.length > 0 ? WARNING_CAP : 100;
+}
+
+module.exports = {
+  Severity,
+  HAZARDS,
+  WARNING_CAP,
+  assessDay,
+  applySafety,
+  hourlyCap,
+};
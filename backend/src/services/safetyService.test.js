@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WARNING_CAP, assessDay, applySafety, hourlyCap } = require('./safetyService');
+
+const calmDay = { weatherCode: 1, windGusts: 20, apparentMaxTemp: 22, apparentMinTemp: 12 };
+const hiking = { name: 'Hiking' };
+const museum = { name: 'Museum', indoor: true };
+const goodDay = {
+  score: 80,
+  factors: [{ label: 'base score', points: 50 }, { label: 'high 22°C', points: 30 }],
+  applicable: true,
+};
+
+test('a calm day has no alerts', () => {
+  assert.deepEqual(assessDay(calmDay), []);
+});
+
+test('assessDay reads hazards from weather codes and thresholds, severe ones first', () => {
+  assert.deepEqual(assessDay({ ...calmDay, windGusts: 75, weatherCode: 96 }), [
+    { hazard: 'THUNDERSTORM', severity: 'SEVERE', message: 'Thunderstorms with hail' },
+    { hazard: 'HIGH_WIND', severity: 'WARNING', message: 'Gusts up to 75 km/h' },
+  ]);
+  assert.deepEqual(assessDay({ ...calmDay, apparentMaxTemp: -25 }).map((alert) => alert.severity), ['SEVERE']);
+  assert.deepEqual(assessDay({ ...calmDay, apparentMaxTemp: 32 }).map((alert) => alert.hazard), ['EXTREME_HEAT']);
+  assert.deepEqual(assessDay({ ...calmDay, windGusts: null }), []);
+});
+
+test('cold is judged on the daytime high, not the overnight low', () => {
+  assert.deepEqual(assessDay({ ...calmDay, apparentMaxTemp: -2, apparentMinTemp: -22 }), []);
+  assert.deepEqual(assessDay({ ...calmDay, apparentMaxTemp: -16, apparentMinTemp: -22 }), [
+    { hazard: 'EXTREME_COLD', severity: 'WARNING', message: 'Severe cold, feeling like -16°C at most' },
+  ]);
+});
+
+test('assessDay quotes values in the requested units', () => {
+  assert.equal(assessDay({ ...calmDay, windGusts: 75 }, 'imperial')[0].message, 'Gusts up to 46.6 mph');
+});
+
+test('a warning caps outdoor scores and reports the points taken off', () => {
+  const result = applySafety(goodDay, assessDay({ ...calmDay, windGusts: 75 }), hiking);
+  assert.equal(result.score, WARNING_CAP);
+  assert.equal(result.unsafe, false);
+  assert.deepEqual(result.factors.at(-1), { label: 'capped for safety: gusts up to 75 km/h', points: WARNING_CAP - 80 });
+  assert.equal(result.factors.reduce((sum, factor) => sum + factor.points, 0), result.score);
+  assert.equal(hourlyCap(result), WARNING_CAP);
+});
+
+test('a severe alert vetoes outdoor activities', () => {
+  const result = applySafety(goodDay, assessDay({ ...calmDay, weatherCode: 99 }), hiking);
+  assert.equal(result.score, 0);
+  assert.equal(result.unsafe, true);
+  assert.equal(result.factors.at(-1).label, 'unsafe: thunderstorms with heavy hail');
+  assert.equal(hourlyCap(result), 0);
+});
+
+test('scores below the cap are kept, with the alerts', () => {
+  const alerts = assessDay({ ...calmDay, windGusts: 75 });
+  const result = applySafety({ ...goodDay, score: 20 }, alerts, hiking);
+  assert.equal(result.score, 20);
+  assert.equal(result.factors.length, 2);
+  assert.deepEqual(result.alerts, alerts);
+});
+
+test('indoor activities and impossible days are not affected', () => {
+  const alerts = assessDay({ ...calmDay, weatherCode: 99 });
+  assert.deepEqual(applySafety(goodDay, alerts, museum), { ...goodDay, alerts: [], unsafe: false });
+  const impossible = { score: 0, factors: [], applicable: false };
+  assert.deepEqual(applySafety(impossible, alerts, hiking), { ...impossible, alerts: [], unsafe: false });
+  assert.equal(hourlyCap(applySafety(goodDay, [], hiking)), 100);
+});
+
+test('hazards an activity tolerates do not cap it', () => {
+  const skiing = { name: 'Skiing', toleratedHazards: ['HEAVY_SNOW'] };
+  const snowy = assessDay({ ...calmDay, weatherCode: 75 });
+  assert.deepEqual(applySafety(goodDay, snowy, skiing), { ...goodDay, alerts: [], unsafe: false });
+  assert.equal(applySafety(goodDay, snowy, hiking).score, WARNING_CAP);
+
+  const snowyAndWindy = assessDay({ ...calmDay, weatherCode: 75, windGusts: 95 });
+  const result = applySafety(goodDay, snowyAndWindy, skiing);
+  assert.equal(result.unsafe, true);
+  assert.deepEqual(result.alerts.map((alert) => alert.hazard), ['HIGH_WIND']);
+});
@@ -0,0 +1,378 @@
+/**
+ * Trip Planner Service
+ *
+ * Answers "where and when should we go?" from forecasts that have already
+ * been ranked (see activityRankingService.js): it looks across places,
+ * activities and days for the best moments instead of per-activity averages.
+ *
+ * A slot is one activity at one place over one or more consecutive days,
+ * scored by the average of its daily scores. An itinerary is one activity
+ * (or a free day) for each day of a trip at one place.
+ */
+
+const { InvalidInputError } = require('../errors');
+const { convertValue } = require('../units');
+
+// Whether an activity can be suggested on a day: it needs the data it relies
+// on, and no severe weather alert may rule it out
+const isPossible = (day) => day.applicable && !day.unsafe;
+
+// A day with at least this much precipitation (mm) counts as rainy
+const RAINY_DAY_MM = 1;
+
+/**
+ * Find the best (place, days, activity) slots
+ *
+ * Slots with a day on which the activity is not possible (or ruled out by a
+ * severe weather alert) are skipped, and
+ * so are slots overlapping a better one for the same place and activity.
+ * Ties go to the earlier start date, then to the place listed first.
+ *
+ * @param {Array<Object>} forecasts - Ranked forecasts, one per place: { location,
+ *                                    latitude, longitude, timezone, dailyWeather,
+ *                                    rankings, unitSystem (of dailyWeather,
+ *                                    default metric) }
+ * @param {Object} options
+ * @param {Array<string>} options.activityIds - Activities to consider
+ * @param {number} [options.consecutiveDays] - Days per slot (default 1)
+ * @param {number} [options.maxRainyDays] - Most rainy days a slot may include
+ * @param {number} [options.minDailyScore] - Lowest score any day of a slot may have
+ * @param {number} options.limit - Number of slots to return
+ * @returns {Array<Object>} Best slots first: { location, latitude, longitude,
+ *                          timezone, activity, activityId, icon, startDate, endDate,
+ *                          score, rainyDays, days }
+ */
+function findBestSlots(forecasts, {
+  activityIds,
+  consecutiveDays = 1,
+  maxRainyDays = null,
+  minDailyScore = null,
+  limit,
+}) {
+  const slots = [];
+
+  forecasts.forEach((forecast, place) => {
+    const rainyDayPrecipitation = convertValue('precipitation', RAINY_DAY_MM, forecast.unitSystem || 'metric');
+    const rainy = forecast.dailyWeather.map((day) => day.precipitation >= rainyDayPrecipitation);
+
+    forecast.rankings
+      .filter((ranking) => activityIds.includes(ranking.activityId))
+      .forEach((ranking) => {
+        for (let start = 0; start + consecutiveDays <= ranking.dailyScores.length; start += 1) {
+          const days = ranking.dailyScores.slice(start, start + consecutiveDays);
+          const rainyDays = rainy.slice(start, start + consecutiveDays).filter(Boolean).length;
+
+          if (days.some((day) => !isPossible(day))
+            || (maxRainyDays !== null && rainyDays > maxRainyDays)
+            || (minDailyScore !== null && days.some((day) => day.score < minDailyScore))) {
+            continue;
+          }
+
+          slots.push({
+            location: forecast.location,
+            latitude: forecast.latitude,
+            longitude: forecast.longitude,
+            timezone: forecast.timezone,
+            activity: ranking.activity,
+            activityId: ranking.activityId,
+            icon: ranking.icon,
+            startDate: days[0].date,
+            endDate: days[days.length - 1].date,
+            score: Math.round(days.reduce((sum, day) => sum + day.score, 0) / days.length),
+            rainyDays,
+            days,
+            place,
+          });
+        }
+      });
+  });
+
+  slots.sort((a, b) => (b.score - a.score)
+    || a.startDate.localeCompare(b.startDate)
+    || (a.place - b.place));
+
+  // Best first; a slot overlapping a better one for the same place and
+  // activity would be the same suggestion shifted by a day, so skip it
+  const chosen = [];
+  for (const slot of slots) {
+    if (chosen.length === limit) {
+      break;
+    }
+    const overlaps = chosen.some((other) => other.place === slot.place
+      && other.activityId === slot.activityId
+      && other.startDate <= slot.endDate
+      && slot.startDate <= other.endDate);
+    if (!overlaps) {
+      chosen.push(slot);
+    }
+  }
+  return chosen.map(({ place, ...slot }) => slot);
+}
+
+// The exact itinerary search keeps one state per set of tracked activities
+// (and indoor day count), so it grows as 2^activities: past these limits
+// the plan is built greedily instead, which stays fast however many custom
+// activities there are
+const MAX_EXACT_ACTIVITIES = 10;
+const MAX_EXACT_DAYS = 16;
+
+/**
+ * Plan exactly, by dynamic programming over the days
+ *
+ * A state holds the activities used so far that matter (must-do ones, or
+ * all candidates when repeats are not allowed) and the number of indoor
+ * days, keeping only the best total per state.
+ *
+ * @param {Array<Object>} rankings - Activity rankings
+ * @param {Array<Array<Object>>} options - Per day, the choices { index, score }
+ *                                         (index null for a free day)
+ * @param {Object} constraints - { mustDo, maxIndoorDays, noRepeats }
+ * @param {Array<boolean>} tracked - Per ranking, whether states remember its use
+ * @returns {Array<Object>|null} The choice of every day, or null if the
+ *                               constraints cannot all be met
+ */
+function planExactly(rankings, options, { mustDo, maxIndoorDays, noRepeats }, tracked) {
+  const requiredMask = rankings.reduce((mask, ranking, index) => (
+    mustDo.includes(ranking.activityId) ? mask | (1n << BigInt(index)) : mask
+  ), 0n);
+
+  // states: key -> { mask, indoorDays, total, previous, choice }
+  let states = new Map([['0|0', { mask: 0n, indoorDays: 0, total: 0, previous: null, choice: null }]]);
+  options.forEach((dayOptions) => {
+    const next = new Map();
+    states.forEach((state) => {
+      dayOptions.forEach((choice) => {
+        let { mask, indoorDays } = state;
+        if (choice.index !== null) {
+          const bit = 1n << BigInt(choice.index);
+          if (noRepeats && (mask & bit)) {
+            return;
+          }
+          if (tracked[choice.index]) {
+            mask |= bit;
+          }
+          if (rankings[choice.index].indoor) {
+            indoorDays += 1;
+            if (maxIndoorDays !== null && indoorDays > maxIndoorDays) {
+              return;
+            }
+          }
+        }
+        const total = state.total + choice.score;
+        const key = `${mask}|${indoorDays}`;
+        const existing = next.get(key);
+        if (!existing || total > existing.total) {
+          next.set(key, { mask, indoorDays, total, previous: state, choice });
+        }
+      });
+    });
+    states = next;
+  });
+
+  let best = null;
+  states.forEach((state) => {
+    if ((state.mask & requiredMask) === requiredMask && (!best || state.total > best.total)) {
+      best = state;
+    }
+  });
+  if (!best) {
+    return null;
+  }
+
+  // Walk back from the best final state to read the choice of every day
+  const choices = [];
+  for (let state = best; state.previous; state = state.previous) {
+    choices.unshift(state.choice);
+  }
+  return choices;
+}
+
+/**
+ * Plan greedily, for trips too large to search exactly
+ *
+ * Pinned days are placed first, then each must-do activity (those possible
+ * on the fewest days first) on its best open day, then the best remaining
+ * (day, activity) pairs. The plan meets every constraint but may score a
+ * little less than the best one, and constraints that only an exhaustive
+ * search could satisfy together are reported as unmet.
+ *
+ * @param {Array<Object>} rankings - Activity rankings
+ * @param {Array<Array<Object>>} options - As for planExactly; a pinned day
+ *                                         has a single choice and no free one
+ * @param {Object} constraints - { mustDo, maxIndoorDays, noRepeats }
+ * @returns {Array<Object>|null} The choice of every day, or null if the
+ *                               constraints could not all be met
+ */
+function planGreedily(rankings, options, { mustDo, maxIndoorDays, noRepeats }) {
+  const choices = options.map(() => null);
+  const used = new Set();
+  let indoorDays = 0;
+
+  const canTake = ({ index }) => !(noRepeats && used.has(index))
+    && !(rankings[index].indoor && maxIndoorDays !== null && indoorDays >= maxIndoorDays);
+  const take = (dayIndex, choice) => {
+    choices[dayIndex] = choice;
+    used.add(choice.index);
+    if (rankings[choice.index].indoor) {
+      indoorDays += 1;
+    }
+  };
+  const isOpen = (dayIndex) => choices[dayIndex] === null;
+
+  // Pinned days
+  for (let dayIndex = 0; dayIndex < options.length; dayIndex += 1) {
+    const dayOptions = options[dayIndex];
+    if (dayOptions.every((choice) => choice.index !== null)) {
+      if (!canTake(dayOptions[0])) {
+        return null;
+      }
+      take(dayIndex, dayOptions[0]);
+    }
+  }
+
+  // Must-do activities, scarcest first
+  const openDaysFor = (index) => options
+    .map((dayOptions, dayIndex) => ({ dayIndex, choice: dayOptions.find((choice) => choice.index === index) }))
+    .filter(({ dayIndex, choice }) => choice && isOpen(dayIndex));
+  const missing = mustDo
+    .map((activityId) => rankings.findIndex((ranking) => ranking.activityId === activityId))
+    .filter((index) => !used.has(index))
+    .sort((a, b) => openDaysFor(a).length - openDaysFor(b).length);
+  for (const index of missing) {
+    const candidates = openDaysFor(index).filter(({ choice }) => canTake(choice));
+    if (candidates.length === 0) {
+      return null;
+    }
+    const best = candidates.reduce((a, b) => (b.choice.score > a.choice.score ? b : a));
+    take(best.dayIndex, best.choice);
+  }
+
+  // Everything else, best pairs first
+  options
+    .flatMap((dayOptions, dayIndex) => dayOptions
+      .filter((choice) => choice.index !== null && choice.score > 0)
+      .map((choice) => ({ dayIndex, choice })))
+    .sort((a, b) => (b.choice.score - a.choice.score) || (a.dayIndex - b.dayIndex))
+    .forEach(({ dayIndex, choice }) => {
+      if (isOpen(dayIndex) && canTake(choice)) {
+        take(dayIndex, choice);
+      }
+    });
+
+  return choices.map((choice) => choice || { index: null, score: 0 });
+}
+
+/**
+ * Plan one activity per day of a trip, maximizing the total score
+ *
+ * Solved exactly (planExactly) when at most MAX_EXACT_ACTIVITIES activities
+ * need tracking and the trip lasts at most MAX_EXACT_DAYS days, greedily
+ * (planGreedily) otherwise. A day on which nothing allowed is possible
+ * becomes a free day (scoring 0), so only must-do activities and pinned days
+ * can make a plan impossible. Activities scoring 0 are only planned if they
+ * are must-do.
+ *
+ * @param {Object} forecast - Ranked forecast for the place ({ rankings })
+ * @param {Object} [constraints]
+ * @param {Array<string>} [constraints.mustDo] - Activity ids to do at least once
+ * @param {number} [constraints.maxIndoorDays] - Most days of indoor activities
+ * @param {boolean} [constraints.noRepeats] - Do each activity at most once
+ * @param {Object} [constraints.pinned] - Activity id chosen by the user, by date
+ * @returns {Object} { totalScore, exact, days }, exact false for a greedy
+ *                   plan, days holding { date, activity, activityId, icon,
+ *                   indoor, score, conditions, bestWindow, pinned,
+ *                   alternatives } (activity null on a free day) and
+ *                   alternatives every activity possible that day, best first
+ * @throws {InvalidInputError} If the constraints cannot all be met
+ */
+function buildItinerary({ rankings }, {
+  mustDo = [],
+  maxIndoorDays = null,
+  noRepeats = false,
+  pinned = {},
+} = {}) {
+  const dates = rankings[0].dailyScores.map((day) => day.date);
+
+  mustDo.forEach((activityId) => {
+    const ranking = rankings.find((candidate) => candidate.activityId === activityId);
+    if (!ranking.dailyScores.some(isPossible)) {
+      throw new InvalidInputError(`${ranking.activity} is not possible on any day of the trip`, {
+        field: 'mustDo',
+      });
+    }
+  });
+
+  // What may be done each day: a pinned activity, or any possible one or nothing
+  const options = dates.map((date, dayIndex) => {
+    const possible = rankings
+      .map((ranking, index) => ({ index, score: ranking.dailyScores[dayIndex].score }))
+      .filter(({ index }) => isPossible(rankings[index].dailyScores[dayIndex]));
+
+    if (pinned[date]) {
+      const choice = possible.find(({ index }) => rankings[index].activityId === pinned[date]);
+      if (!choice) {
+        const ranking = rankings.find((candidate) => candidate.activityId === pinned[date]);
+        const why = ranking.dailyScores[dayIndex].unsafe ? 'unsafe' : 'not possible';
+        throw new InvalidInputError(`${ranking.activity} is ${why} on ${date}`, { field: 'pinned' });
+      }
+      return [choice];
+    }
+    const worthPlanning = possible.filter(({ index, score }) => score > 0
+      || mustDo.includes(rankings[index].activityId));
+    return [...worthPlanning, { index: null, score: 0 }];
+  });
+
+  // Only activities that can be planned on some day need remembering
+  const candidates = new Set(options.flat().map(({ index }) => index));
+  const tracked = rankings.map((ranking, index) => candidates.has(index)
+    && (noRepeats || mustDo.includes(ranking.activityId)));
+  const exact = tracked.filter(Boolean).length <= MAX_EXACT_ACTIVITIES && dates.length <= MAX_EXACT_DAYS;
+
+  const constraints = { mustDo, maxIndoorDays, noRepeats };
+  const choices = exact
+    ? planExactly(rankings, options, constraints, tracked)
+    : planGreedily(rankings, options, constraints);
+  if (!choices) {
+    throw new InvalidInputError(
+      'No itinerary meets all the constraints; try fewer must-do activities, more indoor days or allowing repeats',
+      { field: 'constraints' }
+    );
+  }
+
+  return {
+    totalScore: choices.reduce((sum, choice) => sum + choice.score, 0),
+    exact,
+    days: dates.map((date, dayIndex) => {
+      const { index } = choices[dayIndex];
+      const ranking = index === null ? null : rankings[index];
+      const day = ranking && ranking.dailyScores[dayIndex];
+      return {
+        date,
+        activity: ranking && ranking.activity,
+        activityId: ranking && ranking.activityId,
+        icon: ranking && ranking.icon,
+        indoor: Boolean(ranking && ranking.indoor),
+        score: day ? day.score : 0,
+        conditions: day ? day.conditions : null,
+        bestWindow: day ? day.bestWindow : null,
+        pinned: Boolean(pinned[date]),
+        alternatives: rankings
+          .filter((candidate) => isPossible(candidate.dailyScores[dayIndex]))
+          .map((candidate) => ({
+            activity: candidate.activity,
+            activityId: candidate.activityId,
+            icon: candidate.icon,
+            indoor: candidate.indoor,
+            score: candidate.dailyScores[dayIndex].score,
+          }))
+          .sort((a, b) => b.score - a.score),
+      };
+    }),
+  };
+}
+
+module.exports = {
+  MAX_EXACT_ACTIVITIES,
+  findBestSlots,
+  buildItinerary,
+};
@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_EXACT_ACTIVITIES, buildItinerary, findBestSlots } = require('./tripPlannerService');
+
+const DATES = Array.from({ length: 16 }, (_, index) => `2026-10-${String(index + 1).padStart(2, '0')}`);
+
+/**
+ * A ranking whose daily scores are given, one per day
+ * (null for a day on which the activity is not possible)
+ */
+function ranking(activityId, scores, { indoor = false } = {}) {
+  return {
+    activity: activityId,
+    activityId,
+    icon: '*',
+    indoor,
+    dailyScores: scores.map((score, index) => ({
+      date: DATES[index],
+      score: score ?? 0,
+      applicable: score !== null,
+      unsafe: false,
+      conditions: 'fine',
+      bestWindow: null,
+    })),
+  };
+}
+
+const activitiesOf = (itinerary) => itinerary.days.map((day) => day.activityId);
+
+test('buildItinerary picks the best activity of every day', () => {
+  const itinerary = buildItinerary({
+    rankings: [ranking('hiking', [80, 20, 0]), ranking('museum', [50, 60, 0], { indoor: true })],
+  });
+  assert.deepEqual(activitiesOf(itinerary), ['hiking', 'museum', null]);
+  assert.equal(itinerary.totalScore, 140);
+  assert.equal(itinerary.exact, true);
+});
+
+test('buildItinerary finds the best plan without repeats', () => {
+  // Greedy would take hiking on day 1 (90) and be left with 10 on day 2
+  const itinerary = buildItinerary({
+    rankings: [ranking('hiking', [90, 85]), ranking('cycling', [80, 10])],
+  }, { noRepeats: true });
+  assert.deepEqual(activitiesOf(itinerary), ['cycling', 'hiking']);
+  assert.equal(itinerary.totalScore, 165);
+});
+
+test('buildItinerary meets must-do, indoor and pinned constraints', () => {
+  const rankings = [
+    ranking('hiking', [90, 90, 90]),
+    ranking('museum', [70, 70, 70], { indoor: true }),
+    ranking('kayaking', [10, null, null]),
+  ];
+  const itinerary = buildItinerary({ rankings }, {
+    mustDo: ['kayaking'],
+    maxIndoorDays: 1,
+    pinned: { [DATES[1]]: 'museum' },
+  });
+  assert.deepEqual(activitiesOf(itinerary), ['kayaking', 'museum', 'hiking']);
+  assert.equal(itinerary.days[1].pinned, true);
+});
+
+test('buildItinerary rejects constraints that cannot all be met', () => {
+  const rankings = [ranking('hiking', [90, 90]), ranking('museum', [70, 70], { indoor: true })];
+  assert.throws(
+    () => buildItinerary({ rankings }, { pinned: { [DATES[0]]: 'museum', [DATES[1]]: 'museum' }, maxIndoorDays: 1 }),
+    { code: 'INVALID_INPUT', message: /No itinerary meets all the constraints/ }
+  );
+  assert.throws(
+    () => buildItinerary({ rankings: [ranking('kayaking', [null, null])] }, { mustDo: ['kayaking'] }),
+    { code: 'INVALID_INPUT', message: 'kayaking is not possible on any day of the trip' }
+  );
+});
+
+test('buildItinerary plans many activities greedily within the limits', () => {
+  // Every activity possible every day: an exact search would track 2^24 sets
+  const rankings = Array.from({ length: 24 }, (_, activity) => ranking(
+    `activity-${activity}`,
+    DATES.map((date, day) => (activity * 7 + day * 13) % 100),
+    { indoor: activity % 4 === 0 }
+  ));
+  const mustDo = ['activity-3', 'activity-17'];
+
+  const started = Date.now();
+  const itinerary = buildItinerary({ rankings }, { noRepeats: true, maxIndoorDays: 2, mustDo });
+  assert.ok(Date.now() - started < 1000, 'planning took too long');
+
+  assert.ok(rankings.length > MAX_EXACT_ACTIVITIES);
+  assert.equal(itinerary.exact, false);
+  const planned = activitiesOf(itinerary).filter(Boolean);
+  assert.equal(new Set(planned).size, planned.length, 'an activity was repeated');
+  assert.ok(itinerary.days.filter((day) => day.indoor).length <= 2);
+  mustDo.forEach((activityId) => assert.ok(planned.includes(activityId)));
+  assert.equal(itinerary.totalScore, itinerary.days.reduce((sum, day) => sum + day.score, 0));
+});
+
+test('buildItinerary only counts activities that can be planned towards the limit', () => {
+  // Many activities, but only two possible (with a score) on any day
+  const rankings = [
+    ranking('hiking', [90, 85]),
+    ranking('cycling', [80, 10]),
+    ...Array.from({ length: 20 }, (_, index) => ranking(`idle-${index}`, [null, 0])),
+  ];
+  const itinerary = buildItinerary({ rankings }, { noRepeats: true });
+  assert.equal(itinerary.exact, true);
+  assert.deepEqual(activitiesOf(itinerary), ['cycling', 'hiking']);
+});
+
+/**
+ * A ranked forecast for one place: its rankings and the rain of each day (mm)
+ */
+function forecast(location, rankings, rain = []) {
+  return {
+    location,
+    latitude: 0,
+    longitude: 0,
+    timezone: 'UTC',
+    dailyWeather: rankings[0].dailyScores.map((_, index) => ({ precipitation: rain[index] ?? 0 })),
+    rankings,
+  };
+}
+
+const slotsOf = (slots) => slots.map((slot) => `${slot.location} ${slot.activityId} ${slot.startDate} ${slot.score}`);
+
+test('findBestSlots ranks slots by their average score across places', () => {
+  const slots = findBestSlots([
+    forecast('Here', [ranking('hiking', [60, 90, 40])]),
+    forecast('There', [ranking('hiking', [70, 80, 95])]),
+  ], { activityIds: ['hiking'], consecutiveDays: 2, limit: 5 });
+  // "There" from day 1 (75) overlaps its better day 2 slot (88), so it is skipped
+  assert.deepEqual(slotsOf(slots), [
+    'There hiking 2026-10-02 88',
+    'Here hiking 2026-10-01 75',
+  ]);
+  assert.equal(slots[0].endDate, '2026-10-03');
+});
+
+test('findBestSlots skips slots with an impossible, unsafe, rainy or low-scoring day', () => {
+  const hiking = ranking('hiking', [90, null, 80, 85, 70, 75]);
+  hiking.dailyScores[3].unsafe = true;
+  const slots = findBestSlots([forecast('Here', [hiking], [0, 0, 0, 0, 5, 0])], {
+    activityIds: ['hiking'],
+    maxRainyDays: 0,
+    minDailyScore: 76,
+    limit: 5,
+  });
+  assert.deepEqual(slotsOf(slots), ['Here hiking 2026-10-01 90', 'Here hiking 2026-10-03 80']);
+});
+
+test('findBestSlots only considers the asked activities and stops at the limit', () => {
+  const slots = findBestSlots([
+    forecast('Here', [ranking('hiking', [50, 60, 70]), ranking('museum', [99, 99, 99], { indoor: true })]),
+  ], { activityIds: ['hiking'], limit: 2 });
+  assert.deepEqual(slotsOf(slots), ['Here hiking 2026-10-03 70', 'Here hiking 2026-10-02 60']);
+});
@@ -1,137 +1,607 @@
 /**
  * Weather Service
- * 
- * Handles all interactions with the Open-Meteo API.
- * Separation of Concerns: All external API calls are isolated in this service.
- * This makes it easy to swap out the weather provider or mock for testing.
- * 
- * Open-Meteo API Documentation: https://open-meteo.com/en/docs
+ *
+ * Entry point for all weather data used by the GraphQL resolvers.
+ * Separation of Concerns: The actual data source is a pluggable provider
+ * (see ./providers), selected by the WEATHER_PROVIDER setting. This makes it
+ * easy to swap out the weather provider or run offline from recorded fixtures.
+ *
+ * Lookups are cached (see ./cache): geocoding results for a long time since
+ * places don't move, forecasts (weather and marine) for about an hour since
+ * they update hourly, and archived past weather for a long time since it is final.
  */
 
-const axios = require('axios');
+const config = require('../config');
+const { addDays, today } = require('../dates');
+const { createProvider } = require('./providers');
+const { createStore, createCache } = require('./cache');
+const { CircuitState, CircuitOpenError } = require('./resilience');
+const {
+  AppError,
+  LocationNotFoundError,
+  UpstreamUnavailableError,
+  RateLimitedError,
+} = require('../errors');
+
+// Weather provider selected by configuration (created once at startup)
+const provider = createProvider();
+
+// All caches share one store; their keys are kept apart by namespace
+const cacheStore = createStore();
+const geocodingCache = createCache({
+  namespace: 'geocoding',
+  store: cacheStore,
+  ...config.cache.geocoding,
+});
+const forecastCache = createCache({
+  namespace: 'forecast',
+  store: cacheStore,
+  ...config.cache.forecast,
+});
+const archiveCache = createCache({
+  namespace: 'archive',
+  store: cacheStore,
+  ...config.cache.archive,
+});
+// Climate history is past weather too, so it keeps the archive's lifetimes
+const climateCache = createCache({
+  namespace: 'climate',
+  store: cacheStore,
+  ...config.cache.archive,
+});
+const marineCache = createCache({
+  namespace: 'marine',
+  store: cacheStore,
+  ...config.cache.forecast,
+});
+
+// The forecast API also serves roughly the last 3 months; older ranges come
+// from the archive API
+const FORECAST_PAST_DAYS = 92;
+
+// Degree-day snowpack model for climate history: share of the snowpack
+// lost to settling each day, and cm melted per °C of daily mean temperature
+const SNOW_SETTLING_PER_DAY = 0.02;
+const SNOW_MELT_CM_PER_DEGREE = 1.5;
+
+// Marine fields every day gets; they stay null for inland locations
+const NO_MARINE_DATA = {
+  waveHeight: null,
+  swellPeriod: null,
+  swellDirection: null,
+  seaSurfaceTemp: null,
+};
+
+// Most candidates fetched per location search (Open-Meteo allows up to 100)
+const MAX_CANDIDATES = 10;
+
+/**
+ * Look up a value through a cache and record the outcome
+ *
+ * @param {Object} cache - Cache created by createCache
+ * @param {string} key - Normalized cache key
+ * @param {Function} loader - Fetches the value on a miss
+ * @param {Array<Object>} [cacheLog] - Per-request list that receives { cache, key, status }
+ * @returns {Promise<*>} The cached or freshly loaded value
+ */
+async function cachedLookup(cache, key, loader, cacheLog) {
+  const { value, status } = await cache.getOrLoad(key, loader);
+  if (cacheLog) {
+    cacheLog.push({ cache: cache.namespace, key, status });
+  }
+  return value;
+}
+
+/**
+ * Normalize a location name for use as a cache key
+ * "  New   York " and "new york" share one entry.
+ *
+ * @param {string} location - Location name as typed by the user
+ * @returns {string} Normalized key
+ */
+function locationKey(location) {
+  return location.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Round coordinates for use as a cache key
+ * Two decimals is roughly 1 km, well below the forecast grid resolution.
+ *
+ * @param {number} latitude - Geographic latitude
+ * @param {number} longitude - Geographic longitude
+ * @returns {string} Key such as "51.51,-0.13"
+ */
+function coordinateKey(latitude, longitude) {
+  return `${latitude.toFixed(2)},${longitude.toFixed(2)}`;
+}
+
+/**
+ * Convert a provider failure into a typed application error
+ *
+ * @param {Error} error - Error thrown by the provider or cache
+ * @param {string} operation - What was being fetched, used in the message
+ * @returns {AppError} Error with a client-facing code
+ */
+function toServiceError(error, operation) {
+  if (error instanceof AppError) {
+    return error;
+  }
+  if (error instanceof CircuitOpenError) {
+    return new UpstreamUnavailableError(`${operation} failed: ${error.message}`, {
+      retryAt: new Date(error.retryAt).toISOString(),
+    });
+  }
+  if (error.response && error.response.status === 429) {
+    const retryAfter = Number(error.response.headers && error.response.headers['retry-after']);
+    return new RateLimitedError(`${operation} failed: weather service rate limit reached`, {
+      retryAfterSeconds: retryAfter || undefined,
+    });
+  }
+  return new UpstreamUnavailableError(`${operation} failed: ${error.message}`);
+}
+
+/**
+ * Build the label shown for a location
+ * Includes the region when it adds information: "Paris, Texas, United States".
+ *
+ * @param {Object} candidate - Location candidate from the provider
+ * @returns {string} Display name
+ */
+function formatDisplayName({ name, admin1, country }) {
+  return [name, admin1 !== name ? admin1 : null, country].filter(Boolean).join(', ');
+}
 
 /**
- * Open-Meteo API Base URLs
- * - Geocoding API: Converts location names to coordinates
- * - Forecast API: Provides weather forecast data
+ * Fetch (or read from cache) all candidates matching a location name
+ *
+ * @param {string} location - City or town name
+ * @param {Array<Object>} [cacheLog] - Receives the cache outcome of this lookup
+ * @returns {Promise<Array<Object>>} Candidates ordered by relevance
+ * @throws {LocationNotFoundError} If nothing matched
  */
-const GEOCODING_API = 'https://geocoding-api.open-meteo.com/v1/search';
-const FORECAST_API = 'https://api.open-meteo.com/v1/forecast';
+function findCandidates(location, cacheLog) {
+  return cachedLookup(
+    geocodingCache,
+    locationKey(location),
+    async () => {
+      const candidates = await provider.geocode(location, { count: MAX_CANDIDATES });
+
+      // Check if any results were found
+      // Thrown inside the loader so "not found" is never cached
+      if (candidates.length === 0) {
+        throw new LocationNotFoundError(location);
+      }
+      return candidates;
+    },
+    cacheLog
+  );
+}
 
 /**
  * Convert location name to geographic coordinates
- * 
- * This function uses the Open-Meteo Geocoding API to find the latitude
- * and longitude of a city or town. This is necessary because the weather
- * API requires coordinates, not place names.
- * 
+ *
+ * The weather API requires coordinates, not place names, so every
+ * forecast lookup starts here.
+ *
  * @param {string} location - City or town name
- * @returns {Promise<Object>} Object with latitude, longitude, and display name
- * @throws {Error} If location is not found
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.cacheLog] - Receives the cache outcome of this lookup
+ * @returns {Promise<Object>} Object with the candidate id, latitude,
+ *                            longitude, elevation, display name and timezone
+ * @throws {LocationNotFoundError} If location is not found
+ * @throws {UpstreamUnavailableError|RateLimitedError} If the provider fails
  */
-async function geocodeLocation(location) {
+async function geocodeLocation(location, { cacheLog } = {}) {
   try {
-    // Make request to geocoding API
-    // Parameters:
-    // - name: The location to search for
-    // - count: Maximum number of results to return
-    // - language: Response language
-    // - format: Response format (json)
-    const response = await axios.get(GEOCODING_API, {
-      params: {
-        name: location,
-        count: 1,
-        language: 'en',
-        format: 'json',
-      },
-    });
+    const candidates = await findCandidates(location, cacheLog);
 
-    // Check if any results were found
-    if (!response.data.results || response.data.results.length === 0) {
-      throw new Error(`Location "${location}" not found`);
+    // Extract first result (most relevant match)
+    const result = candidates[0];
+
+    return {
+      id: result.id,
+      latitude: result.latitude,
+      longitude: result.longitude,
+      elevation: result.elevation,
+      displayName: formatDisplayName(result),
+      timezone: result.timezone || await getTimezone(result.latitude, result.longitude, { cacheLog }),
+    };
+  } catch (error) {
+    throw toServiceError(error, 'Geocoding');
+  }
+}
+
+/**
+ * Search for all locations matching a name
+ *
+ * Used to let the user pick between places sharing a name
+ * ("Paris, France" vs "Paris, Texas").
+ *
+ * @param {string} query - City or town name
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of candidates to return
+ * @param {Array<Object>} [options.cacheLog] - Receives the cache outcome of this lookup
+ * @returns {Promise<Array<Object>>} Candidates with displayName, empty if none matched
+ * @throws {UpstreamUnavailableError|RateLimitedError} If the provider fails
+ */
+async function searchLocations(query, { limit = MAX_CANDIDATES, cacheLog } = {}) {
+  try {
+    const candidates = await findCandidates(query, cacheLog);
+    return candidates
+      .slice(0, limit)
+      .map((candidate) => ({ ...candidate, displayName: formatDisplayName(candidate) }));
+  } catch (error) {
+    if (error instanceof LocationNotFoundError) {
+      return [];
     }
+    throw toServiceError(error, 'Location search');
+  }
+}
 
-    // Extract first result (most relevant match)
-    const result = response.data.results[0];
+/**
+ * Resolve a candidate id (from searchLocations) to coordinates
+ *
+ * @param {string} id - Geocoding id of the location
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.cacheLog] - Receives the cache outcome of this lookup
+ * @returns {Promise<Object>} Object with the candidate id, latitude,
+ *                            longitude, elevation, display name and timezone
+ * @throws {LocationNotFoundError} If no location has this id
+ * @throws {UpstreamUnavailableError|RateLimitedError} If the provider fails
+ */
+async function getLocationById(id, { cacheLog } = {}) {
+  try {
+    const result = await cachedLookup(
+      geocodingCache,
+      `id:${id}`,
+      async () => {
+        const candidate = await provider.getLocationById(id);
+        if (!candidate) {
+          throw new LocationNotFoundError(id);
+        }
+        return candidate;
+      },
+      cacheLog
+    );
 
     return {
+      id: result.id,
       latitude: result.latitude,
       longitude: result.longitude,
-      displayName: `${result.name}, ${result.country}`,
+      elevation: result.elevation,
+      displayName: formatDisplayName(result),
+      timezone: result.timezone || await getTimezone(result.latitude, result.longitude, { cacheLog }),
     };
   } catch (error) {
-    // Re-throw with more context if it's our custom error
-    if (error.message.includes('not found')) {
-      throw error;
+    throw toServiceError(error, 'Geocoding');
+  }
+}
+
+/**
+ * Format coordinates for display, e.g. "45.9238°N, 6.8693°E"
+ *
+ * @param {number} latitude - Geographic latitude
+ * @param {number} longitude - Geographic longitude
+ * @returns {string} Human-readable coordinates
+ */
+function formatCoordinates(latitude, longitude) {
+  const lat = `${Math.abs(latitude).toFixed(4)}°${latitude >= 0 ? 'N' : 'S'}`;
+  const lon = `${Math.abs(longitude).toFixed(4)}°${longitude >= 0 ? 'E' : 'W'}`;
+  return `${lat}, ${lon}`;
+}
+
+/**
+ * Find a display name for a pair of coordinates
+ *
+ * Names the nearest place ("Near Chamonix-Mont-Blanc, France") so trailheads
+ * and beaches without a town name still get a readable label. Reverse
+ * geocoding is best-effort: if it finds nothing or fails, the formatted
+ * coordinates are used instead of failing the forecast.
+ *
+ * @param {number} latitude - Geographic latitude
+ * @param {number} longitude - Geographic longitude
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.cacheLog] - Receives the cache outcome of this lookup
+ * @returns {Promise<string>} Display name
+ */
+async function reverseGeocode(latitude, longitude, { cacheLog } = {}) {
+  try {
+    const place = await cachedLookup(
+      geocodingCache,
+      `reverse:${coordinateKey(latitude, longitude)}`,
+      () => provider.reverseGeocode(latitude, longitude),
+      cacheLog
+    );
+    if (place) {
+      return `Near ${formatDisplayName(place)}`;
     }
-    // Otherwise, wrap the API error
-    throw new Error(`Geocoding failed: ${error.message}`);
+  } catch (error) {
+    console.warn(`Reverse geocoding failed for ${latitude}, ${longitude}: ${error.message}`);
   }
+  return formatCoordinates(latitude, longitude);
 }
 
 /**
- * Fetch 7-day weather forecast
- * 
- * This function retrieves detailed weather data from Open-Meteo.
- * It requests specific variables needed for activity ranking.
- * 
- * Open-Meteo API Parameters Explained:
- * - latitude/longitude: Location coordinates
- * - daily: Comma-separated list of weather variables to retrieve
- * - timezone: auto (uses location's timezone for date formatting)
- * - forecast_days: Number of days to forecast (7 days)
- * 
+ * Find the IANA timezone of a pair of coordinates
+ *
+ * Needed before any weather is fetched, so "today" can be the place's own
+ * date. Best-effort like reverse geocoding: if the lookup finds nothing or
+ * fails, UTC is used.
+ *
  * @param {number} latitude - Geographic latitude
  * @param {number} longitude - Geographic longitude
- * @returns {Promise<Array>} Array of daily weather objects
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.cacheLog] - Receives the cache outcome of this lookup
+ * @returns {Promise<string>} Timezone, e.g. "Europe/London"
  */
-async function getWeatherForecast(latitude, longitude) {
+async function getTimezone(latitude, longitude, { cacheLog } = {}) {
   try {
-    // Make request to forecast API
-    // We request multiple weather variables needed for activity scoring:
-    // - temperature_2m_max/min: Daily high and low temperatures (°C)
-    // - precipitation_sum: Total daily precipitation (mm)
-    // - windspeed_10m_max: Maximum wind speed at 10m height (km/h)
-    // - snowfall_sum: Total daily snowfall (cm)
-    // - cloudcover_mean: Average cloud cover percentage (0-100%)
-    const response = await axios.get(FORECAST_API, {
-      params: {
-        latitude,
-        longitude,
-        daily: [
-          'temperature_2m_max',
-          'temperature_2m_min',
-          'precipitation_sum',
-          'windspeed_10m_max',
-          'snowfall_sum',
-          'cloudcover_mean',
-        ].join(','),
-        timezone: 'auto',
-        forecast_days: 7,
-      },
-    });
+    const timezone = await cachedLookup(
+      geocodingCache,
+      `timezone:${coordinateKey(latitude, longitude)}`,
+      () => provider.getTimezone(latitude, longitude),
+      cacheLog
+    );
+    if (timezone) {
+      return timezone;
+    }
+  } catch (error) {
+    console.warn(`Timezone lookup failed for ${latitude}, ${longitude}: ${error.message}`);
+  }
+  return 'UTC';
+}
 
-    // Extract daily data from response
-    const daily = response.data.daily;
-
-    // Transform API response into structured array
-    // Map over dates and create an object for each day
-    return daily.time.map((date, index) => ({
-      date,
-      maxTemp: daily.temperature_2m_max[index],
-      minTemp: daily.temperature_2m_min[index],
-      precipitation: daily.precipitation_sum[index] || 0,
-      windSpeed: daily.windspeed_10m_max[index],
-      snowfall: daily.snowfall_sum[index] || 0,
-      cloudCover: daily.cloudcover_mean[index],
-    }));
+/**
+ * Resolve whichever location reference a query supplied to coordinates
+ *
+ * Exactly one of name, id or coordinates is expected (the GraphQL
+ * validation layer enforces this).
+ *
+ * @param {Object} target
+ * @param {string} [target.location] - Place name, geocoded to its best match
+ * @param {string} [target.locationId] - Candidate id from searchLocations
+ * @param {number} [target.latitude] - Latitude, used together with longitude
+ * @param {number} [target.longitude] - Longitude, used together with latitude
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.cacheLog] - Receives the cache outcomes
+ * @returns {Promise<Object>} Object with the candidate id (null for
+ *                            coordinates), latitude, longitude, elevation
+ *                            (null for coordinates), display name and timezone
+ */
+async function resolveLocation({ location, locationId, latitude, longitude }, { cacheLog } = {}) {
+  if (locationId) {
+    return getLocationById(locationId, { cacheLog });
+  }
+  if (location) {
+    return geocodeLocation(location, { cacheLog });
+  }
+  const [displayName, timezone] = await Promise.all([
+    reverseGeocode(latitude, longitude, { cacheLog }),
+    getTimezone(latitude, longitude, { cacheLog }),
+  ]);
+  return {
+    id: null,
+    latitude,
+    longitude,
+    elevation: null,
+    displayName,
+    timezone,
+  };
+}
+
+/**
+ * Add each day's marine data to the daily weather
+ *
+ * @param {Object} forecast - { daily, hourly } from the provider
+ * @param {Array<Object>|null|undefined} marine - Daily marine data, null
+ *                                              inland, undefined if not fetched
+ * @returns {Object} { daily, hourly, coastal }, coastal only with marine data
+ */
+function mergeMarineData(forecast, marine) {
+  const marineByDate = new Map((marine || []).map(({ date, ...values }) => [date, values]));
+  return {
+    ...forecast,
+    daily: forecast.daily.map((day) => ({
+      ...day,
+      ...NO_MARINE_DATA,
+      ...marineByDate.get(day.date),
+    })),
+    coastal: Boolean(marine),
+  };
+}
+
+/**
+ * Add snowpack context to the daily weather
+ *
+ * - elevation: Altitude of the location (m)
+ * - recentSnowfall: Snowfall over the day and the two before it (cm); the
+ *   first days of the forecast only count the days that are in it
+ * - freezingLevelAboveSite: How far the 0°C level is above the location (m);
+ *   negative when it stays below freezing at the location all day
+ *
+ * @param {Object} forecast - Forecast with daily weather
+ * @param {number} elevation - Altitude of the location (m)
+ * @returns {Object} Forecast with these fields on every day, and its elevation
+ */
+function addSnowpackData(forecast, elevation) {
+  return {
+    ...forecast,
+    elevation,
+    daily: forecast.daily.map((day, index) => ({
+      ...day,
+      elevation,
+      recentSnowfall: Math.round(
+        forecast.daily
+          .slice(Math.max(0, index - 2), index + 1)
+          .reduce((sum, recent) => sum + recent.snowfall, 0) * 10
+      ) / 10,
+      freezingLevelAboveSite: day.freezingLevel === null ? null : day.freezingLevel - elevation,
+    })),
+  };
+}
+
+/**
+ * Fetch the weather for a date range, including marine data near the sea
+ *
+ * Ranges reaching into the last 3 months or the next 16 days come from the
+ * forecast API; older ranges come from the archive of recorded weather,
+ * which has no marine data, so they are never coastal. Marine data is
+ * optional: if it cannot be fetched the place is returned as not coastal.
+ *
+ * @param {number} latitude - Geographic latitude
+ * @param {number} longitude - Geographic longitude
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.cacheLog] - Receives the cache outcome of these lookups
+ * @param {number} [options.elevation] - Altitude of the place (m), e.g. from
+ *                                       geocoding; defaults to the forecast
+ *                                       grid's elevation
+ * @param {string} [options.timezone] - Timezone of the place, which "today" is
+ *                                      taken in (default UTC)
+ * @param {string} [options.startDate] - First day (YYYY-MM-DD), defaults to today
+ * @param {number} [options.days] - Number of days, defaults to 7
+ * @returns {Promise<Object>} { daily, hourly, coastal, elevation, timezone,
+ *                            utcOffsetSeconds }: arrays of daily (with marine
+ *                            and snowpack data) and hourly weather objects,
+ *                            whether the location has sea data, the elevation
+ *                            used, and the timezone the dates are local to
+ * @throws {UpstreamUnavailableError|RateLimitedError} If the provider fails
+ */
+async function getWeatherForecast(
+  latitude,
+  longitude,
+  { cacheLog, elevation, timezone, startDate = today(timezone), days = 7 } = {}
+) {
+  const range = { startDate, endDate: addDays(startDate, days - 1) };
+  const key = `${coordinateKey(latitude, longitude)}:${range.startDate}:${range.endDate}`;
+  const useArchive = range.startDate < addDays(today(timezone), -FORECAST_PAST_DAYS);
+
+  try {
+    const [forecast, marine] = await Promise.all([
+      useArchive
+        ? cachedLookup(archiveCache, key, () => provider.getArchive(latitude, longitude, range), cacheLog)
+        : cachedLookup(forecastCache, key, () => provider.getForecast(latitude, longitude, range), cacheLog),
+      // Sea data is optional: if it cannot be fetched the place is treated
+      // as inland rather than failing the forecast
+      useArchive
+        ? undefined
+        : cachedLookup(marineCache, key, () => provider.getMarineForecast(latitude, longitude, range), cacheLog)
+          .catch((error) => {
+            console.warn(`Marine forecast failed for ${latitude}, ${longitude}: ${error.message}`);
+            return undefined;
+          }),
+    ]);
+    return addSnowpackData(
+      mergeMarineData(forecast, marine),
+      typeof elevation === 'number' ? elevation : forecast.elevation
+    );
+  } catch (error) {
+    throw toServiceError(error, 'Weather forecast');
+  }
+}
+
+/**
+ * Estimate the snow on the ground from snowfall and temperatures
+ *
+ * Climate history has no recorded snow depth, so a simple degree-day model
+ * stands in: snowfall adds to the snowpack, which settles a little every
+ * day and melts in proportion to how far the day's mean temperature is
+ * above 0°C. Good enough to tell snowy months from bare ones.
+ *
+ * @param {Array<Object>} daily - Daily weather in date order
+ * @returns {Array<Object>} The days with an estimated snowDepth (cm)
+ */
+function estimateSnowDepth(daily) {
+  let depth = 0;
+  return daily.map((day) => {
+    const meanTemp = (day.maxTemp + day.minTemp) / 2;
+    depth = Math.max(
+      0,
+      depth * (1 - SNOW_SETTLING_PER_DAY) + day.snowfall - Math.max(0, meanTemp) * SNOW_MELT_CM_PER_DEGREE
+    );
+    return { ...day, snowDepth: Math.round(depth * 10) / 10 };
+  });
+}
+
+/**
+ * Fetch daily past weather for whole calendar years, for climate statistics
+ *
+ * Covers the last `years` complete years (e.g. 2016-2025 in 2026), with
+ * daily marine data near the sea. There is no hourly data, so no sea surface
+ * temperature either, and snow depth is estimated from snowfall (see
+ * estimateSnowDepth). Marine data is optional: if it cannot be fetched the
+ * history is returned without it (coastal false), and it is asked for again
+ * next time.
+ *
+ * @param {number} latitude - Geographic latitude
+ * @param {number} longitude - Geographic longitude
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.cacheLog] - Receives the cache outcome of this lookup
+ * @param {number} [options.elevation] - Altitude of the place (m)
+ * @param {number} [options.years] - Number of years, defaults to 10
+ * @returns {Promise<Object>} { daily, coastal, elevation, startDate, endDate };
+ *                            the dates are the first and last day with data
+ * @throws {UpstreamUnavailableError|RateLimitedError} If the provider fails
+ */
+async function getClimateHistory(latitude, longitude, { cacheLog, elevation, years = 10 } = {}) {
+  const lastYear = Number(today().slice(0, 4)) - 1;
+  const range = { startDate: `${lastYear - years + 1}-01-01`, endDate: `${lastYear}-12-31` };
+  const key = `${coordinateKey(latitude, longitude)}:${range.startDate}:${range.endDate}`;
+
+  try {
+    // Sea data is optional: without it sea activities are simply not possible
+    const [weather, marine] = await Promise.all([
+      cachedLookup(climateCache, key, () => provider.getClimate(latitude, longitude, range), cacheLog),
+      cachedLookup(climateCache, `marine:${key}`, () => provider.getMarineClimate(latitude, longitude, range), cacheLog)
+        .catch(() => undefined),
+    ]);
+    const history = mergeMarineData(weather, marine);
+    const { daily, coastal, elevation: siteElevation } = addSnowpackData(
+      { ...history, daily: estimateSnowDepth(history.daily) },
+      typeof elevation === 'number' ? elevation : history.elevation
+    );
+
+    return {
+      daily,
+      coastal,
+      elevation: siteElevation,
+      startDate: daily[0].date,
+      endDate: daily[daily.length - 1].date,
+    };
   } catch (error) {
-    throw new Error(`Weather forecast failed: ${error.message}`);
+    throw toServiceError(error, 'Climate history');
   }
 }
 
+/**
+ * Report the weather data source's health
+ *
+ * Status is "degraded" while any upstream circuit breaker is not closed;
+ * requests may then be answered from cache or fail fast.
+ *
+ * @returns {Object} { status, provider, circuitBreakers }
+ */
+function getHealth() {
+  const { circuitBreakers = {} } = provider.getHealth ? provider.getHealth() : {};
+  const allClosed = Object.values(circuitBreakers).every(
+    (breaker) => breaker.state === CircuitState.CLOSED
+  );
+
+  return {
+    status: allClosed ? 'ok' : 'degraded',
+    provider: provider.name,
+    circuitBreakers,
+  };
+}
+
 // Export functions for use in GraphQL resolvers
 module.exports = {
+  MAX_CANDIDATES,
   geocodeLocation,
+  searchLocations,
+  getLocationById,
+  reverseGeocode,
+  resolveLocation,
   getWeatherForecast,
-};
\ No newline at end of file
+  getClimateHistory,
+  getHealth,
+};
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { addDays, daysBetween, today } = require('../dates');
+
+// The recorded fixtures, plus Biarritz's forecast recording moved 400 days
+// back as its past weather
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-fixtures-'));
+fs.cpSync(path.join(__dirname, '..', '..', 'fixtures', 'open-meteo'), fixturesDir, { recursive: true });
+const PAST_START = addDays(today(), -400);
+const biarritz = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'forecast', '43.48_-1.56.json'), 'utf8'));
+const shift = daysBetween(biarritz.daily.time[0], PAST_START);
+const moveTime = (time) => `${addDays(time.slice(0, 10), shift)}${time.slice(10)}`;
+['time', 'sunrise', 'sunset'].forEach((field) => {
+  biarritz.daily[field] = biarritz.daily[field].map(moveTime);
+});
+biarritz.hourly.time = biarritz.hourly.time.map(moveTime);
+fs.writeFileSync(path.join(fixturesDir, 'archive', '43.48_-1.56.json'), JSON.stringify(biarritz));
+// ...and an unreadable marine recording for London, so its marine lookups fail
+fs.writeFileSync(path.join(fixturesDir, 'marine', '51.51_-0.13.json'), 'not json');
+test.after(() => fs.rmSync(fixturesDir, { recursive: true }));
+
+process.env.WEATHER_PROVIDER = 'fixture';
+process.env.WEATHER_FIXTURES_DIR = fixturesDir;
+const weatherService = require('./weatherService');
+
+const BIARRITZ = [43.48, -1.56];
+
+test('upcoming days near the sea get marine data', async () => {
+  const cacheLog = [];
+  const weather = await weatherService.getWeatherForecast(...BIARRITZ, { startDate: today(), days: 3, cacheLog });
+  assert.equal(weather.coastal, true);
+  assert.ok(weather.daily.every((day) => day.waveHeight !== null));
+  assert.ok(cacheLog.some((lookup) => lookup.cache === 'marine'));
+});
+
+test('archived past days skip the marine lookup', async () => {
+  const cacheLog = [];
+  const weather = await weatherService.getWeatherForecast(...BIARRITZ, {
+    startDate: PAST_START,
+    days: 3,
+    cacheLog,
+  });
+  assert.equal(weather.coastal, false);
+  assert.equal(weather.daily.length, 3);
+  assert.ok(weather.daily.every((day) => day.waveHeight === null));
+  assert.deepEqual(cacheLog.map((lookup) => lookup.cache), ['archive']);
+});
+
+test('the forecast is returned without sea data when the marine lookup fails', async () => {
+  const weather = await weatherService.getWeatherForecast(51.51, -0.13, { startDate: today(), days: 3 });
+  assert.equal(weather.coastal, false);
+  assert.equal(weather.daily.length, 3);
+  assert.ok(weather.daily.every((day) => day.maxTemp !== null && day.waveHeight === null));
+});
+
+test('climate history is returned without sea data when the marine lookup fails', async () => {
+  const history = await weatherService.getClimateHistory(51.51, -0.13, { years: 30 });
+  assert.equal(history.coastal, false);
+  assert.ok(history.daily.length > 365);
+  assert.ok(history.daily.every((day) => day.waveHeight === null && day.seaSurfaceTemp === null));
+});
+
+test('the name of a pair of coordinates is looked up once and then cached', async () => {
+  const lookups = async () => {
+    const cacheLog = [];
+    const place = await weatherService.resolveLocation({ latitude: 45.93, longitude: 6.88 }, { cacheLog });
+    return { place, reverse: cacheLog.find((lookup) => lookup.key.startsWith('reverse:')) };
+  };
+  const first = await lookups();
+  assert.match(first.place.displayName, /^Near Chamonix/);
+  assert.deepEqual(first.reverse, { cache: 'geocoding', key: 'reverse:45.93,6.88', status: 'MISS' });
+  const second = await lookups();
+  assert.equal(second.place.displayName, first.place.displayName);
+  assert.equal(second.reverse.status, 'HIT');
+});
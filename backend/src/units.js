@@ -0,0 +1,140 @@
+/**
+ * Unit Conversion
+ *
+ * Weather is fetched, stored and scored in metric units; activity rules
+ * and profiles are written in them too. Only responses are converted, so a
+ * forecast asked for in imperial units scores exactly like a metric one.
+ *
+ * Each weather field measures a quantity (temperature, precipitation, ...),
+ * and each quantity has one unit per unit system.
+ */
+
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+/**
+ * Units per quantity, and how to convert a metric value to imperial
+ */
+const QUANTITIES = {
+  temperature: { metric: '°C', imperial: '°F', toImperial: (celsius) => celsius * 9 / 5 + 32 },
+  precipitation: { metric: 'mm', imperial: 'in', toImperial: (mm) => mm / 25.4 },
+  snow: { metric: 'cm', imperial: 'in', toImperial: (cm) => cm / 2.54 },
+  speed: { metric: 'km/h', imperial: 'mph', toImperial: (kmh) => kmh / 1.609344 },
+  height: { metric: 'm', imperial: 'ft', toImperial: (metres) => metres * 3.28084 },
+  percentage: { metric: '%', imperial: '%' },
+  angle: { metric: '°', imperial: '°' },
+  duration: { metric: 'h', imperial: 'h' },
+  period: { metric: 's', imperial: 's' },
+  index: { metric: '', imperial: '' },
+};
+
+/**
+ * Quantity measured by each numeric weather field (DailyWeather,
+ * HourlyWeather and elevation)
+ */
+const FIELD_QUANTITIES = {
+  maxTemp: 'temperature',
+  minTemp: 'temperature',
+  apparentMaxTemp: 'temperature',
+  apparentMinTemp: 'temperature',
+  seaSurfaceTemp: 'temperature',
+  temperature: 'temperature',
+  precipitation: 'precipitation',
+  snowfall: 'snow',
+  snowDepth: 'snow',
+  recentSnowfall: 'snow',
+  windSpeed: 'speed',
+  windGusts: 'speed',
+  waveHeight: 'height',
+  freezingLevel: 'height',
+  freezingLevelAboveSite: 'height',
+  elevation: 'height',
+  cloudCover: 'percentage',
+  precipitationProbability: 'percentage',
+  windDirection: 'angle',
+  swellDirection: 'angle',
+  sunshineHours: 'duration',
+  daylightHours: 'duration',
+  swellPeriod: 'period',
+  uvIndex: 'index',
+};
+
+// Converted values keep this many decimals (enough for inches of rain)
+const DECIMALS = 2;
+
+/**
+ * Unit of a weather field
+ *
+ * @param {string} field - Weather field, e.g. "windSpeed"
+ * @param {string} system - 'metric' or 'imperial'
+ * @returns {string} e.g. "mph"
+ */
+function unitOf(field, system) {
+  return QUANTITIES[FIELD_QUANTITIES[field]][system];
+}
+
+/**
+ * Convert a metric value of a weather field to a unit system
+ *
+ * @param {string} field - Weather field, e.g. "maxTemp"
+ * @param {number|null} value - Metric value (null when there is no data)
+ * @param {string} system - 'metric' or 'imperial'
+ * @returns {number|null} Converted value
+ */
+function convertValue(field, value, system) {
+  const { toImperial } = QUANTITIES[FIELD_QUANTITIES[field]] || {};
+  if (value === null || value === undefined || system === 'metric' || !toImperial) {
+    return value;
+  }
+  const factor = 10 ** DECIMALS;
+  return Math.round(toImperial(value) * factor) / factor;
+}
+
+/**
+ * Convert every numeric weather field of a record
+ *
+ * @param {Object} record - Daily or hourly weather object in metric units
+ * @param {string} system - 'metric' or 'imperial'
+ * @returns {Object} Copy with converted values (other fields unchanged)
+ */
+function convertRecord(record, system) {
+  if (system === 'metric') {
+    return record;
+  }
+  return Object.fromEntries(Object.entries(record).map(([field, value]) => [
+    field,
+    FIELD_QUANTITIES[field] ? convertValue(field, value, system) : value,
+  ]));
+}
+
+/**
+ * Unit of every weather field, for clients to label values with
+ *
+ * @param {string} system - 'metric' or 'imperial'
+ * @returns {Array<Object>} [{ field, unit }]
+ */
+function getFieldUnits(system) {
+  return Object.keys(FIELD_QUANTITIES).map((field) => ({ field, unit: unitOf(field, system) }));
+}
+
+/**
+ * Format a weather value with its unit, e.g. "12 mph" or "18.5°C"
+ *
+ * @param {string} field - Weather field
+ * @param {number} value - Metric value
+ * @param {string} system - 'metric' or 'imperial'
+ * @returns {string} Value rounded to one decimal, with its unit
+ */
+function formatMeasurement(field, value, system) {
+  const unit = unitOf(field, system);
+  const rounded = Math.round(convertValue(field, value, system) * 10) / 10;
+  const separator = unit === '' || unit.startsWith('°') || unit === '%' ? '' : ' ';
+  return `${rounded}${separator}${unit}`;
+}
+
+module.exports = {
+  UNIT_SYSTEMS,
+  convertValue,
+  convertRecord,
+  getFieldUnits,
+  formatMeasurement,
+};
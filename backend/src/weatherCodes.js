@@ -0,0 +1,58 @@
+/**
+ * Weather Codes
+ *
+ * Open-Meteo sums a day up as the most severe WMO weather code forecast
+ * for it (0 = clear sky ... 99 = thunderstorm with heavy hail). There are
+ * almost 30 of them, so they are grouped into a handful of conditions a
+ * client can pick an icon for, each code keeping its own description.
+ */
+
+/**
+ * Condition and description of each WMO code Open-Meteo reports
+ */
+const WEATHER_CODES = {
+  0: { condition: 'SUNNY', description: 'Clear sky' },
+  1: { condition: 'SUNNY', description: 'Mainly clear' },
+  2: { condition: 'PARTLY_CLOUDY', description: 'Partly cloudy' },
+  3: { condition: 'CLOUDY', description: 'Overcast' },
+  45: { condition: 'FOG', description: 'Fog' },
+  48: { condition: 'FOG', description: 'Freezing fog' },
+  51: { condition: 'DRIZZLE', description: 'Light drizzle' },
+  53: { condition: 'DRIZZLE', description: 'Drizzle' },
+  55: { condition: 'DRIZZLE', description: 'Dense drizzle' },
+  56: { condition: 'FREEZING_RAIN', description: 'Light freezing drizzle' },
+  57: { condition: 'FREEZING_RAIN', description: 'Freezing drizzle' },
+  61: { condition: 'RAIN', description: 'Light rain' },
+  63: { condition: 'RAIN', description: 'Rain' },
+  65: { condition: 'RAIN', description: 'Heavy rain' },
+  66: { condition: 'FREEZING_RAIN', description: 'Light freezing rain' },
+  67: { condition: 'FREEZING_RAIN', description: 'Heavy freezing rain' },
+  71: { condition: 'SNOW', description: 'Light snow' },
+  73: { condition: 'SNOW', description: 'Snow' },
+  75: { condition: 'SNOW', description: 'Heavy snow' },
+  77: { condition: 'SNOW', description: 'Snow grains' },
+  80: { condition: 'SHOWERS', description: 'Light showers' },
+  81: { condition: 'SHOWERS', description: 'Showers' },
+  82: { condition: 'SHOWERS', description: 'Violent showers' },
+  85: { condition: 'SNOW', description: 'Light snow showers' },
+  86: { condition: 'SNOW', description: 'Heavy snow showers' },
+  95: { condition: 'THUNDERSTORM', description: 'Thunderstorm' },
+  96: { condition: 'THUNDERSTORM', description: 'Thunderstorm with hail' },
+  99: { condition: 'THUNDERSTORM', description: 'Thunderstorm with heavy hail' },
+};
+
+/**
+ * Describe a day's weather code
+ *
+ * @param {number|null} code - WMO weather code (null when not recorded)
+ * @returns {Object|null} { condition, description }, e.g. { condition:
+ *                        'SHOWERS', description: 'Light showers' }, or null
+ *                        for a missing or unknown code
+ */
+function describeWeatherCode(code) {
+  return WEATHER_CODES[code] || null;
+}
+
+module.exports = {
+  describeWeatherCode,
+};
@@ -1,10 +1,128 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
+import { useQuery } from '@apollo/client';
 import './App.css';
 import SearchBar from './components/SearchBar';
+import LocationPicker from './components/LocationPicker';
+import DateRangePicker from './components/DateRangePicker';
 import ActivityDashboard from './components/ActivityDashboard';
+import ClimateHeatmap from './components/ClimateHeatmap';
+import CompareView from './components/CompareView';
+import BestDayPanel from './components/BestDayPanel';
+import ItineraryPlanner from './components/ItineraryPlanner';
+import ProfileSettings from './components/ProfileSettings';
+import DisplaySettings from './components/DisplaySettings';
+import FavoriteButton from './components/FavoriteButton';
+import MyPlaces from './components/MyPlaces';
+import { useSettings } from './SettingsContext';
+import { GET_PROFILES } from './graphql/queries';
+
+// Views offered by the tabs under the header
+const VIEWS = [
+  { id: 'forecast', label: 'Forecast' },
+  { id: 'itinerary', label: 'Trip plan' },
+  { id: 'climate', label: 'Best month' },
+  { id: 'compare', label: 'Compare places' },
+  { id: 'best-day', label: 'Best day' },
+  { id: 'places', label: 'My places' },
+  { id: 'preferences', label: 'Preferences' },
+];
+
+// Views about the searched location, and views that take their own list of places
+const SINGLE_PLACE_VIEWS = ['forecast', 'itinerary', 'climate'];
+const MULTI_PLACE_VIEWS = ['compare', 'best-day', 'places'];
+
+// localStorage keys remembering the scoring profile in use and the last place viewed
+const ACTIVE_PROFILE_KEY = 'weather-planner:active-profile';
+const LOCATION_KEY = 'weather-planner:location';
+
+function loadActiveProfile() {
+  try {
+    return localStorage.getItem(ACTIVE_PROFILE_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+function loadLocation() {
+  try {
+    return JSON.parse(localStorage.getItem(LOCATION_KEY));
+  } catch (error) {
+    return null;
+  }
+}
 
 function App() {
-  const [location, setLocation] = useState('');
+  // query: name typed by the user; location: the candidate chosen for it,
+  // or { latitude, longitude } when searching by coordinates
+  const [query, setQuery] = useState('');
+  const [location, setStoredLocation] = useState(loadLocation);
+  // Days the forecast covers; an empty startDate means today
+  const [range, setRange] = useState({ startDate: '', days: 7 });
+  // 'forecast' for the coming days, 'itinerary' for a day-by-day plan,
+  // 'climate' for the best month to visit, 'compare' for several places
+  // side by side, 'best-day' for the best place and days for an activity,
+  // 'places' for the favorite places, 'preferences' for display settings
+  // and scoring profiles
+  const [view, setView] = useState('forecast');
+  // Scoring profile applied to the forecast (null for standard scoring)
+  const [activeProfileId, setActiveProfileId] = useState(loadActiveProfile);
+  const { units } = useSettings();
+  const { data: profilesData } = useQuery(GET_PROFILES);
+
+  const handleActivateProfile = (profileId) => {
+    setActiveProfileId(profileId);
+    try {
+      if (profileId) {
+        localStorage.setItem(ACTIVE_PROFILE_KEY, profileId);
+      } else {
+        localStorage.removeItem(ACTIVE_PROFILE_KEY);
+      }
+    } catch (error) {
+      // Storage disabled - the choice just won't persist
+    }
+  };
+
+  // A remembered profile may have been deleted (from another tab, or on the
+  // server): forget it rather than have every forecast query rejected
+  const profileDeleted = Boolean(profilesData && activeProfileId
+    && !profilesData.profiles.some((profile) => profile.id === activeProfileId));
+  const profileId = profileDeleted ? null : activeProfileId;
+  useEffect(() => {
+    if (profileDeleted) {
+      handleActivateProfile(null);
+    }
+  });
+
+  // The place viewed is remembered across reloads
+  const setLocation = (selected) => {
+    setStoredLocation(selected);
+    try {
+      if (selected) {
+        localStorage.setItem(LOCATION_KEY, JSON.stringify(selected));
+      } else {
+        localStorage.removeItem(LOCATION_KEY);
+      }
+    } catch (error) {
+      // Storage disabled - the place just won't persist
+    }
+  };
+
+  const handleSearch = (newQuery) => {
+    setQuery(newQuery);
+    setLocation(null);
+  };
+
+  // A suggestion, recent search or coordinates skip the location picker
+  const handleSelectLocation = (selected) => {
+    setQuery('');
+    setLocation(selected);
+  };
+
+  // A favorite opened from "My places" is shown in the forecast
+  const handleOpenFavorite = (selected) => {
+    handleSelectLocation(selected);
+    setView('forecast');
+  };
 
   return (
     <div className="App">
@@ -14,8 +132,68 @@ function App() {
       </header>
 
       <main className="App-main">
-        <SearchBar onSearch={setLocation} />
-        {location && <ActivityDashboard location={location} />}
+        <div className="view-tabs" role="tablist">
+          {VIEWS.map(({ id, label }) => (
+            <button
+              key={id}
+              type="button"
+              role="tab"
+              aria-selected={view === id}
+              className={`view-tab ${view === id ? 'active' : ''}`}
+              onClick={() => setView(id)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {MULTI_PLACE_VIEWS.includes(view) && (
+          <>
+            <DateRangePicker range={range} onChange={setRange} />
+            {view === 'compare' && (
+              <CompareView range={range} initialLocation={location && location.name} />
+            )}
+            {view === 'best-day' && (
+              <BestDayPanel range={range} initialLocation={location && location.name} />
+            )}
+            {view === 'places' && (
+              <MyPlaces range={range} profileId={profileId} onOpen={handleOpenFavorite} />
+            )}
+          </>
+        )}
+        {SINGLE_PLACE_VIEWS.includes(view) && (
+          <>
+            <SearchBar onSearch={handleSearch} onSelectLocation={handleSelectLocation} />
+            {query && (
+              <LocationPicker
+                query={query}
+                selectedId={location && location.id}
+                onSelect={setLocation}
+              />
+            )}
+          </>
+        )}
+        {location && view === 'forecast' && (
+          <>
+            <DateRangePicker range={range} onChange={setRange} timeZone={location.timezone} />
+            <FavoriteButton location={location} />
+            <ActivityDashboard location={location} range={range} profileId={profileId} />
+          </>
+        )}
+        {location && view === 'itinerary' && (
+          <>
+            <DateRangePicker range={range} onChange={setRange} timeZone={location.timezone} />
+            <ItineraryPlanner location={location} range={range} />
+          </>
+        )}
+        {location && view === 'climate' && <ClimateHeatmap location={location} />}
+        {view === 'preferences' && (
+          <>
+            <DisplaySettings />
+            {/* The profile editor works in the chosen units; reopen it when they change */}
+            <ProfileSettings key={units} activeProfileId={profileId} onActivate={handleActivateProfile} />
+          </>
+        )}
       </main>
 
       <footer className="App-footer">
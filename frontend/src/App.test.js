@@ -1,8 +1,22 @@
 import { render, screen } from '@testing-library/react';
+import { MockedProvider } from '@apollo/client/testing';
 import App from './App';
+import { SettingsProvider } from './SettingsContext';
+import { GET_PROFILES } from './graphql/queries';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// Queries the app makes before a place is searched for
+const mocks = [
+  { request: { query: GET_PROFILES }, result: { data: { profiles: [] } } },
+];
+
+test('renders the header and the view tabs', () => {
+  render(
+    <MockedProvider mocks={mocks}>
+      <SettingsProvider>
+        <App />
+      </SettingsProvider>
+    </MockedProvider>
+  );
+  expect(screen.getByRole('heading', { name: /weather activity planner/i })).toBeInTheDocument();
+  expect(screen.getByRole('tab', { name: 'Forecast' })).toBeInTheDocument();
 });
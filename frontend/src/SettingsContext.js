@@ -0,0 +1,77 @@
+/**
+ * Display Settings
+ *
+ * The unit system and locale every component formats values with, chosen
+ * in the Preferences tab and remembered in localStorage. Components read
+ * them with useSettings().
+ */
+
+import React, { createContext, useContext, useState } from 'react';
+
+// localStorage key holding { units, locale }
+const SETTINGS_KEY = 'weather-planner:display-settings';
+
+// Locales offered besides the browser's own ('' = browser default)
+export const LOCALES = [
+  { id: '', label: 'Browser default' },
+  { id: 'en-US', label: 'English (US)' },
+  { id: 'en-GB', label: 'English (UK)' },
+  { id: 'de-DE', label: 'Deutsch' },
+  { id: 'fr-FR', label: 'Français' },
+  { id: 'es-ES', label: 'Español' },
+  { id: 'it-IT', label: 'Italiano' },
+  { id: 'ja-JP', label: '日本語' },
+];
+
+export const UNIT_SYSTEMS = [
+  { id: 'metric', label: 'Metric (°C, mm, km/h)' },
+  { id: 'imperial', label: 'Imperial (°F, in, mph)' },
+];
+
+const DEFAULT_SETTINGS = { units: 'metric', locale: '' };
+
+function loadSettings() {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch (error) {
+    return DEFAULT_SETTINGS;
+  }
+}
+
+const SettingsContext = createContext({ ...DEFAULT_SETTINGS, updateSettings: () => {} });
+
+/**
+ * Provides the display settings to the components below it
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children
+ */
+export function SettingsProvider({ children }) {
+  const [settings, setSettings] = useState(loadSettings);
+
+  const updateSettings = (changes) => {
+    const updated = { ...settings, ...changes };
+    setSettings(updated);
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(updated));
+    } catch (error) {
+      // Storage disabled - settings just won't persist
+    }
+  };
+
+  return (
+    <SettingsContext.Provider value={{ ...settings, updateSettings }}>
+      {children}
+    </SettingsContext.Provider>
+  );
+}
+
+/**
+ * @returns {Object} { units, locale, updateSettings }: units is 'metric' or
+ *                   'imperial'; locale is a BCP 47 tag, or undefined for the
+ *                   browser's own
+ */
+export function useSettings() {
+  const { locale, ...rest } = useContext(SettingsContext);
+  return { ...rest, locale: locale || undefined };
+}
@@ -8,10 +8,12 @@
  * Features:
  * - Visual score representation
  * - Daily score chart
+ * - Time-of-day strip with the best window for each day
+ * - Warning badges on days with weather alerts
  * - Recommendation text
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import { 
   LineChart, 
   Line, 
@@ -21,72 +23,106 @@ import {
   Tooltip, 
   ResponsiveContainer 
 } from 'recharts';
+import { getActivityIcon, getScoreColor } from '../utils/activityDisplay';
+import { formatDate, formatNumber, formatTime } from '../utils/formatting';
+import { useSettings } from '../SettingsContext';
 import './ActivityCard.css';
 
 /**
- * Get emoji icon for activity
- * Visual representation to make UI more engaging
+ * Format a score contribution with its sign
+ * Uses a true minus sign so penalties line up with bonuses
  * 
- * @param {string} activity - Activity name
- * @returns {string} Emoji character
+ * @param {number} points - Points added (negative for penalties)
+ * @param {string} [locale] - BCP 47 locale
+ * @returns {string} e.g. "+25", "−15", "+2.5" ("+2,5" in de-DE)
  */
-function getActivityIcon(activity) {
-  const icons = {
-    'Skiing': '⛷️',
-    'Surfing': '🏄',
-    'Outdoor Sightseeing': '🏞️',
-    'Indoor Sightseeing': '🏛️',
-  };
-  return icons[activity] || '🎯';
+function formatPoints(points, locale) {
+  const magnitude = formatNumber(Math.abs(points), locale);
+  return points < 0 ? `−${magnitude}` : `+${magnitude}`;
 }
 
 /**
- * Get color based on score
- * Visual feedback for score quality
+ * Time-of-day strip: one cell per daytime hour, colored by score,
+ * with the hours of the best window highlighted
  * 
- * @param {number} score - Score from 0-100
- * @returns {string} CSS color value
+ * @param {Object} props
+ * @param {Array<Object>} props.hourlyScores - [{ time, score }] for the day
+ * @param {Object|null} props.bestWindow - { start, end, averageScore }
+ * @param {string} props.timeZone - IANA timezone of the place
  */
-function getScoreColor(score) {
-  if (score >= 80) return '#10b981'; // Green - Excellent
-  if (score >= 60) return '#3b82f6'; // Blue - Good
-  if (score >= 40) return '#f59e0b'; // Orange - Fair
-  if (score >= 20) return '#ef4444'; // Red - Poor
-  return '#6b7280'; // Gray - Very Poor
-}
+function TimeOfDayStrip({ hourlyScores, bestWindow, timeZone }) {
+  const { locale } = useSettings();
+  if (hourlyScores.length === 0) {
+    return null;
+  }
 
-/**
- * Format date for display
- * Converts ISO date string to readable format
- * 
- * @param {string} dateString - ISO date string (YYYY-MM-DD)
- * @returns {string} Formatted date (e.g., "Mon 10/20")
- */
-function formatDate(dateString) {
-  const date = new Date(dateString);
-  const dayOfWeek = date.toLocaleDateString('en-US', { weekday: 'short' });
-  const monthDay = date.toLocaleDateString('en-US', { month: 'numeric', day: 'numeric' });
-  return `${dayOfWeek} ${monthDay}`;
+  // Times share one format, so string comparison orders them
+  const inWindow = (time) => bestWindow && time >= bestWindow.start && time < bestWindow.end;
+
+  return (
+    <div className="time-strip">
+      <div className="time-strip-cells">
+        {hourlyScores.map((hour) => (
+          <span
+            key={hour.time}
+            className={`time-strip-cell ${inWindow(hour.time) ? 'in-window' : ''}`}
+            style={{ backgroundColor: getScoreColor(hour.score) }}
+            title={`${formatTime(hour.time, locale, timeZone)}: ${hour.score}`}
+          />
+        ))}
+      </div>
+      <span className="time-strip-label">
+        {bestWindow
+          ? `Best ${formatTime(bestWindow.start, locale, timeZone)}–${formatTime(bestWindow.end, locale, timeZone)}`
+          : 'No good time'}
+      </span>
+    </div>
+  );
 }
 
 /**
  * @param {Object} props
  * @param {Object} props.ranking - Activity ranking data
+ * @param {string} props.timeZone - IANA timezone of the place, which dates and times are local to
  */
-function ActivityCard({ ranking }) {
+function ActivityCard({ ranking, timeZone }) {
+  const { locale } = useSettings();
+  // Date whose score breakdown is open (one at a time)
+  const [expandedDate, setExpandedDate] = useState(null);
+
+  const toggleDay = (date) => {
+    setExpandedDate((current) => (current === date ? null : date));
+  };
+
   /**
    * Prepare chart data
    * Transform daily scores into format required by Recharts library
    */
   const chartData = ranking.dailyScores.map((day) => ({
-    date: formatDate(day.date),
+    date: formatDate(day.date, locale, timeZone),
     score: day.score,
     fullDate: day.date, // Keep for tooltip
   }));
 
   // Determine card styling based on average score
   const scoreColor = getScoreColor(ranking.averageScore);
-  const activityIcon = getActivityIcon(ranking.activity);
+  const activityIcon = getActivityIcon(ranking);
+
+  // Activity impossible at this location (e.g. surfing inland): no scores to show
+  if (!ranking.applicable) {
+    return (
+      <div className="activity-card not-applicable">
+        <div className="card-header">
+          <div className="activity-title">
+            <span className="activity-icon">{activityIcon}</span>
+            <h4>{ranking.activity}</h4>
+          </div>
+          <div className="score-badge">N/A</div>
+        </div>
+        <p className="recommendation">{ranking.recommendation}</p>
+      </div>
+    );
+  }
 
   return (
     <div className="activity-card">
@@ -111,7 +147,7 @@ function ActivityCard({ ranking }) {
 
       {/* Daily Scores Chart */}
       <div className="chart-container">
-        <h5>7-Day Trend</h5>
+        <h5>{ranking.dailyScores.length}-Day Trend</h5>
         
         {/* 
           ResponsiveContainer: Makes chart responsive to parent container size
@@ -137,6 +173,7 @@ function ActivityCard({ ranking }) {
             <YAxis 
               domain={[0, 100]} 
               tick={{ fontSize: 12 }}
+              tickFormatter={(value) => formatNumber(value, locale)}
               stroke="#6b7280"
             />
             
@@ -147,7 +184,7 @@ function ActivityCard({ ranking }) {
                 border: '1px solid #e5e7eb',
                 borderRadius: '8px'
               }}
-              formatter={(value) => [`${value}/100`, 'Score']}
+              formatter={(value) => [`${formatNumber(value, locale)}/100`, 'Score']}
             />
             
             {/* Data line with dynamic color */}
@@ -168,24 +205,65 @@ function ActivityCard({ ranking }) {
         <h5>Daily Conditions</h5>
         <div className="daily-list">
           {ranking.dailyScores.map((day) => (
-            <div key={day.date} className="daily-item">
-              <span className="daily-date">{formatDate(day.date)}</span>
-              <div className="daily-score-bar">
-                {/* Visual bar representation of score */}
-                <div 
-                  className="score-fill" 
-                  style={{ 
-                    width: `${day.score}%`,
-                    backgroundColor: getScoreColor(day.score)
-                  }}
-                />
-              </div>
-              <span 
-                className="daily-conditions"
-                style={{ color: getScoreColor(day.score) }}
+            <div key={day.date} className="daily-entry">
+              {/* Click a day to see which weather factors produced its score */}
+              <button
+                type="button"
+                className="daily-item"
+                onClick={() => toggleDay(day.date)}
+                aria-expanded={expandedDate === day.date}
+                aria-controls={`factors-${ranking.activityId}-${day.date}`}
               >
-                {day.conditions}
-              </span>
+                <span className="daily-date">{formatDate(day.date, locale, timeZone)}</span>
+                <div className="daily-score-bar">
+                  {/* Visual bar representation of score */}
+                  <div 
+                    className="score-fill" 
+                    style={{ 
+                      width: `${day.score}%`,
+                      backgroundColor: getScoreColor(day.score)
+                    }}
+                  />
+                </div>
+                <span 
+                  className="daily-conditions"
+                  style={{ color: getScoreColor(day.score) }}
+                >
+                  {day.alerts.length > 0 && (
+                    <span
+                      className="alert-badge"
+                      title={day.alerts.map((alert) => alert.message).join(', ')}
+                      aria-label={day.unsafe ? 'Unsafe' : 'Weather warning'}
+                    >
+                      {day.unsafe ? '⛔' : '⚠️'}
+                    </span>
+                  )}
+                  {day.conditions}
+                </span>
+              </button>
+
+              <TimeOfDayStrip hourlyScores={day.hourlyScores} bestWindow={day.bestWindow} timeZone={timeZone} />
+
+              {/* Score Breakdown */}
+              {expandedDate === day.date && (
+                <ul
+                  id={`factors-${ranking.activityId}-${day.date}`}
+                  className="factor-list"
+                >
+                  {day.factors.map((factor, index) => (
+                    <li key={index} className="factor">
+                      <span>{factor.label}</span>
+                      <span className={factor.points < 0 ? 'factor-penalty' : 'factor-bonus'}>
+                        {formatPoints(factor.points, locale)}
+                      </span>
+                    </li>
+                  ))}
+                  <li className="factor factor-total">
+                    <span>Score</span>
+                    <span>{day.score}</span>
+                  </li>
+                </ul>
+              )}
             </div>
           ))}
         </div>
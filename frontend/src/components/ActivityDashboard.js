@@ -3,40 +3,63 @@ import { useQuery, gql } from '@apollo/client';
 import './ActivityDashboard.css';
 import ActivityCard from './ActivityCard';
 import WeatherSummary from './WeatherSummary';
+import ForecastStrip from './ForecastStrip';
+import QueryError from './QueryError';
+import { ACTIVITY_FORECAST_FIELDS } from '../graphql/queries';
+import { formatMeasure, formatNumber, formatUtcOffset } from '../utils/formatting';
+import { unitsByField } from '../utils/units';
+import { useSettings } from '../SettingsContext';
 
 // GraphQL query to fetch weather data and rankings
 const GET_ACTIVITY_FORECAST = gql`
-  query GetActivityForecast($location: String!) {
-    getActivityForecast(location: $location) {
-      location
-      latitude
-      longitude
-      dailyWeather {
-        date
-        maxTemp
-        minTemp
-        precipitation
-        windSpeed
-        snowfall
-        cloudCover
-      }
-      rankings {
-        activity
-        averageScore
-        dailyScores {
-          date
-          score
-          conditions
-        }
-        recommendation
-      }
+  ${ACTIVITY_FORECAST_FIELDS}
+  query GetActivityForecast(
+    $locationId: ID
+    $latitude: Float
+    $longitude: Float
+    $startDate: LocalDate
+    $days: Int
+    $units: UnitSystem
+    $profileId: ID
+  ) {
+    getActivityForecast(
+      locationId: $locationId
+      latitude: $latitude
+      longitude: $longitude
+      startDate: $startDate
+      days: $days
+      units: $units
+      profileId: $profileId
+    ) {
+      ...ActivityForecastFields
     }
   }
 `;
 
-function ActivityDashboard({ location }) {
+/**
+ * @param {Object} props
+ * @param {Object} props.location - Location candidate chosen in the LocationPicker,
+ *                                  or { latitude, longitude }
+ * @param {Object} props.range - { startDate, days } from the DateRangePicker
+ * @param {string} [props.profileId] - Scoring profile to personalize the scores with
+ */
+function ActivityDashboard({ location, range, profileId }) {
+  const { units, locale } = useSettings();
+
+  // Candidates are looked up by id; plain coordinates are sent as-is.
+  // Without a startDate the backend starts from today.
+  const variables = {
+    ...(location.id
+      ? { locationId: location.id }
+      : { latitude: location.latitude, longitude: location.longitude }),
+    startDate: range.startDate || undefined,
+    days: range.days,
+    units: units.toUpperCase(),
+    profileId: profileId || undefined,
+  };
+
   const { loading, error, data } = useQuery(GET_ACTIVITY_FORECAST, {
-    variables: { location }
+    variables
   });
 
   if (loading) {
@@ -53,36 +76,49 @@ function ActivityDashboard({ location }) {
   if (error) {
     return (
       <div className="dashboard-container">
-        <div className="error">
-          <h2>Error</h2>
-          <p>{error.message}</p>
-        </div>
+        <QueryError error={error} />
       </div>
     );
   }
 
   const forecast = data.getActivityForecast;
+  const fieldUnits = unitsByField(forecast.units);
 
   return (
     <div className="dashboard-container">
       <div className="dashboard-header">
         <h2>{forecast.location}</h2>
         <p className="coordinates">
-          {forecast.latitude.toFixed(2)}°, {forecast.longitude.toFixed(2)}°
+          {formatNumber(forecast.latitude, locale, 2)}°, {formatNumber(forecast.longitude, locale, 2)}°
+          {' · '}{formatMeasure(forecast.elevation, fieldUnits.elevation, locale, 0)}
+          {' · '}times in {forecast.timezone} ({formatUtcOffset(forecast.utcOffsetSeconds)})
         </p>
       </div>
 
-      <WeatherSummary weatherData={forecast.dailyWeather} />
+      <ForecastStrip
+        weatherData={forecast.dailyWeather}
+        units={fieldUnits}
+        timeZone={forecast.timezone}
+      />
+
+      <WeatherSummary
+        weatherData={forecast.dailyWeather}
+        units={fieldUnits}
+        unitSystem={forecast.unitSystem.toLowerCase()}
+        timeZone={forecast.timezone}
+      />
 
       <div className="rankings-section">
         <h3>Activities</h3>
         <div className="activity-grid">
-          {forecast.rankings
-            .sort((a, b) => b.averageScore - a.averageScore)
+          {/* Best first; activities impossible here (e.g. surfing inland) go last */}
+          {[...forecast.rankings]
+            .sort((a, b) => (b.applicable - a.applicable) || (b.averageScore - a.averageScore))
             .map(ranking => (
               <ActivityCard 
-                key={ranking.activity} 
+                key={ranking.activityId} 
                 ranking={ranking} 
+                timeZone={forecast.timezone}
               />
             ))}
         </div>
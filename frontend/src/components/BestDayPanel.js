@@ -0,0 +1,230 @@
+/**
+ * Best Day Panel Component
+ *
+ * Answers "which day should we go, and where?": the user lists candidate
+ * places, picks activities and optional limits (trip length, rain), and gets
+ * the best (place, days, activity) slots from the backend's findBestSlots
+ * query, best first.
+ */
+
+import React, { useState } from 'react';
+import { useQuery, gql } from '@apollo/client';
+import PlaceListInput from './PlaceListInput';
+import QueryError from './QueryError';
+import { GET_ACTIVITIES } from '../graphql/queries';
+import { getActivityIcon, getScoreColor } from '../utils/activityDisplay';
+import { formatDate, formatTime } from '../utils/formatting';
+import { useSettings } from '../SettingsContext';
+import './BestDayPanel.css';
+
+const FIND_BEST_SLOTS = gql`
+  query FindBestSlots(
+    $locations: [String!]!
+    $activities: [String!]
+    $startDate: LocalDate
+    $days: Int
+    $units: UnitSystem
+    $limit: Int
+    $constraints: SlotConstraints
+  ) {
+    findBestSlots(
+      locations: $locations
+      activities: $activities
+      startDate: $startDate
+      days: $days
+      units: $units
+      limit: $limit
+      constraints: $constraints
+    ) {
+      location
+      timezone
+      activity
+      activityId
+      icon
+      startDate
+      endDate
+      score
+      rainyDays
+      days {
+        date
+        score
+        bestWindow {
+          start
+          end
+        }
+      }
+    }
+  }
+`;
+
+// Same limit as the backend's findBestSlots
+const MAX_LOCATIONS = 5;
+
+const TRIP_LENGTHS = [1, 2, 3, 4, 5];
+
+// Rain limits offered ('' = any amount of rain)
+const RAIN_OPTIONS = [
+  { value: '', label: 'Any weather' },
+  { value: '0', label: 'No rainy days' },
+  { value: '1', label: 'At most 1 rainy day' },
+  { value: '2', label: 'At most 2 rainy days' },
+];
+
+/**
+ * Describe when a slot is: its date(s), and the best hours for a single day
+ *
+ * @param {Object} slot - ActivitySlot (dates and times local to slot.timezone)
+ * @param {string} [locale] - BCP 47 locale
+ * @returns {string} e.g. "Mon 10/20, 10:00 AM–3:00 PM" or "Mon 10/20 – Wed 10/22"
+ */
+function describeWhen(slot, locale) {
+  if (slot.startDate !== slot.endDate) {
+    return `${formatDate(slot.startDate, locale, slot.timezone)} – ${formatDate(slot.endDate, locale, slot.timezone)}`;
+  }
+  const window = slot.days[0].bestWindow;
+  return window
+    ? `${formatDate(slot.startDate, locale, slot.timezone)}, ${formatTime(window.start, locale, slot.timezone)}–${formatTime(window.end, locale, slot.timezone)}`
+    : formatDate(slot.startDate, locale, slot.timezone);
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.range - { startDate, days } from the DateRangePicker
+ * @param {string} [props.initialLocation] - Place to start the list with
+ */
+function BestDayPanel({ range, initialLocation }) {
+  const [names, setNames] = useState(initialLocation ? [initialLocation] : []);
+  // Chosen activity ids; none chosen means every activity
+  const [activityIds, setActivityIds] = useState([]);
+  const [tripLength, setTripLength] = useState(1);
+  const [maxRainyDays, setMaxRainyDays] = useState('');
+  const [limit, setLimit] = useState(5);
+  const { units, locale } = useSettings();
+
+  const { data: activitiesData } = useQuery(GET_ACTIVITIES);
+  const activities = activitiesData ? activitiesData.activities : [];
+
+  // A trip cannot be longer than the searched days
+  const consecutiveDays = Math.min(tripLength, range.days);
+
+  const { loading, error, data } = useQuery(FIND_BEST_SLOTS, {
+    variables: {
+      locations: names,
+      activities: activityIds.length > 0 ? activityIds : undefined,
+      startDate: range.startDate || undefined,
+      days: range.days,
+      units: units.toUpperCase(),
+      limit,
+      constraints: {
+        consecutiveDays,
+        maxRainyDays: maxRainyDays === '' ? undefined : Number(maxRainyDays),
+      },
+    },
+    skip: names.length === 0,
+  });
+
+  const toggleActivity = (id) => {
+    setActivityIds((current) => (current.includes(id)
+      ? current.filter((existing) => existing !== id)
+      : [...current, id]));
+  };
+
+  const slots = names.length > 0 && data ? data.findBestSlots : [];
+
+  return (
+    <div className="best-day-panel">
+      <div className="best-day-controls">
+        <PlaceListInput names={names} onChange={setNames} max={MAX_LOCATIONS} />
+
+        <fieldset className="best-day-activities">
+          <legend>Activities</legend>
+          {activities.map((activity) => (
+            <label key={activity.id} className="best-day-activity">
+              <input
+                type="checkbox"
+                checked={activityIds.includes(activity.id)}
+                onChange={() => toggleActivity(activity.id)}
+              />
+              {getActivityIcon({ activity: activity.name, icon: activity.icon })} {activity.name}
+            </label>
+          ))}
+        </fieldset>
+
+        <div className="best-day-limits">
+          <label>
+            Trip length
+            <select value={tripLength} onChange={(e) => setTripLength(Number(e.target.value))}>
+              {TRIP_LENGTHS.filter((length) => length <= range.days).map((length) => (
+                <option key={length} value={length}>
+                  {length === 1 ? '1 day' : `${length} days in a row`}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Rain
+            <select value={maxRainyDays} onChange={(e) => setMaxRainyDays(e.target.value)}>
+              {RAIN_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Show
+            <select value={limit} onChange={(e) => setLimit(Number(e.target.value))}>
+              {[5, 10, 20].map((count) => (
+                <option key={count} value={count}>Top {count}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      {names.length === 0 && (
+        <p className="best-day-hint">Add the places you could go to.</p>
+      )}
+
+      {names.length > 0 && loading && (
+        <div className="loading">
+          <div className="spinner"></div>
+          <p>Looking for the best days...</p>
+        </div>
+      )}
+
+      {names.length > 0 && error && <QueryError error={error} />}
+
+      {names.length > 0 && data && slots.length === 0 && (
+        <p className="best-day-hint">Nothing fits these limits. Try allowing more rain or a shorter trip.</p>
+      )}
+
+      {slots.length > 0 && (
+        <ol className="best-day-list">
+          {slots.map((slot, index) => (
+            <li key={`${slot.location}-${slot.activityId}-${slot.startDate}`} className="best-day-slot">
+              <span className="slot-rank">{index + 1}</span>
+              <span className="slot-icon">{getActivityIcon(slot)}</span>
+              <div className="slot-details">
+                <p className="slot-title">
+                  {slot.activity} in {slot.location}
+                </p>
+                <p className="slot-when">
+                  {describeWhen(slot, locale)}
+                  {slot.rainyDays > 0 && (
+                    <span className="slot-rain">
+                      {' · '}{slot.rainyDays === 1 ? '1 rainy day' : `${slot.rainyDays} rainy days`}
+                    </span>
+                  )}
+                </p>
+              </div>
+              <span className="slot-score" style={{ backgroundColor: getScoreColor(slot.score) }}>
+                {slot.score}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default BestDayPanel;
@@ -0,0 +1,136 @@
+/**
+ * Climate Heatmap Component
+ *
+ * "Best month to visit" view for planning beyond the forecast: one row per
+ * activity, one cell per month, colored by how suitable that month has
+ * typically been. Scores come from the backend's getClimateOutlook query,
+ * which scores several years of recorded weather with the same rules as
+ * the forecast.
+ *
+ * Hovering a cell shows its average score, share of good days and how many
+ * days it is based on; the best months of each row are outlined.
+ */
+
+import React from 'react';
+import { useQuery, gql } from '@apollo/client';
+import QueryError from './QueryError';
+import { getActivityIcon, getScoreColor } from '../utils/activityDisplay';
+import { formatMonth, formatNumber } from '../utils/formatting';
+import { useSettings } from '../SettingsContext';
+import './ClimateHeatmap.css';
+
+// Monthly suitability of every activity at a location
+const GET_CLIMATE_OUTLOOK = gql`
+  query GetClimateOutlook($locationId: ID, $latitude: Float, $longitude: Float) {
+    getClimateOutlook(locationId: $locationId, latitude: $latitude, longitude: $longitude) {
+      location
+      startDate
+      endDate
+      activities {
+        activity
+        activityId
+        icon
+        applicable
+        bestMonths
+        recommendation
+        months {
+          month
+          averageScore
+          goodDays
+          daysSampled
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * @param {Object} props
+ * @param {Object} props.location - Location candidate, or { latitude, longitude }
+ */
+function ClimateHeatmap({ location }) {
+  const { locale } = useSettings();
+  const variables = location.id
+    ? { locationId: location.id }
+    : { latitude: location.latitude, longitude: location.longitude };
+
+  const { loading, error, data } = useQuery(GET_CLIMATE_OUTLOOK, { variables });
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Scoring past weather...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <QueryError error={error} />;
+  }
+
+  const outlook = data.getClimateOutlook;
+  const fromYear = outlook.startDate.slice(0, 4);
+  const toYear = outlook.endDate.slice(0, 4);
+
+  return (
+    <div className="climate-heatmap">
+      <h3>Best Month to Visit</h3>
+      <p className="climate-period">
+        {outlook.location} · typical conditions {fromYear === toYear ? fromYear : `${fromYear}–${toYear}`}
+      </p>
+
+      <div className="heatmap-scroll">
+        <table className="heatmap-table">
+          <thead>
+            <tr>
+              <th scope="col">Activity</th>
+              {outlook.activities[0].months.map((month) => (
+                <th key={month.month} scope="col" title={formatMonth(month.month, locale)}>
+                  {formatMonth(month.month, locale, 'short')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {outlook.activities.map((activity) => (
+              <tr key={activity.activityId} className={activity.applicable ? '' : 'not-applicable'}>
+                <th scope="row">
+                  <span className="heatmap-icon">{getActivityIcon(activity)}</span>
+                  {activity.activity}
+                </th>
+                {activity.months.map((month) => {
+                  const best = activity.bestMonths.includes(month.month);
+                  return month.averageScore === null ? (
+                    <td key={month.month} className="heatmap-cell empty" title={`${formatMonth(month.month, locale)}: not possible`}>
+                      –
+                    </td>
+                  ) : (
+                    <td
+                      key={month.month}
+                      className={`heatmap-cell ${best ? 'best' : ''}`}
+                      style={{ backgroundColor: getScoreColor(month.averageScore) }}
+                      title={`${formatMonth(month.month, locale)}: average ${formatNumber(month.averageScore, locale)}, ${formatNumber(month.goodDays, locale, 0)}% good days (${formatNumber(month.daysSampled, locale)} days)`}
+                    >
+                      {month.averageScore}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <ul className="climate-recommendations">
+        {outlook.activities.map((activity) => (
+          <li key={activity.activityId}>
+            {getActivityIcon(activity)} {activity.recommendation}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default ClimateHeatmap;
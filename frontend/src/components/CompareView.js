@@ -0,0 +1,247 @@
+/**
+ * Compare View Component
+ *
+ * Helps choose between several destinations for the same days: the user
+ * lists 2-5 places (and optionally one activity), and their forecasts are
+ * shown side by side, with one chart overlaying each place's daily scores.
+ *
+ * Data comes from the backend's compareLocations query, which forecasts
+ * every place in parallel.
+ */
+
+import React, { useState } from 'react';
+import { useQuery, gql } from '@apollo/client';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import ActivityCard from './ActivityCard';
+import QueryError from './QueryError';
+import PlaceListInput from './PlaceListInput';
+import { ACTIVITY_FORECAST_FIELDS, GET_ACTIVITIES } from '../graphql/queries';
+import { getActivityIcon } from '../utils/activityDisplay';
+import { formatDate, formatMeasure, formatNumber } from '../utils/formatting';
+import { unitsByField } from '../utils/units';
+import { useSettings } from '../SettingsContext';
+import './CompareView.css';
+
+const COMPARE_LOCATIONS = gql`
+  ${ACTIVITY_FORECAST_FIELDS}
+  query CompareLocations(
+    $locations: [String!]!
+    $activity: String
+    $startDate: LocalDate
+    $days: Int
+    $units: UnitSystem
+  ) {
+    compareLocations(
+      locations: $locations
+      activity: $activity
+      startDate: $startDate
+      days: $days
+      units: $units
+    ) {
+      ...ActivityForecastFields
+    }
+  }
+`;
+
+// Same limits as the backend's compareLocations
+const MIN_LOCATIONS = 2;
+const MAX_LOCATIONS = 5;
+
+// One line color per place in the combined chart
+const LOCATION_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#8b5cf6', '#ef4444'];
+
+/**
+ * Daily scores of one activity, one line per place
+ *
+ * @param {Object} props
+ * @param {Array<string>} props.names - Place names, in column order
+ * @param {Array<Object>} props.forecasts - ActivityForecast per place
+ * @param {string} props.activityId - Activity whose scores are plotted
+ */
+function ComparisonChart({ names, forecasts, activityId }) {
+  const { locale } = useSettings();
+
+  // One row per date: { date, [name]: score, ... }
+  const rankings = forecasts.map((forecast) =>
+    forecast.rankings.find((ranking) => ranking.activityId === activityId)
+  );
+  const chartData = rankings[0].dailyScores.map((day, index) => {
+    // The dates are the same calendar days at every place
+    const row = { date: formatDate(day.date, locale, forecasts[0].timezone) };
+    rankings.forEach((ranking, place) => {
+      const score = ranking.dailyScores[index];
+      row[names[place]] = score && score.applicable ? score.score : null;
+    });
+    return row;
+  });
+
+  return (
+    <ResponsiveContainer width="100%" height={260}>
+      <LineChart data={chartData}>
+        <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+        <XAxis dataKey="date" tick={{ fontSize: 12 }} stroke="#6b7280" />
+        <YAxis
+          domain={[0, 100]}
+          tick={{ fontSize: 12 }}
+          stroke="#6b7280"
+          tickFormatter={(value) => formatNumber(value, locale, 0)}
+        />
+        <Tooltip
+          contentStyle={{
+            backgroundColor: '#fff',
+            border: '1px solid #e5e7eb',
+            borderRadius: '8px'
+          }}
+          formatter={(value, name) => [`${formatNumber(value, locale, 0)}/100`, name]}
+        />
+        <Legend />
+        {names.map((name, place) => (
+          <Line
+            key={name}
+            type="monotone"
+            dataKey={name}
+            stroke={LOCATION_COLORS[place]}
+            strokeWidth={2}
+            dot={{ fill: LOCATION_COLORS[place], r: 3 }}
+            connectNulls={false}
+          />
+        ))}
+      </LineChart>
+    </ResponsiveContainer>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.range - { startDate, days } from the DateRangePicker
+ * @param {string} [props.initialLocation] - Place to start the list with
+ */
+function CompareView({ range, initialLocation }) {
+  const [names, setNames] = useState(initialLocation ? [initialLocation] : []);
+  const [activity, setActivity] = useState('');
+  // Activity plotted when comparing all activities
+  const [chartActivity, setChartActivity] = useState('');
+  const { units, locale } = useSettings();
+
+  const { data: activitiesData } = useQuery(GET_ACTIVITIES);
+  const activities = activitiesData ? activitiesData.activities : [];
+
+  const ready = names.length >= MIN_LOCATIONS;
+  const { loading, error, data } = useQuery(COMPARE_LOCATIONS, {
+    variables: {
+      locations: names,
+      activity: activity || undefined,
+      startDate: range.startDate || undefined,
+      days: range.days,
+      units: units.toUpperCase(),
+    },
+    skip: !ready,
+  });
+
+  const forecasts = ready && data ? data.compareLocations : [];
+  const plottedActivity = activity
+    || chartActivity
+    || (forecasts.length > 0 && forecasts[0].rankings[0].activityId);
+
+  // Place with the best average for the plotted activity
+  const best = forecasts
+    .map((forecast, place) => ({
+      name: names[place],
+      ranking: forecast.rankings.find((ranking) => ranking.activityId === plottedActivity),
+    }))
+    .filter(({ ranking }) => ranking && ranking.applicable)
+    .sort((a, b) => b.ranking.averageScore - a.ranking.averageScore)[0];
+
+  return (
+    <div className="compare-view">
+      <div className="compare-controls">
+        <PlaceListInput names={names} onChange={setNames} max={MAX_LOCATIONS} colors={LOCATION_COLORS} />
+        <select
+          value={activity}
+          onChange={(e) => setActivity(e.target.value)}
+          className="compare-activity"
+          aria-label="Activity"
+        >
+          <option value="">All activities</option>
+          {activities.map((option) => (
+            <option key={option.id} value={option.id}>
+              {getActivityIcon({ activity: option.name, icon: option.icon })} {option.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {!ready && (
+        <p className="compare-hint">Add at least {MIN_LOCATIONS} places to compare them.</p>
+      )}
+
+      {ready && loading && (
+        <div className="loading">
+          <div className="spinner"></div>
+          <p>Comparing {names.length} places...</p>
+        </div>
+      )}
+
+      {ready && error && <QueryError error={error} />}
+
+      {forecasts.length > 0 && (
+        <>
+          <div className="compare-chart">
+            <div className="compare-chart-header">
+              <h3>Daily Scores</h3>
+              {!activity && (
+                <select
+                  value={plottedActivity}
+                  onChange={(e) => setChartActivity(e.target.value)}
+                  aria-label="Activity shown in the chart"
+                >
+                  {forecasts[0].rankings.map((ranking) => (
+                    <option key={ranking.activityId} value={ranking.activityId}>
+                      {ranking.activity}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
+            {best && (
+              <p className="compare-best">
+                Best for {best.ranking.activity}: <strong>{best.name}</strong> (average {formatNumber(best.ranking.averageScore, locale)})
+              </p>
+            )}
+            <ComparisonChart names={names} forecasts={forecasts} activityId={plottedActivity} />
+          </div>
+
+          <div className="compare-columns">
+            {forecasts.map((forecast, place) => (
+              <div key={names[place]} className="compare-column">
+                <div className="compare-column-header" style={{ borderTopColor: LOCATION_COLORS[place] }}>
+                  <h3>{forecast.location}</h3>
+                  <p className="coordinates">
+                    {formatNumber(forecast.latitude, locale, 2)}°, {formatNumber(forecast.longitude, locale, 2)}°
+                    {' · '}{formatMeasure(forecast.elevation, unitsByField(forecast.units).elevation, locale, 0)}
+                  </p>
+                </div>
+                {[...forecast.rankings]
+                  .sort((a, b) => (b.applicable - a.applicable) || (b.averageScore - a.averageScore))
+                  .map((ranking) => (
+                    <ActivityCard key={ranking.activityId} ranking={ranking} timeZone={forecast.timezone} />
+                  ))}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default CompareView;
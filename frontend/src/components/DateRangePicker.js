@@ -0,0 +1,98 @@
+/**
+ * Date Range Picker Component
+ *
+ * Chooses which days the forecast covers: a start date (empty means today)
+ * and how many days from it. Dates before today show recorded past weather
+ * instead of a forecast.
+ *
+ * The limits mirror the backend's validateDateRange: forecasts reach 16 days
+ * ahead and past weather goes back to 1940. Like the backend, "today" is the
+ * date at the place; without a place (or its timezone) it is the date where
+ * the browser is.
+ */
+
+import React from 'react';
+import { todayIn } from '../utils/formatting';
+import './DateRangePicker.css';
+
+const EARLIEST_DATE = '1940-01-01';
+const MAX_DAYS = 16;
+const DAY_OPTIONS = [1, 3, 7, 10, 14, 16];
+
+/**
+ * Move an ISO date by whole days
+ * Done in UTC, like the backend, so the browser's timezone cannot shift it.
+ *
+ * @param {string} date - ISO date, e.g. "2026-10-19"
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} ISO date
+ */
+function addDays(date, days) {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  parsed.setUTCDate(parsed.getUTCDate() + days);
+  return parsed.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.range - { startDate, days }; startDate is '' for today
+ * @param {Function} props.onChange - Called with the updated range
+ * @param {string} [props.timeZone] - IANA timezone of the place
+ */
+function DateRangePicker({ range, onChange, timeZone }) {
+  const today = todayIn(timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone);
+  const latestStart = addDays(today, MAX_DAYS - range.days);
+
+  const handleStartDateChange = (e) => {
+    onChange({ ...range, startDate: e.target.value });
+  };
+
+  // Fewer days may still not fit if the start date is far ahead: pull it back
+  const handleDaysChange = (e) => {
+    const days = Number(e.target.value);
+    const maxStart = addDays(today, MAX_DAYS - days);
+    onChange({
+      days,
+      startDate: range.startDate && range.startDate > maxStart ? maxStart : range.startDate,
+    });
+  };
+
+  const isPast = range.startDate && range.startDate < today;
+
+  return (
+    <div className="date-range-picker">
+      <label className="date-range-field">
+        <span>From</span>
+        <input
+          type="date"
+          value={range.startDate}
+          min={EARLIEST_DATE}
+          max={latestStart}
+          onChange={handleStartDateChange}
+        />
+      </label>
+      <label className="date-range-field">
+        <span>For</span>
+        <select value={range.days} onChange={handleDaysChange}>
+          {DAY_OPTIONS.map((days) => (
+            <option key={days} value={days}>
+              {days === 1 ? '1 day' : `${days} days`}
+            </option>
+          ))}
+        </select>
+      </label>
+      {range.startDate && (
+        <button
+          type="button"
+          className="date-range-reset"
+          onClick={() => onChange({ ...range, startDate: '' })}
+        >
+          Today
+        </button>
+      )}
+      {isPast && <p className="date-range-note">Showing recorded weather for past days.</p>}
+    </div>
+  );
+}
+
+export default DateRangePicker;
@@ -0,0 +1,44 @@
+/**
+ * Display Settings Component
+ *
+ * Chooses the unit system and the locale every value is shown in (see
+ * SettingsContext.js). Changing either applies everywhere at once.
+ */
+
+import React from 'react';
+import { LOCALES, UNIT_SYSTEMS, useSettings } from '../SettingsContext';
+import { formatDate, formatNumber, todayIn } from '../utils/formatting';
+import './DisplaySettings.css';
+
+function DisplaySettings() {
+  const { units, locale, updateSettings } = useSettings();
+  // The example date is the user's own today
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const today = todayIn(timeZone);
+
+  return (
+    <div className="display-settings">
+      <label className="display-settings-field">
+        Units
+        <select value={units} onChange={(e) => updateSettings({ units: e.target.value })}>
+          {UNIT_SYSTEMS.map((system) => (
+            <option key={system.id} value={system.id}>{system.label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="display-settings-field">
+        Language &amp; region
+        <select value={locale || ''} onChange={(e) => updateSettings({ locale: e.target.value })}>
+          {LOCALES.map((option) => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+      <p className="display-settings-example">
+        e.g. {formatDate(today, locale, timeZone)} · {formatNumber(1234.5, locale)}
+      </p>
+    </div>
+  );
+}
+
+export default DisplaySettings;
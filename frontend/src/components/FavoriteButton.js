@@ -0,0 +1,112 @@
+/**
+ * Favorite Button Component
+ *
+ * Saves the place being viewed as a favorite under a nickname, or shows
+ * the nickname it is already saved under. Favorites are kept on the
+ * server (createFavorite) and listed in the "My places" tab.
+ */
+
+import React, { useState } from 'react';
+import { useMutation, useQuery, gql } from '@apollo/client';
+import { FAVORITE_FIELDS, GET_FAVORITES } from '../graphql/queries';
+import './FavoriteButton.css';
+
+const CREATE_FAVORITE = gql`
+  ${FAVORITE_FIELDS}
+  mutation CreateFavorite($input: FavoriteInput!) {
+    createFavorite(input: $input) {
+      ...FavoriteFields
+    }
+  }
+`;
+
+/**
+ * Whether a favorite is the place being viewed
+ * A candidate is matched by id; coordinates to about 100 m otherwise
+ *
+ * @param {Object} favorite - FavoriteLocation
+ * @param {Object} location - Candidate, or { latitude, longitude }
+ * @returns {boolean}
+ */
+function isSamePlace(favorite, location) {
+  if (location.id && favorite.locationId) {
+    return favorite.locationId === location.id;
+  }
+  return Math.abs(favorite.latitude - location.latitude) < 0.001
+    && Math.abs(favorite.longitude - location.longitude) < 0.001;
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.location - Candidate chosen in the LocationPicker, or { latitude, longitude }
+ */
+function FavoriteButton({ location }) {
+  // Nickname being typed; null while the form is closed
+  const [nickname, setNickname] = useState(null);
+  const { data } = useQuery(GET_FAVORITES);
+  const [createFavorite, { loading, error, reset }] = useMutation(CREATE_FAVORITE, {
+    refetchQueries: [{ query: GET_FAVORITES }, 'MyPlaces'],
+  });
+
+  const saved = data && data.favorites.find((favorite) => isSamePlace(favorite, location));
+  if (saved) {
+    return (
+      <div className="favorite-button">
+        <span className="favorite-saved">★ Saved as “{saved.nickname}”</span>
+      </div>
+    );
+  }
+
+  if (nickname === null) {
+    return (
+      <div className="favorite-button">
+        <button
+          type="button"
+          className="favorite-open"
+          onClick={() => {
+            reset();
+            setNickname(location.name || '');
+          }}
+        >
+          ☆ Save to my places
+        </button>
+      </div>
+    );
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    // Candidates are saved by id, so their altitude is kept
+    const place = location.id
+      ? { locationId: location.id }
+      : { latitude: location.latitude, longitude: location.longitude };
+    try {
+      await createFavorite({ variables: { input: { nickname, ...place } } });
+      setNickname(null);
+    } catch (saveFailure) {
+      // Shown next to the form from the mutation state
+    }
+  };
+
+  return (
+    <form className="favorite-button" onSubmit={handleSave}>
+      <input
+        type="text"
+        value={nickname}
+        onChange={(e) => setNickname(e.target.value)}
+        placeholder="Nickname, e.g. Ski chalet"
+        aria-label="Nickname"
+        maxLength={40}
+        required
+        autoFocus
+      />
+      <button type="submit" disabled={loading}>{loading ? 'Saving...' : 'Save'}</button>
+      <button type="button" className="favorite-cancel" onClick={() => setNickname(null)}>
+        Cancel
+      </button>
+      {error && <span className="favorite-error">{error.message}</span>}
+    </form>
+  );
+}
+
+export default FavoriteButton;
@@ -0,0 +1,69 @@
+/**
+ * Forecast Strip Component
+ *
+ * One tile per day with the day's overall weather (from its weather code),
+ * high and low temperatures and precipitation, for a quick look at the
+ * week before the activity rankings.
+ */
+
+import React from 'react';
+import { formatDate, formatMeasure } from '../utils/formatting';
+import { useSettings } from '../SettingsContext';
+import './ForecastStrip.css';
+
+// Icon for each SkyCondition
+const CONDITION_ICONS = {
+  SUNNY: '☀️',
+  PARTLY_CLOUDY: '⛅',
+  CLOUDY: '☁️',
+  FOG: '🌫️',
+  DRIZZLE: '🌦️',
+  RAIN: '🌧️',
+  SHOWERS: '🌦️',
+  FREEZING_RAIN: '🧊',
+  SNOW: '🌨️',
+  THUNDERSTORM: '⛈️',
+};
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.weatherData - Array of daily weather objects
+ * @param {Object} props.units - Unit of each weather field (see unitsByField)
+ * @param {string} props.timeZone - IANA timezone of the place
+ */
+function ForecastStrip({ weatherData, units, timeZone }) {
+  const { locale } = useSettings();
+
+  if (!weatherData || weatherData.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="forecast-strip">
+      {weatherData.map((day) => (
+        <div key={day.date} className="forecast-day">
+          <span className="forecast-date">{formatDate(day.date, locale, timeZone)}</span>
+          {/* Past weather recorded without a weather code has no condition */}
+          <span
+            className="forecast-icon"
+            role="img"
+            aria-label={day.conditionDescription || 'Unknown conditions'}
+          >
+            {CONDITION_ICONS[day.condition] || '🌡️'}
+          </span>
+          <span className="forecast-description">{day.conditionDescription || '—'}</span>
+          <span className="forecast-temps">
+            <strong>{formatMeasure(day.maxTemp, units.maxTemp, locale, 0)}</strong>
+            {' / '}
+            {formatMeasure(day.minTemp, units.minTemp, locale, 0)}
+          </span>
+          <span className="forecast-precipitation">
+            💧 {formatMeasure(day.precipitation, units.precipitation, locale)}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default ForecastStrip;
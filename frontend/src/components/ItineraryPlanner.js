@@ -0,0 +1,245 @@
+/**
+ * Itinerary Planner Component
+ *
+ * Day-by-day trip plan for one place: the backend's planItinerary query
+ * assigns one activity per day for the best total score, within the user's
+ * constraints (must-do activities, most indoor days, no repeats).
+ *
+ * Re-shuffling: picking another activity for a day pins it, and the rest of
+ * the plan is rebuilt around the pinned days.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useQuery, gql } from '@apollo/client';
+import QueryError from './QueryError';
+import { GET_ACTIVITIES } from '../graphql/queries';
+import { getActivityIcon, getScoreColor } from '../utils/activityDisplay';
+import { formatDate, formatTime } from '../utils/formatting';
+import { useSettings } from '../SettingsContext';
+import './ItineraryPlanner.css';
+
+const PLAN_ITINERARY = gql`
+  query PlanItinerary(
+    $locationId: ID
+    $latitude: Float
+    $longitude: Float
+    $startDate: LocalDate
+    $days: Int
+    $units: UnitSystem
+    $constraints: ItineraryConstraints
+  ) {
+    planItinerary(
+      locationId: $locationId
+      latitude: $latitude
+      longitude: $longitude
+      startDate: $startDate
+      days: $days
+      units: $units
+      constraints: $constraints
+    ) {
+      location
+      timezone
+      totalScore
+      exact
+      days {
+        date
+        activity
+        activityId
+        icon
+        indoor
+        score
+        conditions
+        pinned
+        bestWindow {
+          start
+          end
+        }
+        alternatives {
+          activity
+          activityId
+          icon
+          indoor
+          score
+        }
+      }
+    }
+  }
+`;
+
+// Indoor day limits offered ('' = no limit)
+const INDOOR_OPTIONS = [
+  { value: '', label: 'Any number' },
+  { value: '0', label: 'None' },
+  { value: '1', label: 'At most 1' },
+  { value: '2', label: 'At most 2' },
+  { value: '3', label: 'At most 3' },
+];
+
+/**
+ * @param {Object} props
+ * @param {Object} props.location - Location candidate, or { latitude, longitude }
+ * @param {Object} props.range - { startDate, days } from the DateRangePicker
+ */
+function ItineraryPlanner({ location, range }) {
+  const [mustDo, setMustDo] = useState([]);
+  const [maxIndoorDays, setMaxIndoorDays] = useState('');
+  const [noRepeats, setNoRepeats] = useState(false);
+  // Activity id chosen by the user, by date
+  const [pinned, setPinned] = useState({});
+  const { units, locale } = useSettings();
+
+  // Pinned dates belong to one trip; start over when the trip changes
+  useEffect(() => {
+    setPinned({});
+  }, [location, range.startDate, range.days]);
+
+  const { data: activitiesData } = useQuery(GET_ACTIVITIES);
+  const activities = activitiesData ? activitiesData.activities : [];
+
+  const { loading, error, data, previousData } = useQuery(PLAN_ITINERARY, {
+    variables: {
+      ...(location.id
+        ? { locationId: location.id }
+        : { latitude: location.latitude, longitude: location.longitude }),
+      startDate: range.startDate || undefined,
+      days: range.days,
+      units: units.toUpperCase(),
+      constraints: {
+        mustDo,
+        maxIndoorDays: maxIndoorDays === '' ? undefined : Number(maxIndoorDays),
+        noRepeats,
+        pinned: Object.entries(pinned).map(([date, activity]) => ({ date, activity })),
+      },
+    },
+  });
+
+  // Keep showing the last plan while the next one loads
+  const result = data || previousData;
+  const itinerary = result && result.planItinerary;
+
+  const toggleMustDo = (id) => {
+    setMustDo((current) => (current.includes(id)
+      ? current.filter((existing) => existing !== id)
+      : [...current, id]));
+  };
+
+  const pinDay = (date, activityId) => {
+    setPinned((current) => ({ ...current, [date]: activityId }));
+  };
+
+  const unpinDay = (date) => {
+    setPinned(({ [date]: removed, ...rest }) => rest);
+  };
+
+  return (
+    <div className="itinerary-planner">
+      <div className="itinerary-controls">
+        <fieldset className="itinerary-must-do">
+          <legend>Must do</legend>
+          {activities.map((activity) => (
+            <label key={activity.id} className="itinerary-option">
+              <input
+                type="checkbox"
+                checked={mustDo.includes(activity.id)}
+                onChange={() => toggleMustDo(activity.id)}
+              />
+              {getActivityIcon({ activity: activity.name, icon: activity.icon })} {activity.name}
+            </label>
+          ))}
+        </fieldset>
+
+        <div className="itinerary-limits">
+          <label>
+            Indoor days
+            <select value={maxIndoorDays} onChange={(e) => setMaxIndoorDays(e.target.value)}>
+              {INDOOR_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="itinerary-option">
+            <input
+              type="checkbox"
+              checked={noRepeats}
+              onChange={(e) => setNoRepeats(e.target.checked)}
+            />
+            Each activity once
+          </label>
+          {Object.keys(pinned).length > 0 && (
+            <button type="button" className="itinerary-reset" onClick={() => setPinned({})}>
+              Unpin all days
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && <QueryError error={error} />}
+
+      {!itinerary && loading && (
+        <div className="loading">
+          <div className="spinner"></div>
+          <p>Planning your trip...</p>
+        </div>
+      )}
+
+      {itinerary && !error && (
+        <div className={`itinerary ${loading ? 'itinerary-updating' : ''}`}>
+          <div className="itinerary-header">
+            <h3>Trip Plan for {itinerary.location}</h3>
+            <p>
+              Total score <strong>{itinerary.totalScore}</strong>
+              {!itinerary.exact && ' (a good plan; with this many activities it may not be the best)'}
+              {' · '}pick another activity for a day to plan the rest around it
+            </p>
+          </div>
+
+          <ol className="itinerary-days">
+            {itinerary.days.map((day) => (
+              <li key={day.date} className={`itinerary-day ${day.pinned ? 'pinned' : ''}`}>
+                <span className="itinerary-date">{formatDate(day.date, locale, itinerary.timezone)}</span>
+                <span className="itinerary-icon">
+                  {day.activity ? getActivityIcon(day) : '🛋️'}
+                </span>
+                <div className="itinerary-details">
+                  <select
+                    value={day.activityId || ''}
+                    onChange={(e) => pinDay(day.date, e.target.value)}
+                    aria-label={`Activity on ${formatDate(day.date, locale, itinerary.timezone)}`}
+                  >
+                    {!day.activity && <option value="">Free day</option>}
+                    {day.alternatives.map((option) => (
+                      <option key={option.activityId} value={option.activityId}>
+                        {option.activity} ({option.score}){option.indoor ? ' · indoor' : ''}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="itinerary-note">
+                    {day.activity
+                      ? day.conditions
+                      : 'Nothing worth doing that fits your choices'}
+                    {day.bestWindow && ` · best ${formatTime(day.bestWindow.start, locale, itinerary.timezone)}–${formatTime(day.bestWindow.end, locale, itinerary.timezone)}`}
+                  </p>
+                </div>
+                {day.pinned && (
+                  <button
+                    type="button"
+                    className="itinerary-unpin"
+                    onClick={() => unpinDay(day.date)}
+                    title="Let the planner choose this day again"
+                  >
+                    📌 ×
+                  </button>
+                )}
+                <span className="itinerary-score" style={{ backgroundColor: getScoreColor(day.score) }}>
+                  {day.score}
+                </span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ItineraryPlanner;
@@ -0,0 +1,92 @@
+/**
+ * Location Picker Component
+ *
+ * Looks up every place matching the searched name and lets the user choose
+ * between them (e.g. "Paris, France" vs "Paris, Texas").
+ * The most relevant match is selected automatically, so unambiguous
+ * searches need no extra click; the alternatives are listed underneath.
+ */
+
+import React, { useEffect } from 'react';
+import { useQuery } from '@apollo/client';
+import { SEARCH_LOCATIONS } from '../graphql/queries';
+import { formatCompact } from '../utils/formatting';
+import { useSettings } from '../SettingsContext';
+import './LocationPicker.css';
+
+/**
+ * @param {Object} props
+ * @param {string} props.query - Location name the user searched for
+ * @param {string|null} props.selectedId - Id of the currently selected candidate
+ * @param {Function} props.onSelect - Called with the chosen candidate
+ */
+function LocationPicker({ query, selectedId, onSelect }) {
+  const { locale } = useSettings();
+  const { loading, error, data } = useQuery(SEARCH_LOCATIONS, {
+    variables: { query },
+  });
+
+  const candidates = data ? data.searchLocations : [];
+
+  // Select the best match as soon as results arrive
+  useEffect(() => {
+    if (!selectedId && data && data.searchLocations.length > 0) {
+      onSelect(data.searchLocations[0]);
+    }
+  }, [data, selectedId, onSelect]);
+
+  if (loading) {
+    return <p className="location-picker-status">Searching for "{query}"...</p>;
+  }
+
+  if (error) {
+    return (
+      <div className="error">
+        <h2>Search failed</h2>
+        <p>{error.message}</p>
+      </div>
+    );
+  }
+
+  if (candidates.length === 0) {
+    return (
+      <div className="error">
+        <h2>Location not found</h2>
+        <p>No places match "{query}".</p>
+        <p className="error-hint">Check the spelling, or try a nearby larger town.</p>
+      </div>
+    );
+  }
+
+  // Nothing to choose between
+  if (candidates.length === 1) {
+    return null;
+  }
+
+  return (
+    <div className="location-picker">
+      <p className="location-picker-label">
+        {candidates.length} places match "{query}". Not the right one?
+      </p>
+      <div className="location-options">
+        {candidates.map((candidate) => (
+          <button
+            key={candidate.id}
+            type="button"
+            className={`location-option ${candidate.id === selectedId ? 'selected' : ''}`}
+            onClick={() => onSelect(candidate)}
+          >
+            <span className="location-option-name">{candidate.displayName}</span>
+            {candidate.population && (
+              <span className="location-option-population">
+                pop. {formatCompact(candidate.population, locale)}
+              </span>
+            )}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default LocationPicker;
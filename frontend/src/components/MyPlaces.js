@@ -0,0 +1,207 @@
+/**
+ * My Places Component
+ *
+ * The favorite places, each with what it is best for over the chosen days
+ * (the myPlaces query, one call for every place). A place can be opened in
+ * the forecast, renamed or removed; places are saved from the forecast's
+ * "Save to my places" button.
+ */
+
+import React, { useState } from 'react';
+import { useMutation, useQuery, gql } from '@apollo/client';
+import QueryError from './QueryError';
+import { FAVORITE_FIELDS, GET_FAVORITES } from '../graphql/queries';
+import { getActivityIcon, getScoreColor } from '../utils/activityDisplay';
+import { formatDate, formatTime } from '../utils/formatting';
+import { useSettings } from '../SettingsContext';
+import './MyPlaces.css';
+
+const MY_PLACES = gql`
+  ${FAVORITE_FIELDS}
+  query MyPlaces($startDate: LocalDate, $days: Int, $profileId: ID, $units: UnitSystem) {
+    myPlaces(startDate: $startDate, days: $days, profileId: $profileId, units: $units) {
+      favorite {
+        ...FavoriteFields
+      }
+      timezone
+      error
+      topActivity {
+        activity
+        activityId
+        icon
+        averageScore
+      }
+      bestDay {
+        date
+        score
+        conditions
+        bestWindow {
+          start
+          end
+        }
+      }
+    }
+  }
+`;
+
+const RENAME_FAVORITE = gql`
+  ${FAVORITE_FIELDS}
+  mutation RenameFavorite($id: ID!, $nickname: String!) {
+    renameFavorite(id: $id, nickname: $nickname) {
+      ...FavoriteFields
+    }
+  }
+`;
+
+const DELETE_FAVORITE = gql`
+  mutation DeleteFavorite($id: ID!) {
+    deleteFavorite(id: $id)
+  }
+`;
+
+/**
+ * The location a favorite opens in the forecast
+ * Places saved by id are opened by id, so their altitude is kept
+ *
+ * @param {Object} favorite - FavoriteLocation
+ * @returns {Object} { id, name, latitude, longitude }, without id for
+ *                   places saved by coordinates
+ */
+function toLocation(favorite) {
+  return {
+    ...(favorite.locationId ? { id: favorite.locationId } : {}),
+    name: favorite.location,
+    latitude: favorite.latitude,
+    longitude: favorite.longitude,
+  };
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.range - { startDate, days } from the DateRangePicker
+ * @param {string} [props.profileId] - Scoring profile to personalize the scores with
+ * @param {Function} props.onOpen - Called with a location to show its forecast
+ */
+function MyPlaces({ range, profileId, onOpen }) {
+  const { units, locale } = useSettings();
+  // Favorite being renamed: { id, nickname }, or null
+  const [renaming, setRenaming] = useState(null);
+
+  const { loading, error, data } = useQuery(MY_PLACES, {
+    variables: {
+      startDate: range.startDate || undefined,
+      days: range.days,
+      profileId: profileId || undefined,
+      units: units.toUpperCase(),
+    },
+  });
+  const mutationOptions = { refetchQueries: [{ query: GET_FAVORITES }, 'MyPlaces'] };
+  const [renameFavorite, renameState] = useMutation(RENAME_FAVORITE, mutationOptions);
+  const [deleteFavorite] = useMutation(DELETE_FAVORITE, mutationOptions);
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading your places...</p>
+      </div>
+    );
+  }
+  if (error) {
+    return <QueryError error={error} />;
+  }
+
+  const places = data.myPlaces;
+  if (places.length === 0) {
+    return (
+      <p className="my-places-empty">
+        No saved places yet. Search for a place and use “Save to my places” on its forecast.
+      </p>
+    );
+  }
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    try {
+      await renameFavorite({ variables: renaming });
+      setRenaming(null);
+    } catch (renameFailure) {
+      // Shown in the form from the mutation state
+    }
+  };
+
+  return (
+    <div className="my-places">
+      {places.map(({ favorite, timezone, topActivity, bestDay, error: placeError }) => (
+        <div key={favorite.id} className="my-place">
+          <div className="my-place-header">
+            {renaming && renaming.id === favorite.id ? (
+              <form className="my-place-rename" onSubmit={handleRename}>
+                <input
+                  type="text"
+                  value={renaming.nickname}
+                  onChange={(e) => setRenaming({ ...renaming, nickname: e.target.value })}
+                  aria-label="Nickname"
+                  maxLength={40}
+                  required
+                  autoFocus
+                />
+                <button type="submit" disabled={renameState.loading}>Save</button>
+                <button type="button" onClick={() => setRenaming(null)}>Cancel</button>
+                {renameState.error && <span className="my-place-error">{renameState.error.message}</span>}
+              </form>
+            ) : (
+              <h4>{favorite.nickname}</h4>
+            )}
+            <p className="my-place-location">{favorite.location}</p>
+          </div>
+
+          {placeError ? (
+            <p className="my-place-error">No forecast: {placeError}</p>
+          ) : topActivity ? (
+            <div className="my-place-best">
+              <span className="my-place-icon">{getActivityIcon(topActivity)}</span>
+              <div>
+                <p className="my-place-activity">
+                  {topActivity.activity}
+                  <span
+                    className="my-place-score"
+                    style={{ backgroundColor: getScoreColor(topActivity.averageScore) }}
+                  >
+                    {topActivity.averageScore}
+                  </span>
+                </p>
+                {bestDay && (
+                  <p className="my-place-day">
+                    Best on {formatDate(bestDay.date, locale, timezone)} ({bestDay.conditions}
+                    {bestDay.bestWindow && `, ${formatTime(bestDay.bestWindow.start, locale, timezone)}–${formatTime(bestDay.bestWindow.end, locale, timezone)}`})
+                  </p>
+                )}
+              </div>
+            </div>
+          ) : (
+            <p className="my-place-day">Nothing possible here on these days</p>
+          )}
+
+          <div className="my-place-actions">
+            <button type="button" onClick={() => onOpen(toLocation(favorite))}>Open forecast</button>
+            <button
+              type="button"
+              onClick={() => {
+                renameState.reset();
+                setRenaming({ id: favorite.id, nickname: favorite.nickname });
+              }}
+            >
+              Rename
+            </button>
+            <button type="button" onClick={() => deleteFavorite({ variables: { id: favorite.id } })}>
+              Remove
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default MyPlaces;
@@ -0,0 +1,69 @@
+/**
+ * Place List Input Component
+ *
+ * Builds a short list of place names: type a name and press Add, remove one
+ * with its × button. Used wherever several places are looked at together
+ * (comparison, trip planning).
+ */
+
+import React, { useState } from 'react';
+import './PlaceListInput.css';
+
+/**
+ * @param {Object} props
+ * @param {Array<string>} props.names - Places in the list
+ * @param {Function} props.onChange - Called with the updated list
+ * @param {number} props.max - Most places allowed
+ * @param {Array<string>} [props.colors] - Border color per position (e.g. chart colors)
+ */
+function PlaceListInput({ names, onChange, max, colors = [] }) {
+  const [input, setInput] = useState('');
+
+  const addName = (e) => {
+    e.preventDefault();
+    const name = input.trim();
+    if (!name || names.some((existing) => existing.toLowerCase() === name.toLowerCase())) {
+      return;
+    }
+    onChange([...names, name]);
+    setInput('');
+  };
+
+  const full = names.length >= max;
+
+  return (
+    <div className="place-list-input">
+      <form className="place-list-form" onSubmit={addName}>
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder={full ? `At most ${max} places` : 'Add a place, e.g. Paris'}
+          className="place-list-text"
+          aria-label="Place to add"
+          disabled={full}
+        />
+        <button type="submit" className="place-list-add" disabled={!input.trim()}>
+          Add
+        </button>
+      </form>
+
+      <ul className="place-chips">
+        {names.map((name, place) => (
+          <li key={name} className="place-chip" style={{ borderColor: colors[place] }}>
+            {name}
+            <button
+              type="button"
+              onClick={() => onChange(names.filter((existing) => existing !== name))}
+              aria-label={`Remove ${name}`}
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default PlaceListInput;
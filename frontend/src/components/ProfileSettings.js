@@ -0,0 +1,348 @@
+/**
+ * Profile Settings Component
+ *
+ * Lets each person keep a scoring profile on the server: the weather they
+ * are comfortable with (temperature range, wind, rain) and how much they
+ * care about each activity. The chosen profile personalizes the forecast
+ * rankings (getActivityForecast's profileId).
+ *
+ * Profiles are listed on the left; the selected one (or a new one) is
+ * edited on the right.
+ */
+
+import React, { useState } from 'react';
+import { useMutation, useQuery, gql } from '@apollo/client';
+import QueryError from './QueryError';
+import { GET_ACTIVITIES, GET_PROFILES, PROFILE_FIELDS } from '../graphql/queries';
+import { getActivityIcon } from '../utils/activityDisplay';
+import { fromMetric, toMetric, unitLabel } from '../utils/units';
+import { useSettings } from '../SettingsContext';
+import './ProfileSettings.css';
+
+const CREATE_PROFILE = gql`
+  ${PROFILE_FIELDS}
+  mutation CreateProfile($input: ScoringProfileInput!) {
+    createProfile(input: $input) {
+      ...ProfileFields
+    }
+  }
+`;
+
+const UPDATE_PROFILE = gql`
+  ${PROFILE_FIELDS}
+  mutation UpdateProfile($id: ID!, $input: ScoringProfileInput!) {
+    updateProfile(id: $id, input: $input) {
+      ...ProfileFields
+    }
+  }
+`;
+
+const DELETE_PROFILE = gql`
+  mutation DeleteProfile($id: ID!) {
+    deleteProfile(id: $id)
+  }
+`;
+
+// Weights offered per activity
+const WEIGHTS = [
+  { value: 0, label: 'Never' },
+  { value: 0.5, label: 'Less' },
+  { value: 1, label: 'Normal' },
+  { value: 1.5, label: 'More' },
+  { value: 2, label: 'Much more' },
+];
+
+// Round converted limits to two decimals (enough for inches of rain)
+const round = (value) => Math.round(value * 100) / 100;
+
+// Profile field (metric) <-> number input value in the user's units
+// (empty means no limit)
+const toInput = (value, quantity, units) =>
+  (value == null ? '' : String(round(fromMetric(quantity, value, units))));
+const fromInput = (value, quantity, units) =>
+  (value === '' ? null : round(toMetric(quantity, Number(value), units)));
+
+/**
+ * Form state for a profile (numbers kept as input strings)
+ *
+ * @param {Object} [profile] - Stored profile; a blank form without one
+ * @param {string} units - 'metric' or 'imperial', the units the form is in
+ * @returns {Object} { name, minTemp, maxTemp, maxWind, maxRain, preferences },
+ *                   preferences keyed by activity id
+ */
+function toForm(profile, units) {
+  const preferences = {};
+  ((profile && profile.activityPreferences) || []).forEach((preference) => {
+    preferences[preference.activityId] = {
+      weight: preference.weight,
+      minTemp: toInput(preference.minTemp, 'temperature', units),
+      maxTemp: toInput(preference.maxTemp, 'temperature', units),
+    };
+  });
+  return {
+    name: profile ? profile.name : '',
+    minTemp: toInput(profile && profile.minTemp, 'temperature', units),
+    maxTemp: toInput(profile && profile.maxTemp, 'temperature', units),
+    maxWind: toInput(profile && profile.maxWind, 'speed', units),
+    maxRain: toInput(profile && profile.maxRain, 'precipitation', units),
+    preferences,
+  };
+}
+
+/**
+ * ScoringProfileInput from the form; activities left at the defaults are omitted
+ *
+ * @param {Object} form - Form state from toForm
+ * @param {string} units - 'metric' or 'imperial', the units the form is in
+ * @returns {Object} Mutation input, in metric units
+ */
+function toInputObject(form, units) {
+  return {
+    name: form.name,
+    minTemp: fromInput(form.minTemp, 'temperature', units),
+    maxTemp: fromInput(form.maxTemp, 'temperature', units),
+    maxWind: fromInput(form.maxWind, 'speed', units),
+    maxRain: fromInput(form.maxRain, 'precipitation', units),
+    activityPreferences: Object.entries(form.preferences)
+      .filter(([, preference]) => preference.weight !== 1 || preference.minTemp !== '' || preference.maxTemp !== '')
+      .map(([activityId, preference]) => ({
+        activityId,
+        weight: preference.weight,
+        minTemp: fromInput(preference.minTemp, 'temperature', units),
+        maxTemp: fromInput(preference.maxTemp, 'temperature', units),
+      })),
+  };
+}
+
+// Forecasts scored with an old version of a profile must not be reused
+function evictForecasts(cache) {
+  cache.evict({ id: 'ROOT_QUERY', fieldName: 'getActivityForecast' });
+  cache.gc();
+}
+
+/**
+ * @param {Object} props
+ * @param {string} [props.activeProfileId] - Profile applied to the forecast (null for none)
+ * @param {Function} props.onActivate - Called with a profile id, or null for none
+ */
+function ProfileSettings({ activeProfileId, onActivate }) {
+  // Profile being edited: its id, 'new', or null when none is open
+  const [editingId, setEditingId] = useState(null);
+  const { units } = useSettings();
+  const [form, setForm] = useState(toForm(null, units));
+
+  const { loading, error, data } = useQuery(GET_PROFILES);
+  const { data: activitiesData } = useQuery(GET_ACTIVITIES);
+  const activities = activitiesData ? activitiesData.activities : [];
+
+  const mutationOptions = { refetchQueries: [{ query: GET_PROFILES }], update: evictForecasts };
+  const [createProfile, createState] = useMutation(CREATE_PROFILE, mutationOptions);
+  const [updateProfile, updateState] = useMutation(UPDATE_PROFILE, mutationOptions);
+  const [deleteProfile, deleteState] = useMutation(DELETE_PROFILE, mutationOptions);
+  const saving = createState.loading || updateState.loading;
+  const formError = createState.error || updateState.error || deleteState.error;
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading profiles...</p>
+      </div>
+    );
+  }
+  if (error) {
+    return <QueryError error={error} />;
+  }
+
+  const profiles = data.profiles;
+
+  const openEditor = (profile) => {
+    createState.reset();
+    updateState.reset();
+    deleteState.reset();
+    setEditingId(profile ? profile.id : 'new');
+    setForm(toForm(profile, units));
+  };
+
+  const setField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const setPreference = (activityId, field, value) => {
+    const current = form.preferences[activityId] || { weight: 1, minTemp: '', maxTemp: '' };
+    setForm({
+      ...form,
+      preferences: { ...form.preferences, [activityId]: { ...current, [field]: value } },
+    });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      const input = toInputObject(form, units);
+      if (editingId === 'new') {
+        const result = await createProfile({ variables: { input } });
+        onActivate(result.data.createProfile.id);
+      } else {
+        await updateProfile({ variables: { id: editingId, input } });
+      }
+      setEditingId(null);
+    } catch (saveFailure) {
+      // Shown below the form from the mutation state
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await deleteProfile({ variables: { id: editingId } });
+      if (activeProfileId === editingId) {
+        onActivate(null);
+      }
+      setEditingId(null);
+    } catch (deleteFailure) {
+      // Shown below the form from the mutation state
+    }
+  };
+
+  return (
+    <div className="profile-settings">
+      <div className="profile-list">
+        <h3>Scoring Profiles</h3>
+        <p className="profile-hint">The chosen profile personalizes the forecast scores.</p>
+        <label className="profile-choice">
+          <input
+            type="radio"
+            name="active-profile"
+            checked={!activeProfileId}
+            onChange={() => onActivate(null)}
+          />
+          Standard scoring
+        </label>
+        {profiles.map((profile) => (
+          <div key={profile.id} className="profile-choice">
+            <label>
+              <input
+                type="radio"
+                name="active-profile"
+                checked={activeProfileId === profile.id}
+                onChange={() => onActivate(profile.id)}
+              />
+              {profile.name}
+            </label>
+            <button type="button" className="profile-edit" onClick={() => openEditor(profile)}>
+              Edit
+            </button>
+          </div>
+        ))}
+        <button type="button" className="profile-new" onClick={() => openEditor(null)}>
+          + New profile
+        </button>
+      </div>
+
+      {editingId && (
+        <form className="profile-editor" onSubmit={handleSave}>
+          <label className="profile-field profile-name">
+            Name
+            <input type="text" value={form.name} onChange={setField('name')} required />
+          </label>
+
+          <fieldset>
+            <legend>Comfortable weather (leave empty for no limit)</legend>
+            <div className="profile-limits">
+              <label className="profile-field">
+                Feels like at least ({unitLabel('temperature', units)})
+                <input type="number" value={form.minTemp} onChange={setField('minTemp')} />
+              </label>
+              <label className="profile-field">
+                Feels like at most ({unitLabel('temperature', units)})
+                <input type="number" value={form.maxTemp} onChange={setField('maxTemp')} />
+              </label>
+              <label className="profile-field">
+                Wind up to ({unitLabel('speed', units)})
+                <input type="number" min="0" value={form.maxWind} onChange={setField('maxWind')} />
+              </label>
+              <label className="profile-field">
+                Rain up to ({unitLabel('precipitation', units)}/day)
+                <input type="number" min="0" step={units === 'imperial' ? '0.05' : '0.5'} value={form.maxRain} onChange={setField('maxRain')} />
+              </label>
+            </div>
+          </fieldset>
+
+          <fieldset>
+            <legend>Activities</legend>
+            <table className="profile-activities">
+              <thead>
+                <tr>
+                  <th>Activity</th>
+                  <th>Interest</th>
+                  <th>Own temperature range ({unitLabel('temperature', units)})</th>
+                </tr>
+              </thead>
+              <tbody>
+                {activities.map((activity) => {
+                  const preference = form.preferences[activity.id] || { weight: 1, minTemp: '', maxTemp: '' };
+                  return (
+                    <tr key={activity.id}>
+                      <td>{getActivityIcon({ activity: activity.name, icon: activity.icon })} {activity.name}</td>
+                      <td>
+                        <select
+                          value={preference.weight}
+                          onChange={(e) => setPreference(activity.id, 'weight', Number(e.target.value))}
+                          aria-label={`Interest in ${activity.name}`}
+                        >
+                          {WEIGHTS.map((weight) => (
+                            <option key={weight.value} value={weight.value}>{weight.label}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td>
+                        {activity.indoor ? (
+                          <span className="profile-indoor">indoors</span>
+                        ) : (
+                          <span className="profile-range">
+                            <input
+                              type="number"
+                              value={preference.minTemp}
+                              onChange={(e) => setPreference(activity.id, 'minTemp', e.target.value)}
+                              aria-label={`Lowest temperature for ${activity.name}`}
+                            />
+                            –
+                            <input
+                              type="number"
+                              value={preference.maxTemp}
+                              onChange={(e) => setPreference(activity.id, 'maxTemp', e.target.value)}
+                              aria-label={`Highest temperature for ${activity.name}`}
+                            />
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </fieldset>
+
+          {formError && <p className="profile-error">{formError.message}</p>}
+
+          <div className="profile-actions">
+            <button type="submit" className="profile-save" disabled={saving}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button type="button" onClick={() => setEditingId(null)}>Cancel</button>
+            {editingId !== 'new' && (
+              <button
+                type="button"
+                className="profile-delete"
+                onClick={handleDelete}
+                disabled={deleteState.loading}
+              >
+                {deleteState.loading ? 'Deleting...' : 'Delete'}
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default ProfileSettings;
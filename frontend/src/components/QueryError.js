@@ -0,0 +1,75 @@
+/**
+ * Query Error Component
+ *
+ * Explains why a forecast query failed, with a hint for what to do next.
+ * The message comes from the backend; title and hint depend on its
+ * GraphQL error code (extensions.code).
+ */
+
+import React from 'react';
+
+/**
+ * Error messages keyed by GraphQL extensions.code
+ * Each entry has a short title and a suggestion for what the user can do next.
+ */
+const ERROR_MESSAGES = {
+  LOCATION_NOT_FOUND: {
+    title: 'Location not found',
+    suggestion: 'Check the spelling, or try a nearby larger town.',
+  },
+  INVALID_INPUT: {
+    title: 'Invalid search',
+    suggestion: 'Check the location and the chosen dates.',
+  },
+  UPSTREAM_UNAVAILABLE: {
+    title: 'Weather service unavailable',
+    suggestion: 'The weather provider is not responding. Please try again in a minute.',
+  },
+  RATE_LIMITED: {
+    title: 'Too many requests',
+    suggestion: 'The weather provider is busy. Please wait a moment before searching again.',
+  },
+  NETWORK_ERROR: {
+    title: 'Cannot reach the server',
+    suggestion: 'Check your connection and make sure the backend is running.',
+  },
+};
+
+/**
+ * Work out what to show for a failed query
+ *
+ * @param {Object} error - Apollo error
+ * @returns {Object} { title, message, suggestion }
+ */
+function getErrorDetails(error) {
+  const graphQLError = error.graphQLErrors && error.graphQLErrors[0];
+  const code = graphQLError
+    ? graphQLError.extensions && graphQLError.extensions.code
+    : error.networkError && 'NETWORK_ERROR';
+  const details = ERROR_MESSAGES[code] || {
+    title: 'Error',
+    suggestion: 'Please try again.',
+  };
+
+  return {
+    ...details,
+    message: graphQLError ? graphQLError.message : error.message,
+  };
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.error - Apollo error of the failed query
+ */
+function QueryError({ error }) {
+  const { title, message, suggestion } = getErrorDetails(error);
+  return (
+    <div className="error">
+      <h2>{title}</h2>
+      <p>{message}</p>
+      <p className="error-hint">{suggestion}</p>
+    </div>
+  );
+}
+
+export default QueryError;
@@ -1,38 +1,309 @@
-import React, { useState } from 'react';
+/**
+ * Search Bar Component
+ *
+ * Location search input with type-ahead suggestions.
+ *
+ * Features:
+ * - Suggestions from the backend searchLocations query, debounced while typing
+ * - Keyboard navigation: ArrowUp/ArrowDown to move, Enter to pick, Escape to close
+ * - Recent searches (kept in localStorage) shown when the input is empty
+ * - Coordinate entry ("45.92, 6.87") and a "use my location" button
+ *
+ * Accessibility: follows the ARIA combobox pattern (input with role
+ * "combobox" controlling a "listbox" of "option" elements).
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useQuery } from '@apollo/client';
+import { SEARCH_LOCATIONS } from '../graphql/queries';
 import './SearchBar.css';
 
-function SearchBar({ onSearch }) {
+// Matches "lat, lon" or "lat lon", e.g. "45.92, 6.87" or "-33.86 151.21"
+const COORDINATES_PATTERN = /^(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)$/;
+
+// Suggestion settings
+const DEBOUNCE_MS = 300;
+const MIN_QUERY_LENGTH = 2;
+const MAX_SUGGESTIONS = 5;
+
+// Recent searches settings
+const RECENT_SEARCHES_KEY = 'recentSearches';
+const MAX_RECENT_SEARCHES = 5;
+
+const LISTBOX_ID = 'search-suggestions';
+
+/**
+ * Parse coordinates typed into the search box
+ *
+ * @param {string} text - Trimmed search input
+ * @returns {Object|null} { latitude, longitude }, or null if the text is not
+ *                        a valid coordinate pair (so it is treated as a name)
+ */
+function parseCoordinates(text) {
+  const match = text.match(COORDINATES_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const latitude = Number(match[1]);
+  const longitude = Number(match[2]);
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+  return { latitude, longitude };
+}
+
+/**
+ * Delay a changing value until it has stopped changing
+ * Keeps the backend from being queried on every keystroke.
+ *
+ * @param {*} value - Latest value
+ * @param {number} delay - Quiet period in milliseconds
+ * @returns {*} The value as of the last quiet period
+ */
+function useDebouncedValue(value, delay) {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+}
+
+/**
+ * Read recent searches from localStorage
+ * Each entry is { label, query } for a name search or { label, location }
+ * for a chosen place or coordinates.
+ *
+ * @returns {Array<Object>} Most recent first
+ */
+function loadRecentSearches() {
+  try {
+    return JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Add a search to the front of the recent list (without duplicates)
+ *
+ * @param {Array<Object>} recent - Current recent searches
+ * @param {Object} entry - Search to record
+ * @returns {Array<Object>} Updated list, also written to localStorage
+ */
+function addRecentSearch(recent, entry) {
+  const updated = [entry, ...recent.filter((item) => item.label !== entry.label)]
+    .slice(0, MAX_RECENT_SEARCHES);
+  try {
+    localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(updated));
+  } catch (error) {
+    // Storage full or disabled - recent searches just won't persist
+  }
+  return updated;
+}
+
+/**
+ * @param {Object} props
+ * @param {Function} props.onSearch - Called with a location name
+ * @param {Function} props.onSelectLocation - Called with a location candidate
+ *                                            or { latitude, longitude }
+ */
+function SearchBar({ onSearch, onSelectLocation }) {
   const [input, setInput] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [recentSearches, setRecentSearches] = useState(loadRecentSearches);
+  const [locating, setLocating] = useState(false);
+  const [geoError, setGeoError] = useState('');
+
+  // Label of the last chosen entry, which needs no suggestions of its own
+  const [selectedLabel, setSelectedLabel] = useState('');
+
+  const text = input.trim();
+  const debouncedText = useDebouncedValue(text, DEBOUNCE_MS);
+
+  // Only look up names: coordinates and very short inputs have no suggestions
+  const skipSuggestions = debouncedText.length < MIN_QUERY_LENGTH
+    || debouncedText === selectedLabel
+    || Boolean(parseCoordinates(debouncedText));
+  const { data } = useQuery(SEARCH_LOCATIONS, {
+    variables: { query: debouncedText, limit: MAX_SUGGESTIONS },
+    skip: skipSuggestions,
+  });
+
+  /**
+   * Options shown in the dropdown
+   * Recent searches while the input is empty, otherwise location suggestions
+   */
+  const options = text
+    ? (!skipSuggestions && data ? data.searchLocations : []).map((candidate) => ({
+      label: candidate.displayName,
+      location: candidate,
+    }))
+    : recentSearches;
+  const showOptions = isOpen && options.length > 0;
+
+  // A new list of options starts with nothing highlighted
+  useEffect(() => {
+    setActiveIndex(-1);
+  }, [text, data]);
+
+  /**
+   * Run a search entry: a place goes straight to the forecast,
+   * a name goes through the location picker
+   */
+  const selectEntry = (entry) => {
+    setRecentSearches((recent) => addRecentSearch(recent, entry));
+    setIsOpen(false);
+    setInput(entry.label);
+    setSelectedLabel(entry.label);
+    if (entry.location) {
+      onSelectLocation(entry.location);
+    } else {
+      onSearch(entry.query);
+    }
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (input.trim()) {
-      onSearch(input.trim());
+    if (!text) {
+      return;
+    }
+    const coordinates = parseCoordinates(text);
+    selectEntry(coordinates ? { label: text, location: coordinates } : { label: text, query: text });
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!showOptions) {
+        setIsOpen(true);
+        return;
+      }
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((index) => (index + step + options.length) % options.length);
+    } else if (e.key === 'Enter' && showOptions && activeIndex >= 0) {
+      // Pick the highlighted option instead of submitting the typed text
+      e.preventDefault();
+      selectEntry(options[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
     }
   };
 
+  /**
+   * Ask the browser for the user's current position
+   */
+  const handleUseMyLocation = () => {
+    if (!navigator.geolocation) {
+      setGeoError('Your browser does not support location lookup.');
+      return;
+    }
+
+    setLocating(true);
+    setGeoError('');
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLocating(false);
+        const { latitude, longitude } = position.coords;
+        selectEntry({
+          label: `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`,
+          location: { latitude, longitude },
+        });
+      },
+      (error) => {
+        setLocating(false);
+        setGeoError(
+          error.code === error.PERMISSION_DENIED
+            ? 'Location access was denied. Enter a place or coordinates instead.'
+            : 'Could not determine your location. Please try again.'
+        );
+      },
+      { timeout: 10000 }
+    );
+  };
+
   return (
     <div className="search-bar">
       <form onSubmit={handleSubmit}>
         <div className="search-input-group">
-          <input
-            type="text"
-            value={input}
-            onChange={(e) => setInput(e.target.value)}
-            placeholder="Enter a city or town name"
-            className="search-input"
-          />
-          <button 
-            type="submit" 
+          <div className="search-combobox">
+            <input
+              type="text"
+              value={input}
+              onChange={(e) => {
+                setInput(e.target.value);
+                setIsOpen(true);
+              }}
+              onFocus={() => setIsOpen(true)}
+              onBlur={() => setIsOpen(false)}
+              onKeyDown={handleKeyDown}
+              placeholder="City, town or coordinates (e.g. 45.92, 6.87)"
+              className="search-input"
+              role="combobox"
+              aria-label="Location"
+              aria-autocomplete="list"
+              aria-expanded={showOptions}
+              aria-controls={LISTBOX_ID}
+              aria-activedescendant={
+                showOptions && activeIndex >= 0 ? `${LISTBOX_ID}-${activeIndex}` : undefined
+              }
+            />
+
+            {showOptions && (
+              <ul
+                id={LISTBOX_ID}
+                className="search-suggestions"
+                role="listbox"
+                aria-label={text ? 'Suggested locations' : 'Recent searches'}
+              >
+                {!text && <li className="suggestions-heading" role="presentation">Recent searches</li>}
+                {options.map((option, index) => (
+                  <li
+                    key={option.label}
+                    id={`${LISTBOX_ID}-${index}`}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                    className={`suggestion ${index === activeIndex ? 'active' : ''}`}
+                    // mousedown fires before the input's blur closes the list
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      selectEntry(option);
+                    }}
+                    onMouseEnter={() => setActiveIndex(index)}
+                  >
+                    {!text && <span className="suggestion-icon">🕘</span>}
+                    {option.label}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <button
+            type="submit"
             className="search-button"
-            disabled={!input.trim()}
+            disabled={!text}
           >
             Search
           </button>
+          <button
+            type="button"
+            className="locate-button"
+            onClick={handleUseMyLocation}
+            disabled={locating}
+            title="Use my location"
+            aria-label="Use my location"
+          >
+            {locating ? '…' : '📍'}
+          </button>
         </div>
       </form>
+      {geoError && <p className="search-error">{geoError}</p>}
     </div>
   );
 }
 
-export default SearchBar;
\ No newline at end of file
+export default SearchBar;
@@ -7,6 +7,9 @@
  */
 
 import React from 'react';
+import { formatDate, formatDateRange, formatMeasure, formatNumber } from '../utils/formatting';
+import { fromMetric } from '../utils/units';
+import { useSettings } from '../SettingsContext';
 import './WeatherSummary.css';
 
 /**
@@ -14,42 +17,37 @@ import './WeatherSummary.css';
  * Helper function for statistical summary
  * 
  * @param {Array<number>} values - Array of numbers
- * @returns {number} Average value rounded to 1 decimal
+ * @returns {number} Average value
  */
 function calculateAverage(values) {
   const sum = values.reduce((acc, val) => acc + val, 0);
-  return (sum / values.length).toFixed(1);
-}
-
-/**
- * Format date range
- * Creates a human-readable date range string
- * 
- * @param {string} startDate - ISO date string
- * @param {string} endDate - ISO date string
- * @returns {string} Formatted date range
- */
-function formatDateRange(startDate, endDate) {
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  
-  const options = { month: 'short', day: 'numeric' };
-  return `${start.toLocaleDateString('en-US', options)} - ${end.toLocaleDateString('en-US', options)}`;
+  return sum / values.length;
 }
 
 /**
  * @param {Object} props
  * @param {Array<Object>} props.weatherData - Array of daily weather objects
+ * @param {Object} props.units - Unit of each weather field (see unitsByField)
+ * @param {string} props.unitSystem - 'metric' or 'imperial', the system the values are in
+ * @param {string} props.timeZone - IANA timezone of the place
  */
-function WeatherSummary({ weatherData }) {
+function WeatherSummary({ weatherData, units, unitSystem, timeZone }) {
+  const { locale } = useSettings();
+
   // Guard clause: Ensure we have data
   if (!weatherData || weatherData.length === 0) {
     return null;
   }
 
+  // Value of a field with its unit, e.g. "12.5 mm"
+  const measure = (field, value) => formatMeasure(value, units[field], locale);
+
+  // Thresholds are set in metric units and compared in the data's own
+  const windSpeed = (kmh) => fromMetric('speed', kmh, unitSystem);
+
   /**
    * Calculate Summary Statistics
-   * Extract key weather metrics across all 7 days
+   * Extract key weather metrics across all days
    */
   
   // Temperature statistics
@@ -59,34 +57,74 @@ function WeatherSummary({ weatherData }) {
   const lowestTemp = Math.min(...weatherData.map(d => d.minTemp));
 
   // Precipitation statistics
-  const totalPrecipitation = weatherData
-    .reduce((sum, d) => sum + d.precipitation, 0)
-    .toFixed(1);
-  const rainyDays = weatherData.filter(d => d.precipitation > 1).length;
+  const totalPrecipitation = weatherData.reduce((sum, d) => sum + d.precipitation, 0);
+  const rainyDays = weatherData
+    .filter(d => d.precipitation > fromMetric('precipitation', 1, unitSystem))
+    .length;
 
   // Wind statistics
   const avgWindSpeed = calculateAverage(weatherData.map(d => d.windSpeed));
+  const strongestGust = Math.max(...weatherData.map(d => d.windGusts));
 
   // Snow statistics (important for skiing)
-  const totalSnowfall = weatherData
-    .reduce((sum, d) => sum + d.snowfall, 0)
-    .toFixed(1);
+  const totalSnowfall = weatherData.reduce((sum, d) => sum + d.snowfall, 0);
   const snowDays = weatherData.filter(d => d.snowfall > 0).length;
+  const deepestSnow = Math.max(...weatherData.map(d => d.snowDepth));
 
   // Cloud cover
   const avgCloudCover = calculateAverage(weatherData.map(d => d.cloudCover));
 
+  // Sunshine, daylight and UV
+  const avgSunshine = calculateAverage(weatherData.map(d => d.sunshineHours));
+  const avgDaylight = calculateAverage(weatherData.map(d => d.daylightHours));
+  const highestUv = Math.max(...weatherData.map(d => d.uvIndex));
+
+  // Sea statistics (only coastal locations have marine data)
+  const seaDays = weatherData.filter(d => d.waveHeight !== null);
+  const avgWaveHeight = seaDays.length > 0 && calculateAverage(seaDays.map(d => d.waveHeight));
+  const longestSwell = seaDays.length > 0 && Math.max(...seaDays.map(d => d.swellPeriod));
+  const seaTemps = seaDays.map(d => d.seaSurfaceTemp).filter(t => t !== null);
+  const avgSeaTemp = seaTemps.length > 0 && calculateAverage(seaTemps);
+
+  // Days with hazards forecast (thunderstorms, gales, extreme cold...)
+  const alertDays = weatherData.filter(d => d.alerts.length > 0);
+
   // Date range
   const dateRange = formatDateRange(
     weatherData[0].date, 
-    weatherData[weatherData.length - 1].date
+    weatherData[weatherData.length - 1].date,
+    locale,
+    timeZone
   );
 
   return (
     <div className="weather-summary">
-      <h3>7-Day Weather Overview</h3>
+      <h3>{weatherData.length}-Day Weather Overview</h3>
       <p className="date-range">{dateRange}</p>
 
+      {/* Weather Alerts (severe days rule outdoor activities out) */}
+      {alertDays.length > 0 && (
+        <div className="weather-alerts">
+          {alertDays.map((day) => {
+            const severe = day.alerts.some(alert => alert.severity === 'SEVERE');
+            return (
+              <div
+                key={day.date}
+                className={`weather-alert ${severe ? 'severe' : 'warning'}`}
+                role="alert"
+              >
+                <span className="weather-alert-icon">{severe ? '⛔' : '⚠️'}</span>
+                <span className="weather-alert-date">{formatDate(day.date, locale, timeZone)}</span>
+                <span className="weather-alert-message">
+                  {day.alerts.map(alert => alert.message).join(' · ')}
+                  {severe ? ' - outdoor activities not advised' : ''}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
       {/* Weather Statistics Grid */}
       <div className="summary-grid">
         
@@ -95,10 +133,10 @@ function WeatherSummary({ weatherData }) {
           <div className="card-icon">🌡️</div>
           <div className="card-content">
             <h4>Temperature</h4>
-            <p className="primary-stat">{avgMaxTemp}°C avg high</p>
-            <p className="secondary-stat">{avgMinTemp}°C avg low</p>
+            <p className="primary-stat">{measure('maxTemp', avgMaxTemp)} avg high</p>
+            <p className="secondary-stat">{measure('minTemp', avgMinTemp)} avg low</p>
             <p className="tertiary-stat">
-              Range: {lowestTemp}°C to {highestTemp}°C
+              Range: {measure('minTemp', lowestTemp)} to {measure('maxTemp', highestTemp)}
             </p>
           </div>
         </div>
@@ -108,7 +146,7 @@ function WeatherSummary({ weatherData }) {
           <div className="card-icon">💧</div>
           <div className="card-content">
             <h4>Precipitation</h4>
-            <p className="primary-stat">{totalPrecipitation} mm total</p>
+            <p className="primary-stat">{measure('precipitation', totalPrecipitation)} total</p>
             <p className="secondary-stat">
               {rainyDays} {rainyDays === 1 ? 'day' : 'days'} with rain
             </p>
@@ -123,27 +161,45 @@ function WeatherSummary({ weatherData }) {
           <div className="card-icon">💨</div>
           <div className="card-content">
             <h4>Wind</h4>
-            <p className="primary-stat">{avgWindSpeed} km/h avg</p>
+            <p className="primary-stat">{measure('windSpeed', avgWindSpeed)} avg</p>
             <p className="secondary-stat">
-              {avgWindSpeed < 15 ? 'Calm' : avgWindSpeed < 30 ? 'Moderate' : 'Strong'} winds
+              {avgWindSpeed < windSpeed(15) ? 'Calm' : avgWindSpeed < windSpeed(30) ? 'Moderate' : 'Strong'} winds
             </p>
             <p className="tertiary-stat">
-              {avgWindSpeed < 20 ? 'Great for outdoor activities' : 'May affect some activities'}
+              {avgWindSpeed < windSpeed(20) ? 'Great for outdoor activities' : 'May affect some activities'}
             </p>
+            <p className="tertiary-stat">Gusts up to {measure('windGusts', strongestGust)}</p>
           </div>
         </div>
 
         {/* Snow Card (conditional - only show if there's snow) */}
-        {totalSnowfall > 0 && (
+        {(totalSnowfall > 0 || deepestSnow > 0) && (
           <div className="summary-card">
             <div className="card-icon">❄️</div>
             <div className="card-content">
               <h4>Snow</h4>
-              <p className="primary-stat">{totalSnowfall} cm total</p>
+              <p className="primary-stat">{measure('snowfall', totalSnowfall)} total</p>
               <p className="secondary-stat">
                 {snowDays} {snowDays === 1 ? 'day' : 'days'} with snow
               </p>
-              <p className="tertiary-stat">Perfect for skiing!</p>
+              <p className="tertiary-stat">
+                {deepestSnow > 0 ? `Up to ${measure('snowDepth', deepestSnow)} on the ground` : 'Perfect for skiing!'}
+              </p>
+            </div>
+          </div>
+        )}
+
+        {/* Sea Card (conditional - only for coastal locations) */}
+        {seaDays.length > 0 && (
+          <div className="summary-card">
+            <div className="card-icon">🌊</div>
+            <div className="card-content">
+              <h4>Sea</h4>
+              <p className="primary-stat">{measure('waveHeight', avgWaveHeight)} avg waves</p>
+              <p className="secondary-stat">Swell period up to {measure('swellPeriod', longestSwell)}</p>
+              {avgSeaTemp !== false && (
+                <p className="tertiary-stat">Water {measure('seaSurfaceTemp', avgSeaTemp)}</p>
+              )}
             </div>
           </div>
         )}
@@ -153,7 +209,7 @@ function WeatherSummary({ weatherData }) {
           <div className="card-icon">☁️</div>
           <div className="card-content">
             <h4>Cloud Cover</h4>
-            <p className="primary-stat">{avgCloudCover}% average</p>
+            <p className="primary-stat">{measure('cloudCover', avgCloudCover)} average</p>
             <p className="secondary-stat">
               {avgCloudCover < 30 ? 'Mostly clear' : avgCloudCover < 70 ? 'Partly cloudy' : 'Mostly cloudy'}
             </p>
@@ -163,6 +219,19 @@ function WeatherSummary({ weatherData }) {
           </div>
         </div>
 
+        {/* Sun & Daylight Card */}
+        <div className="summary-card">
+          <div className="card-icon">☀️</div>
+          <div className="card-content">
+            <h4>Sun & Daylight</h4>
+            <p className="primary-stat">{measure('sunshineHours', avgSunshine)} sunshine/day</p>
+            <p className="secondary-stat">{measure('daylightHours', avgDaylight)} of daylight</p>
+            <p className="tertiary-stat">
+              UV up to {formatNumber(highestUv, locale, 0)}{highestUv >= 6 ? ' - use sun protection' : ''}
+            </p>
+          </div>
+        </div>
+
       </div>
     </div>
   );
@@ -0,0 +1,161 @@
+/**
+ * Shared GraphQL Queries
+ *
+ * Queries used by more than one component live here so they stay identical
+ * (and share Apollo's cache). Queries used by a single component are defined
+ * next to that component.
+ */
+
+import { gql } from '@apollo/client';
+
+// Fetch all places matching a name, most relevant first
+export const SEARCH_LOCATIONS = gql`
+  query SearchLocations($query: String!, $limit: Int) {
+    searchLocations(query: $query, limit: $limit) {
+      id
+      name
+      admin1
+      country
+      population
+      latitude
+      longitude
+      timezone
+      displayName
+    }
+  }
+`;
+
+// Weather and rankings shown for a place (dashboard and comparison columns)
+export const ACTIVITY_FORECAST_FIELDS = gql`
+  fragment ActivityForecastFields on ActivityForecast {
+    location
+    latitude
+    longitude
+    elevation
+    coastal
+    timezone
+    utcOffsetSeconds
+    unitSystem
+    units {
+      field
+      unit
+    }
+    dailyWeather {
+      date
+      maxTemp
+      minTemp
+      precipitation
+      windSpeed
+      snowfall
+      cloudCover
+      windGusts
+      uvIndex
+      sunshineHours
+      daylightHours
+      waveHeight
+      swellPeriod
+      seaSurfaceTemp
+      snowDepth
+      condition
+      conditionDescription
+      alerts {
+        hazard
+        severity
+        message
+      }
+    }
+    rankings {
+      activity
+      activityId
+      icon
+      builtin
+      applicable
+      averageScore
+      dailyScores {
+        date
+        score
+        conditions
+        applicable
+        unsafe
+        alerts {
+          severity
+          message
+        }
+        factors {
+          label
+          points
+        }
+        hourlyScores {
+          time
+          score
+        }
+        bestWindow {
+          start
+          end
+          averageScore
+        }
+      }
+      recommendation
+    }
+  }
+`;
+
+// Every activity definition's id, name and icon (for activity pickers)
+export const GET_ACTIVITIES = gql`
+  query GetActivities {
+    activities {
+      id
+      name
+      icon
+      indoor
+    }
+  }
+`;
+
+// Saved favorite places (favorites list, save button and "My places")
+export const FAVORITE_FIELDS = gql`
+  fragment FavoriteFields on FavoriteLocation {
+    id
+    nickname
+    location
+    latitude
+    longitude
+    locationId
+  }
+`;
+
+export const GET_FAVORITES = gql`
+  ${FAVORITE_FIELDS}
+  query GetFavorites {
+    favorites {
+      ...FavoriteFields
+    }
+  }
+`;
+
+// Scoring profiles (profile editor, and checking the remembered active profile)
+export const PROFILE_FIELDS = gql`
+  fragment ProfileFields on ScoringProfile {
+    id
+    name
+    minTemp
+    maxTemp
+    maxWind
+    maxRain
+    activityPreferences {
+      activityId
+      weight
+      minTemp
+      maxTemp
+    }
+  }
+`;
+
+export const GET_PROFILES = gql`
+  ${PROFILE_FIELDS}
+  query GetProfiles {
+    profiles {
+      ...ProfileFields
+    }
+  }
+`;
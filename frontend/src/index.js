@@ -9,6 +9,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { SettingsProvider } from './SettingsContext';
 import { ApolloClient, InMemoryCache, ApolloProvider } from '@apollo/client';
 
 /**
@@ -35,13 +36,16 @@ const client = new ApolloClient({
  * Render the application
  * 
  * Wraps the App component with ApolloProvider to make Apollo Client
- * available throughout the component tree via React Context.
+ * available throughout the component tree via React Context, and with
+ * SettingsProvider for the display settings (units and locale).
  */
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
     <ApolloProvider client={client}>
-      <App />
+      <SettingsProvider>
+        <App />
+      </SettingsProvider>
     </ApolloProvider>
   </React.StrictMode>
 );
\ No newline at end of file
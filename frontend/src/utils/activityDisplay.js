@@ -0,0 +1,42 @@
+/**
+ * Activity Display Helpers
+ *
+ * Icons and score colors shared by every view that shows activity scores,
+ * so a score looks the same on a card, in a chart and in a heatmap.
+ * Dates and numbers are formatted by formatting.js.
+ */
+
+/**
+ * Get emoji icon for activity
+ * Visual representation to make UI more engaging
+ * 
+ * Custom activities may bring their own icon; otherwise built-ins are
+ * looked up by name and anything unknown gets a generic target.
+ * 
+ * @param {Object} ranking - Activity ranking (activity name and optional icon)
+ * @returns {string} Emoji character
+ */
+export function getActivityIcon(ranking) {
+  const icons = {
+    'Skiing': '⛷️',
+    'Surfing': '🏄',
+    'Outdoor Sightseeing': '🏞️',
+    'Indoor Sightseeing': '🏛️',
+  };
+  return ranking.icon || icons[ranking.activity] || '🎯';
+}
+
+/**
+ * Get color based on score
+ * Visual feedback for score quality
+ * 
+ * @param {number} score - Score from 0-100
+ * @returns {string} CSS color value
+ */
+export function getScoreColor(score) {
+  if (score >= 80) return '#10b981'; // Green - Excellent
+  if (score >= 60) return '#3b82f6'; // Blue - Good
+  if (score >= 40) return '#f59e0b'; // Orange - Fair
+  if (score >= 20) return '#ef4444'; // Red - Poor
+  return '#6b7280'; // Gray - Very Poor
+}
@@ -0,0 +1,184 @@
+/**
+ * Number and Date Formatting Utilities
+ *
+ * Every value shown to the user goes through these, with the locale from
+ * the display settings (undefined means the browser's own locale).
+ *
+ * Forecast dates ("2026-10-19") and times ("2026-10-19T14:00") are local to
+ * the place, without an offset. Parsing them with new Date() would read a
+ * date as UTC midnight - still the previous day west of Greenwich - and a
+ * time in the browser's timezone. They are instead turned into the instant
+ * they denote in the place's timezone and formatted in that timezone, so
+ * they read the same wherever the user is.
+ */
+
+// Formats a moment as wall-clock fields in one timezone, cached per zone
+const fieldFormats = new Map();
+
+/**
+ * Offset of a timezone from UTC at a moment
+ *
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} timeZone - IANA timezone, e.g. "America/Los_Angeles"
+ * @returns {number} Offset in milliseconds (negative west of Greenwich)
+ */
+function offsetAt(instant, timeZone) {
+  if (!fieldFormats.has(timeZone)) {
+    fieldFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  const fields = {};
+  fieldFormats.get(timeZone).formatToParts(new Date(instant)).forEach(({ type, value }) => {
+    fields[type] = Number(value);
+  });
+  const wallClock = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+  return wallClock - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * The moment a place's clocks show a local date and time
+ *
+ * @param {string} local - Local date or date and time, e.g. "2026-10-19T14:00"
+ * @param {string} timeZone - IANA timezone of the place
+ * @returns {Date} That moment
+ */
+export function toInstant(local, timeZone) {
+  const [year, month, day, hour = 0, minute = 0] = local.split(/[-T:]/).map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  // The offset depends on the moment being looked for; starting from the
+  // wall clock read as UTC, one correction settles it except right at a
+  // daylight saving change, which the second one handles
+  const guess = wallClock - offsetAt(wallClock, timeZone);
+  return new Date(wallClock - offsetAt(guess, timeZone));
+}
+
+/**
+ * Today's date at a place
+ *
+ * @param {string} [timeZone] - IANA timezone of the place (default UTC)
+ * @param {Date} [now] - Current moment (for tests)
+ * @returns {string} ISO date, e.g. "2026-10-19"
+ */
+export function todayIn(timeZone = 'UTC', now = new Date()) {
+  return new Date(now.getTime() + offsetAt(now.getTime(), timeZone)).toISOString().slice(0, 10);
+}
+
+/**
+ * Format date for display
+ * Converts ISO date string to readable format
+ *
+ * @param {string} dateString - Local date at the place (YYYY-MM-DD)
+ * @param {string} [locale] - BCP 47 locale
+ * @param {string} [timeZone] - IANA timezone of the place (default UTC)
+ * @returns {string} Formatted date (e.g., "Mon 10/20" in en-US, "Mo. 20.10." in de-DE)
+ */
+export function formatDate(dateString, locale, timeZone = 'UTC') {
+  // Midday is on the same date whatever the daylight saving offset
+  const date = toInstant(`${dateString}T12:00`, timeZone);
+  const dayOfWeek = date.toLocaleDateString(locale, { timeZone, weekday: 'short' });
+  const monthDay = date.toLocaleDateString(locale, { timeZone, month: 'numeric', day: 'numeric' });
+  return `${dayOfWeek} ${monthDay}`;
+}
+
+/**
+ * Format a date range
+ * Past ranges can be in another year, so the year is named then
+ *
+ * @param {string} startDate - Local date at the place (YYYY-MM-DD)
+ * @param {string} endDate - Local date at the place (YYYY-MM-DD)
+ * @param {string} [locale] - BCP 47 locale
+ * @param {string} [timeZone] - IANA timezone of the place (default UTC)
+ * @returns {string} e.g. "Oct 19 - Oct 25", or "Dec 28, 2025 - Jan 3, 2026"
+ */
+export function formatDateRange(startDate, endDate, locale, timeZone = 'UTC') {
+  const options = endDate.slice(0, 4) === todayIn(timeZone).slice(0, 4)
+    ? { timeZone, month: 'short', day: 'numeric' }
+    : { timeZone, month: 'short', day: 'numeric', year: 'numeric' };
+  const format = (date) => toInstant(`${date}T12:00`, timeZone).toLocaleDateString(locale, options);
+  return startDate === endDate ? format(startDate) : `${format(startDate)} - ${format(endDate)}`;
+}
+
+/**
+ * Format the clock time of a local timestamp
+ *
+ * @param {string} time - Local time at the place (e.g., "2026-10-19T14:00")
+ * @param {string} [locale] - BCP 47 locale
+ * @param {string} [timeZone] - IANA timezone of the place (default UTC)
+ * @returns {string} Clock time (e.g., "14:00", or "2:00 PM" in en-US)
+ */
+export function formatTime(time, locale, timeZone = 'UTC') {
+  return toInstant(time, timeZone).toLocaleTimeString(locale, { timeZone, hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Format a UTC offset
+ *
+ * @param {number} seconds - Offset from UTC, e.g. ActivityForecast.utcOffsetSeconds
+ * @returns {string} e.g. "UTC+1", "UTC-3:30", "UTC"
+ */
+export function formatUtcOffset(seconds) {
+  if (seconds === 0) {
+    return 'UTC';
+  }
+  const minutes = Math.abs(seconds) / 60;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `UTC${seconds < 0 ? '-' : '+'}${hours}${rest ? `:${String(rest).padStart(2, '0')}` : ''}`;
+}
+
+/**
+ * Name a calendar month
+ *
+ * @param {number} month - 1 = January ... 12 = December
+ * @param {string} [locale] - BCP 47 locale
+ * @param {string} [style] - 'long' (default) or 'short'
+ * @returns {string} e.g. "June", "Jun", "juin"
+ */
+export function formatMonth(month, locale, style = 'long') {
+  return new Date(2000, month - 1, 1).toLocaleDateString(locale, { month: style });
+}
+
+/**
+ * Format a number
+ *
+ * @param {number} value - Number to format
+ * @param {string} [locale] - BCP 47 locale
+ * @param {number} [maximumFractionDigits] - Decimals to keep at most (default 1)
+ * @returns {string} e.g. "1,234.5" in en-US, "1.234,5" in de-DE
+ */
+export function formatNumber(value, locale, maximumFractionDigits = 1) {
+  return new Intl.NumberFormat(locale, { maximumFractionDigits }).format(value);
+}
+
+/**
+ * Format a measurement with its unit
+ *
+ * @param {number} value - Value, already in the unit given
+ * @param {string} unit - Unit symbol, e.g. "mm", "°C", "%" or "" for none
+ * @param {string} [locale] - BCP 47 locale
+ * @param {number} [maximumFractionDigits] - Decimals to keep at most (default 1)
+ * @returns {string} e.g. "12.5 mm", "18°C"
+ */
+export function formatMeasure(value, unit, locale, maximumFractionDigits = 1) {
+  const separator = unit === '' || unit.startsWith('°') || unit === '%' ? '' : ' ';
+  return `${formatNumber(value, locale, maximumFractionDigits)}${separator}${unit}`;
+}
+
+/**
+ * Format a large number compactly
+ *
+ * @param {number} value - e.g. a population
+ * @param {string} [locale] - BCP 47 locale
+ * @returns {string} e.g. "2.1M", "24.8K" or "950" in en-US
+ */
+export function formatCompact(value, locale) {
+  return new Intl.NumberFormat(locale, { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+}
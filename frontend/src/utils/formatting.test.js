@@ -0,0 +1,102 @@
+import {
+  toInstant,
+  todayIn,
+  formatDate,
+  formatDateRange,
+  formatTime,
+  formatUtcOffset,
+} from './formatting';
+
+// Run as a user west of Greenwich, where reading "2026-10-19" as UTC
+// midnight lands on the evening of October 18. Node picks up a changed TZ
+// for every Date created afterwards.
+process.env.TZ = 'America/Los_Angeles';
+
+describe('formatDate', () => {
+  test('keeps the calendar date for a user west of Greenwich', () => {
+    expect(formatDate('2026-10-19', 'en-US', 'Europe/London')).toBe('Mon 10/19');
+  });
+
+  test('keeps the calendar date for a place far east of the user', () => {
+    expect(formatDate('2026-10-19', 'en-US', 'Pacific/Auckland')).toBe('Mon 10/19');
+  });
+
+  test('keeps the calendar date for a place far west of Greenwich', () => {
+    expect(formatDate('2026-10-19', 'en-US', 'Pacific/Honolulu')).toBe('Mon 10/19');
+  });
+
+  test('does not move the first of a month into the previous month', () => {
+    expect(formatDate('2026-11-01', 'en-US', 'Europe/Paris')).toBe('Sun 11/1');
+  });
+
+  test('keeps the date on the day clocks change', () => {
+    expect(formatDate('2026-10-25', 'en-US', 'Europe/London')).toBe('Sun 10/25');
+    expect(formatDate('2026-03-08', 'en-US', 'America/New_York')).toBe('Sun 3/8');
+  });
+
+  test('defaults to reading the date as it is written', () => {
+    expect(formatDate('2026-01-01', 'en-US')).toBe('Thu 1/1');
+  });
+});
+
+describe('formatDateRange', () => {
+  test('names the first and last day of the range', () => {
+    expect(formatDateRange('2026-10-19', '2026-10-25', 'en-US', 'Europe/London')).toBe('Oct 19 - Oct 25');
+  });
+
+  test('does not shift a range starting on New Year\'s Day into the year before', () => {
+    expect(formatDateRange('2026-01-01', '2026-01-01', 'en-US', 'Europe/Berlin')).toBe('Jan 1');
+  });
+
+  test('names the year of a range in another year', () => {
+    expect(formatDateRange('1999-12-31', '2000-01-06', 'en-US', 'Asia/Tokyo')).toBe('Dec 31, 1999 - Jan 6, 2000');
+  });
+});
+
+describe('formatTime', () => {
+  test('shows the clock time at the place, not the user\'s', () => {
+    expect(formatTime('2026-10-19T14:00', 'en-GB', 'Europe/London')).toBe('14:00');
+    expect(formatTime('2026-10-19T07:35', 'en-GB', 'Pacific/Auckland')).toBe('7:35');
+  });
+
+  test('shows the clock time after the place\'s clocks change', () => {
+    // London leaves summer time on 2026-10-25; the user's clocks change a week later
+    expect(formatTime('2026-10-24T09:00', 'en-GB', 'Europe/London')).toBe('9:00');
+    expect(formatTime('2026-10-26T09:00', 'en-GB', 'Europe/London')).toBe('9:00');
+  });
+
+  test('shows a midnight window end as midnight', () => {
+    expect(formatTime('2026-10-19T24:00', 'en-GB', 'Europe/London')).toBe('0:00');
+  });
+});
+
+describe('toInstant', () => {
+  test('uses the offset in force on the day', () => {
+    expect(toInstant('2026-10-24T12:00', 'Europe/London').toISOString()).toBe('2026-10-24T11:00:00.000Z');
+    expect(toInstant('2026-10-26T12:00', 'Europe/London').toISOString()).toBe('2026-10-26T12:00:00.000Z');
+  });
+
+  test('handles places behind and ahead of UTC', () => {
+    expect(toInstant('2026-10-19T00:00', 'America/Los_Angeles').toISOString()).toBe('2026-10-19T07:00:00.000Z');
+    expect(toInstant('2026-10-19T00:00', 'Asia/Kolkata').toISOString()).toBe('2026-10-18T18:30:00.000Z');
+  });
+});
+
+describe('todayIn', () => {
+  test('is still yesterday west of Greenwich shortly after midnight UTC', () => {
+    expect(todayIn('America/Los_Angeles', new Date('2026-10-20T02:00:00Z'))).toBe('2026-10-19');
+  });
+
+  test('is already tomorrow far east of Greenwich', () => {
+    expect(todayIn('Pacific/Auckland', new Date('2026-10-19T12:00:00Z'))).toBe('2026-10-20');
+  });
+});
+
+describe('formatUtcOffset', () => {
+  test('formats whole and partial hours on both sides of UTC', () => {
+    expect(formatUtcOffset(0)).toBe('UTC');
+    expect(formatUtcOffset(3600)).toBe('UTC+1');
+    expect(formatUtcOffset(-12600)).toBe('UTC-3:30');
+    expect(formatUtcOffset(20700)).toBe('UTC+5:45');
+  });
+});
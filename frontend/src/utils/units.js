@@ -0,0 +1,68 @@
+/**
+ * Unit Conversion Utilities
+ *
+ * The backend converts forecasts itself (getActivityForecast's units
+ * argument), but a few values live on the client: thresholds the weather
+ * summary compares against, and scoring profiles, which are stored in
+ * metric units and edited in the user's own.
+ */
+
+/**
+ * Units per quantity, and how to convert between metric and imperial
+ * (same units as the backend's units.js)
+ */
+const QUANTITIES = {
+  temperature: {
+    metric: '°C',
+    imperial: '°F',
+    toImperial: (celsius) => celsius * 9 / 5 + 32,
+    toMetric: (fahrenheit) => (fahrenheit - 32) * 5 / 9,
+  },
+  precipitation: { metric: 'mm', imperial: 'in', toImperial: (mm) => mm / 25.4, toMetric: (inches) => inches * 25.4 },
+  snow: { metric: 'cm', imperial: 'in', toImperial: (cm) => cm / 2.54, toMetric: (inches) => inches * 2.54 },
+  speed: { metric: 'km/h', imperial: 'mph', toImperial: (kmh) => kmh / 1.609344, toMetric: (mph) => mph * 1.609344 },
+  height: { metric: 'm', imperial: 'ft', toImperial: (metres) => metres * 3.28084, toMetric: (feet) => feet / 3.28084 },
+};
+
+/**
+ * @param {string} quantity - e.g. 'temperature', 'speed'
+ * @param {string} system - 'metric' or 'imperial'
+ * @returns {string} Unit symbol, e.g. "mph"
+ */
+export function unitLabel(quantity, system) {
+  return QUANTITIES[quantity][system];
+}
+
+/**
+ * Convert a metric value to a unit system
+ *
+ * @param {string} quantity - e.g. 'temperature'
+ * @param {number} value - Metric value
+ * @param {string} system - 'metric' or 'imperial'
+ * @returns {number} Value in the system's unit
+ */
+export function fromMetric(quantity, value, system) {
+  return system === 'imperial' ? QUANTITIES[quantity].toImperial(value) : value;
+}
+
+/**
+ * Convert a value in a unit system back to metric
+ *
+ * @param {string} quantity - e.g. 'temperature'
+ * @param {number} value - Value in the system's unit
+ * @param {string} system - 'metric' or 'imperial'
+ * @returns {number} Metric value
+ */
+export function toMetric(quantity, value, system) {
+  return system === 'imperial' ? QUANTITIES[quantity].toMetric(value) : value;
+}
+
+/**
+ * Index the unit metadata of a forecast by field
+ *
+ * @param {Array<Object>} fieldUnits - ActivityForecast.units: [{ field, unit }]
+ * @returns {Object} Field name -> unit, e.g. { maxTemp: '°F', ... }
+ */
+export function unitsByField(fieldUnits) {
+  return Object.fromEntries(fieldUnits.map(({ field, unit }) => [field, unit]));
+}